@@ -2,13 +2,23 @@ import express from 'express';
 import bodyParser from 'body-parser';
 import { Buffer } from 'node:buffer';
 import crypto from 'crypto';
-import { handlePullRequest } from './handlers/pullRequest.js';
-import logger from './utils/logger.js';
+import { handleBypassRecheck } from './handlers/pullRequest.js';
+import { processWebhook } from './handlers/webhook.js';
+import logger, { withLogContext } from './utils/logger.js';
 import process from 'node:process';
-import { getGitHubCredentials, getDeploymentConfig, loadEnv } from './utils/config.js';
+import { getGitHubCredentials, getDeploymentConfig, getDedupeConfig, getQueueConfig, getBypassStoreConfig, getTracingConfig, getWebhookArchiveConfig, loadEnv } from './utils/config.js';
+import { createDedupeStore } from './stores/dedupe/index.js';
+import { GROUP_BY_FIELDS, createBypassEventStore } from './stores/bypassEvents.js';
+import { createJobQueue } from './queue/jobQueue.js';
+import { createWebhookArchive } from './stores/webhookArchive.js';
+import { replayWebhooks } from './commands/replay.js';
+import { getInstallationIdForOwner } from './utils/github.js';
+import { REPORT_FORMATS, getReportWindowError, generateBypassReport } from './reports/bypassReport.js';
+import { flushDigests } from './notifiers/index.js';
+import { registry, webhooksReceived, signatureFailures, setJobQueueDepth } from './utils/metrics.js';
+import { startTracing, stopTracing } from './utils/tracing.js';
 
-const processedWebhooks = new Set();
-const { port, nodeEnv } = getDeploymentConfig();
+const { port, nodeEnv, adminToken } = getDeploymentConfig();
 const { appId, privateKey, webhookSecret } = getGitHubCredentials();
 loadEnv();
 
@@ -18,6 +28,79 @@ logger.info(`Environment: ${nodeEnv}`);
 logger.info(`GitHub App ID: ${appId ? 'configured' : 'missing'}`);
 logger.info(`GitHub App Private Key: ${privateKey ? 'configured' : 'missing'}`);
 logger.info(`Webhook Secret: ${webhookSecret ? 'configured' : 'missing'}`);
+logger.info(`Admin Token: ${adminToken ? 'configured' : 'missing (admin endpoints disabled)'}`);
+
+// Spans are exported over OTLP when an endpoint is configured. Buffered spans are
+// flushed before the process exits.
+if (startTracing(getTracingConfig())) {
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.once(signal, async () => {
+      await stopTracing();
+      process.exit(0);
+    });
+  }
+}
+
+// Delivery IDs that have already been processed, shared between instances when backed by Redis
+const dedupeStore = await createDedupeStore(getDedupeConfig());
+
+// Every detected bypass, kept for the /bypasses query API
+const bypassStore = createBypassEventStore(getBypassStoreConfig());
+
+// Verified deliveries, kept for replays when WEBHOOK_ARCHIVE is enabled
+const webhookArchiveConfig = getWebhookArchiveConfig();
+const webhookArchive = webhookArchiveConfig.enabled ? createWebhookArchive(webhookArchiveConfig) : null;
+
+// Accepted webhooks are persisted and processed with retries, so a crash or a
+// transient GitHub API failure does not lose the event
+const jobQueue = createJobQueue({
+  ...getQueueConfig(),
+  handler: runJob
+});
+await jobQueue.start();
+
+// Email digests are sent once their hourly or daily window has ended. A slow SMTP
+// server can outlast the interval, so a flush is skipped while the last one runs.
+const DIGEST_FLUSH_INTERVAL_MS = 60 * 1000;
+let flushingDigests = false;
+setInterval(() => {
+  if (flushingDigests) {
+    return;
+  }
+  flushingDigests = true;
+  flushDigests()
+    .catch(error => logger.error(`Error sending email digests: ${error.message}`))
+    .finally(() => {
+      flushingDigests = false;
+    });
+}, DIGEST_FLUSH_INTERVAL_MS).unref();
+
+/**
+ * Run a job from the job queue
+ * @param {Object} data - Job data: a webhook delivery, or a delayed bypass re-check
+ */
+async function runJob(data) {
+  if (data.type === 'bypass-recheck') {
+    await withLogContext({
+      delivery_id: data.deliveryId,
+      event: 'bypass-recheck',
+      installation_id: data.installationId,
+      repository: data.pullRequest?.base?.repo?.full_name,
+      pull_request: data.pullRequest?.number
+    }, () => handleBypassRecheck(data, { scheduleRecheck, bypassStore }));
+  } else {
+    await processWebhook(data.event, data.action, data.payload, data.deliveryId, { scheduleRecheck, bypassStore });
+  }
+}
+
+/**
+ * Queue a delayed bypass re-check for a merged pull request
+ * @param {Object} data - Re-check job data
+ * @param {number} delayMs - Delay before the re-check runs
+ */
+async function scheduleRecheck(data, delayMs) {
+  await jobQueue.enqueue({ type: 'bypass-recheck', ...data }, { delayMs });
+}
 
 const app = express();
 
@@ -135,6 +218,8 @@ function verifyGitHubWebhook(req, res, next) {
       next();
     } else {
       logger.warn('Invalid webhook signature received');
+      signatureFailures.inc();
+      webhooksReceived.inc({ event: req.headers['x-github-event'] || 'unknown', action: req.body?.action || 'none', outcome: 'invalid_signature' });
       res.status(401).send('Invalid signature');
     }
   } catch (error) {
@@ -150,16 +235,26 @@ app.post('/webhook', verifyGitHubWebhook, (req, res) => {
     const action = req.body.action;
     const deliveryId = req.headers['x-github-delivery'];
     
-    logger.info(`Webhook received: ${event}.${action || 'unknown'} (${deliveryId || 'no-id'})`);
+    logger.info(`Webhook received: ${event}.${action || 'unknown'} (${deliveryId || 'no-id'})`, {
+      delivery_id: deliveryId,
+      repository: req.body.repository?.full_name
+    });
     
     // Always return 202 Accepted immediately to GitHub
     // This prevents GitHub from retrying if our processing takes too long
     res.status(202).send('Webhook received. Processing started.');
     
-    // Then process the webhook asynchronously
-    processWebhook(event, action, req.body, deliveryId)
+    if (webhookArchive && deliveryId) {
+      webhookArchive.save({ deliveryId, headers: req.headers, payload: req.body })
+        .catch(error => logger.error(`Error archiving webhook ${deliveryId}: ${error.message}`));
+    }
+    
+    // Then queue the webhook for processing
+    acceptWebhook(event, action, req.body, deliveryId)
+      .then(outcome => webhooksReceived.inc({ event: event || 'unknown', action: action || 'none', outcome }))
       .catch(error => {
-        logger.error(`Error in async webhook processing: ${error.message}`);
+        logger.error(`Error queueing webhook: ${error.message}`);
+        webhooksReceived.inc({ event: event || 'unknown', action: action || 'none', outcome: 'error' });
       });
   } catch (error) {
     logger.error(`Error handling webhook request: ${error.message}`);
@@ -171,7 +266,7 @@ app.post('/webhook', verifyGitHubWebhook, (req, res) => {
 });
 
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
   const healthStatus = {
       status: 'healthy',
       uptime: Math.floor(process.uptime()),
@@ -184,76 +279,346 @@ app.get('/health', (req, res) => {
           heapUsed: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + 'MB',
           external: Math.round(process.memoryUsage().external / 1024 / 1024) + 'MB'
       },
-      processedWebhooks: processedWebhooks.size
+      processedWebhooks: await dedupeStore.size(),
+      dedupeStore: dedupeStore.name
   };
   
   res.status(200).json(healthStatus);
 });
 
-app.get('/metrics', (req, res) => {
-  const metrics = {
-      webhooks: {
-          processed: processedWebhooks.size,
-      },
-      memory: process.memoryUsage(),
-      uptime: process.uptime()
+// Prometheus metrics
+app.get('/metrics', async (req, res) => {
+  try {
+    setJobQueueDepth(jobQueue.stats());
+    res.status(200).type(registry.contentType).send(await registry.metrics());
+  } catch (error) {
+    logger.error(`Error collecting metrics: ${error.message}`);
+    res.status(500).send('Error collecting metrics');
+  }
+});
+
+// Middleware to require the admin bearer token on admin endpoints
+function requireAdminToken(req, res, next) {
+  if (!adminToken) {
+    return res.status(404).send('Not found');
+  }
+  
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+  const expected = crypto.createHash('sha256').update(adminToken).digest();
+  const actual = crypto.createHash('sha256').update(token).digest();
+  
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    logger.warn(`Unauthorized admin request: ${req.method} ${req.path}`);
+    return res.status(401).send('Unauthorized');
+  }
+  next();
+}
+
+/**
+ * Summarize a job for the admin API without its webhook payload
+ * @param {Object} job - Job from the job queue
+ * @returns {Object} Job summary
+ */
+function summarizeJob(job) {
+  return {
+    id: job.id,
+    type: job.data.type || 'webhook',
+    event: job.data.event,
+    action: job.data.action,
+    deliveryId: job.data.deliveryId,
+    status: job.status,
+    attempts: job.attempts,
+    lastError: job.lastError,
+    runAt: new Date(job.runAt).toISOString(),
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
   };
+}
+
+// List queued and failed jobs, e.g. /admin/jobs?status=dead
+app.get('/admin/jobs', requireAdminToken, (req, res) => {
+  const status = req.query.status;
+  if (status && !['pending', 'running', 'dead'].includes(status)) {
+    return res.status(400).json({ error: 'status must be one of pending, running, dead' });
+  }
   
-  res.status(200).json(metrics);
+  res.status(200).json({
+    stats: jobQueue.stats(),
+    jobs: jobQueue.list(status).map(summarizeJob)
+  });
+});
+
+// Re-queue a dead-lettered job
+app.post('/admin/jobs/:id/retry', requireAdminToken, async (req, res) => {
+  try {
+    const job = await jobQueue.retry(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'No dead-lettered job with that ID' });
+    }
+    res.status(200).json(summarizeJob(job));
+  } catch (error) {
+    logger.error(`Error re-queueing job ${req.params.id}: ${error.message}`);
+    res.status(500).json({ error: 'Error re-queueing job' });
+  }
+});
+
+// Re-queue every dead-lettered job
+app.post('/admin/jobs/retry-dead', requireAdminToken, async (req, res) => {
+  try {
+    const jobs = [];
+    for (const job of jobQueue.list('dead')) {
+      jobs.push(summarizeJob(await jobQueue.retry(job.id)));
+    }
+    res.status(200).json({ requeued: jobs.length, jobs });
+  } catch (error) {
+    logger.error(`Error re-queueing dead jobs: ${error.message}`);
+    res.status(500).json({ error: 'Error re-queueing jobs' });
+  }
+});
+
+// Delete a job that is not running
+app.delete('/admin/jobs/:id', requireAdminToken, async (req, res) => {
+  try {
+    if (!(await jobQueue.remove(req.params.id))) {
+      return res.status(404).json({ error: 'No queued or dead-lettered job with that ID' });
+    }
+    res.status(204).send();
+  } catch (error) {
+    logger.error(`Error deleting job ${req.params.id}: ${error.message}`);
+    res.status(500).json({ error: 'Error deleting job' });
+  }
 });
 
 /**
- * Process a webhook event asynchronously
- * @param {string} event - The webhook event name
- * @param {string} action - The webhook action
- * @param {Object} payload - The webhook payload
- * @param {string} deliveryId - The GitHub delivery ID
+ * Read an optional date from the request
+ * @param {string} [value] - Date string
+ * @param {string} name - Field name for the error message
+ * @returns {Object} The date, or an error message
  */
-async function processWebhook(event, action, payload, deliveryId) {
+function parseOptionalDate(value, name) {
+  if (!value) {
+    return {};
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? { error: `${name} must be a date` } : { date };
+}
+
+// List archived webhook deliveries, e.g. /admin/webhooks?since=2026-10-01
+app.get('/admin/webhooks', requireAdminToken, async (req, res) => {
+  if (!webhookArchive) {
+    return res.status(404).json({ error: 'The webhook archive is not enabled' });
+  }
+  const since = parseOptionalDate(req.query.since, 'since');
+  const until = parseOptionalDate(req.query.until, 'until');
+  if (since.error || until.error) {
+    return res.status(400).json({ error: since.error || until.error });
+  }
+  
   try {
-    // Generate a unique identifier for this webhook
-    const prNumber = payload.pull_request?.number || 'unknown';
-    const mergeCommitSha = payload.pull_request?.merge_commit_sha || '';
-    const webhookId = `${event}.${action}.${deliveryId}.${prNumber}.${mergeCommitSha}`;
-    const webhookHash = crypto.createHash('md5').update(webhookId).digest('hex');
-      
-    // Check if we've already processed this webhook
-    if (processedWebhooks.has(webhookHash)) {
-      logger.info(`Skipping duplicate webhook: ${webhookId} (${webhookHash})`);
-      return;
+    const deliveries = await webhookArchive.list({ since: since.date, until: until.date });
+    res.status(200).json({
+      deliveries: deliveries.map(({ deliveryId, event, action, receivedAt, payload }) => ({
+        deliveryId,
+        event,
+        action,
+        receivedAt,
+        repository: payload.repository?.full_name || null
+      }))
+    });
+  } catch (error) {
+    logger.error(`Error listing archived webhooks: ${error.message}`);
+    res.status(500).json({ error: 'Error listing archived webhooks' });
+  }
+});
+
+// A range replay runs inside the request, so larger ranges go through the CLI
+const MAX_REPLAY_DELIVERIES = 100;
+
+// Replay one archived delivery or a time range through the webhook handlers, e.g.
+// POST /admin/webhooks/replay {"delivery_id": "...", "dry_run": true}
+app.post('/admin/webhooks/replay', requireAdminToken, async (req, res) => {
+  if (!webhookArchive) {
+    return res.status(404).json({ error: 'The webhook archive is not enabled' });
+  }
+  const { delivery_id: deliveryId, dry_run: dryRun = false } = req.body || {};
+  const since = parseOptionalDate(req.body?.since, 'since');
+  const until = parseOptionalDate(req.body?.until, 'until');
+  if (since.error || until.error) {
+    return res.status(400).json({ error: since.error || until.error });
+  }
+  if (!deliveryId && !since.date) {
+    return res.status(400).json({ error: 'delivery_id or since is required' });
+  }
+  if (typeof dryRun !== 'boolean') {
+    return res.status(400).json({ error: 'dry_run must be true or false' });
+  }
+  
+  try {
+    if (deliveryId && !(await webhookArchive.get(deliveryId))) {
+      return res.status(404).json({ error: `Delivery ${deliveryId} is not in the webhook archive` });
     }
-      
-    // Add to processed set before processing
-    processedWebhooks.add(webhookHash);
-    logger.info(`Processing ${event}.${action || 'unknown'} webhook (${deliveryId || 'no-id'})`);
-      
-    if (event === 'pull_request') {
-      if (action === 'closed' && payload.pull_request && payload.pull_request.merged === true) {
-        logger.info(`Processing merged pull request #${payload.pull_request.number}`);
-        await handlePullRequest({ payload });
-      } else {
-        logger.info(`Skipping non-merged pull request #${payload.pull_request?.number || 'unknown'}`);
+    if (!deliveryId) {
+      const deliveries = await webhookArchive.list({ since: since.date, until: until.date });
+      if (deliveries.length > MAX_REPLAY_DELIVERIES) {
+        return res.status(400).json({
+          error: `The range holds ${deliveries.length} deliveries, more than the ${MAX_REPLAY_DELIVERIES} a request can replay; narrow it or use the replay command`
+        });
       }
-    } else if (event === 'protected_branch' && action === 'policy_override') {
-      logger.info('Received protected_branch.policy_override event');
-    } else {
-      logger.info(`No handler for ${event}.${action || 'unknown'} event`);
     }
-      
-    // Clean up Set periodically to prevent memory leaks
-    if (processedWebhooks.size > 1000) {
-      const iterator = processedWebhooks.values();
-      for (let i = 0; i < 200; i++) {
-        processedWebhooks.delete(iterator.next().value);
+    const results = await replayWebhooks({
+      archive: webhookArchive,
+      deliveryId,
+      since: since.date,
+      until: until.date,
+      dryRun,
+      scheduleRecheck,
+      bypassStore
+    });
+    res.status(200).json({ dry_run: dryRun, replayed: results.length, results });
+  } catch (error) {
+    logger.error(`Error replaying webhooks: ${error.message}`);
+    res.status(500).json({ error: 'Error replaying webhooks' });
+  }
+});
+
+// A report is collected inside the request, so larger installations go through the CLI
+const MAX_REPORT_REPOSITORIES = 100;
+
+// Export every bypass on an installation's repositories, e.g.
+// /reports/bypasses?owner=acme&format=csv&since=2026-01-01
+app.get('/reports/bypasses', requireAdminToken, async (req, res) => {
+  const { owner, format = 'csv', since, until } = req.query;
+  if (!owner || !since) {
+    return res.status(400).json({ error: 'owner and since are required' });
+  }
+  if (!REPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `format must be one of ${Object.keys(REPORT_FORMATS).join(', ')}` });
+  }
+  const sinceDate = new Date(since);
+  const untilDate = until ? new Date(until) : new Date();
+  if (Number.isNaN(sinceDate.getTime()) || Number.isNaN(untilDate.getTime())) {
+    return res.status(400).json({ error: 'since and until must be dates' });
+  }
+  const windowError = getReportWindowError(sinceDate);
+  if (windowError) {
+    return res.status(400).json({ error: windowError });
+  }
+  
+  try {
+    const installationId = req.query.installation_id || await getInstallationIdForOwner(owner);
+    const { body } = await generateBypassReport({
+      owner,
+      installationId,
+      since: sinceDate,
+      until: untilDate,
+      format,
+      maxRepositories: MAX_REPORT_REPOSITORIES
+    });
+    res.status(200)
+      .type(REPORT_FORMATS[format].contentType)
+      .attachment(`bypass-report-${owner}.${REPORT_FORMATS[format].extension}`)
+      .send(body);
+  } catch (error) {
+    if (error.code === 'REPORT_TOO_LARGE') {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error(`Error generating bypass report for ${owner}: ${error.message}`);
+    res.status(500).json({ error: 'Error generating bypass report' });
+  }
+});
+
+/**
+ * Read bypass query filters from the query string
+ * @param {Object} query - Express request query
+ * @returns {Object} Filters for the bypass store, or an error message
+ */
+function parseBypassFilters(query) {
+  const filters = {
+    repo: query.repo,
+    actor: query.actor,
+    ref: query.ref,
+    ruleType: query.rule_type,
+    ruleset: query.ruleset,
+    source: query.source
+  };
+  
+  for (const field of ['since', 'until']) {
+    if (query[field]) {
+      filters[field] = new Date(query[field]);
+      if (Number.isNaN(filters[field].getTime())) {
+        return { error: `${field} must be a date` };
       }
     }
-      
-    logger.info(`Finished processing ${event}.${action || 'unknown'} webhook (${deliveryId || 'no-id'})`);
+  }
+  return { filters };
+}
+
+// Query detected bypasses, e.g. /bypasses?repo=acme/api&actor=octocat&since=2026-01-01
+app.get('/bypasses', requireAdminToken, (req, res) => {
+  const { filters, error } = parseBypassFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  const limit = Math.min(Math.max(parseInt(req.query.limit ?? '100', 10), 0), 1000);
+  const offset = Math.max(parseInt(req.query.offset ?? '0', 10), 0);
+  if (Number.isNaN(limit) || Number.isNaN(offset)) {
+    return res.status(400).json({ error: 'limit and offset must be numbers' });
+  }
+  res.status(200).json({ ...bypassStore.query({ ...filters, limit, offset }), limit, offset });
+});
+
+// Count detected bypasses per actor, repository, ref, rule type, ruleset or source,
+// e.g. /bypasses/stats?group_by=actor&ref=main&since=2026-10-01
+app.get('/bypasses/stats', requireAdminToken, (req, res) => {
+  const groupBy = req.query.group_by || 'actor';
+  if (!GROUP_BY_FIELDS.includes(groupBy)) {
+    return res.status(400).json({ error: `group_by must be one of ${GROUP_BY_FIELDS.join(', ')}` });
+  }
+  const { filters, error } = parseBypassFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  res.status(200).json({ group_by: groupBy, ...bypassStore.stats(groupBy, filters) });
+});
+
+/**
+ * Drop duplicate deliveries and queue the rest for processing
+ * @param {string} event - The webhook event name
+ * @param {string} action - The webhook action
+ * @param {Object} payload - The webhook payload
+ * @param {string} deliveryId - The GitHub delivery ID
+ * @returns {Promise<string>} - queued, or duplicate if the delivery was already accepted
+ */
+async function acceptWebhook(event, action, payload, deliveryId) {
+  // Generate a unique identifier for this webhook
+  const prNumber = payload.pull_request?.number || 'unknown';
+  const mergeCommitSha = payload.pull_request?.merge_commit_sha || '';
+  const webhookId = `${event}.${action}.${deliveryId}.${prNumber}.${mergeCommitSha}`;
+  
+  // GitHub keeps the delivery ID on redeliveries, so it identifies duplicates across
+  // restarts and instances. Fall back to a hash of the payload fields without one.
+  const dedupeKey = deliveryId || crypto.createHash('md5').update(webhookId).digest('hex');
+  
+  // Check if we've already accepted this webhook, marking it as accepted if not
+  if (!(await dedupeStore.checkAndMark(dedupeKey))) {
+    logger.info(`Skipping duplicate webhook: ${webhookId} (${dedupeKey})`);
+    return 'duplicate';
+  }
+  
+  try {
+    const job = await jobQueue.enqueue({ event, action, payload, deliveryId });
+    logger.info(`Queued ${event}.${action || 'unknown'} webhook (${deliveryId || 'no-id'}) as job ${job.id}`);
+    return 'queued';
   } catch (error) {
-    logger.error(`Error processing ${event}.${action || 'unknown'} webhook: ${error.message}`);
-    logger.error(error.stack);
+    // Let a redelivery through, since this one was never queued
+    await dedupeStore.remove(dedupeKey);
+    throw error;
   }
 }
+
 // Start the server
 function startServer() {
   const server = app.listen(port, '0.0.0.0', async () => {
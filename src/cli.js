@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'node:util';
+import process from 'node:process';
+import logger from './utils/logger.js';
+import { loadEnv, getBypassStoreConfig, getWebhookArchiveConfig } from './utils/config.js';
+import { getInstallationIdForOwner } from './utils/github.js';
+import { runBackfill } from './commands/backfill.js';
+import { REPORT_FORMATS, generateBypassReport } from './reports/bypassReport.js';
+import { createBypassEventStore } from './stores/bypassEvents.js';
+import { createWebhookArchive } from './stores/webhookArchive.js';
+import { replayWebhooks } from './commands/replay.js';
+
+const USAGE = `Usage: node src/cli.js <command> [options]
+
+Commands:
+  backfill   Find historical ruleset bypasses and comment on the merged pull requests
+  report     Export every ruleset bypass in a time window as CSV, NDJSON or SARIF
+  replay     Process archived webhook deliveries again
+
+Backfill options:
+  --org <login>            Organization or user the app is installed on (required)
+  --since <date>           Start of the window, e.g. 2026-01-01 (required)
+  --until <date>           End of the window (default: now)
+  --installation <id>      Installation ID (default: looked up for --org)
+  --dry-run                Only write the report, without commenting
+  --report <file>          Report file (default: data/backfill-report.json)
+  --checkpoint <file>      Checkpoint file used to resume (default: data/backfill-checkpoint.json)
+
+Report options:
+  --org <login>            Organization or user the app is installed on (required)
+  --since <date>           Start of the window, e.g. 2026-01-01 (required)
+  --until <date>           End of the window (default: now)
+  --installation <id>      Installation ID (default: looked up for --org)
+  --format <format>        csv, ndjson or sarif (default: csv)
+  --output <file>          Report file (default: data/bypass-report.<format>)
+
+Replay options:
+  --delivery <id>          Replay this delivery
+  --since <date>           Replay deliveries received since this time, instead of one delivery
+  --until <date>           End of the window (default: now)
+  --archive <dir>          Archive directory (default: WEBHOOK_ARCHIVE_DIR or data/webhooks)
+  --dry-run                Print the comments that would be posted, without changing anything`;
+
+/**
+ * Parse a date option
+ * @param {string} value - Date string
+ * @param {string} name - Option name for the error message
+ * @returns {Date} - Parsed date
+ */
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`--${name} must be a date, got "${value}"`);
+  }
+  return date;
+}
+
+async function backfill(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      org: { type: 'string' },
+      since: { type: 'string' },
+      until: { type: 'string' },
+      installation: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      report: { type: 'string', default: 'data/backfill-report.json' },
+      checkpoint: { type: 'string', default: 'data/backfill-checkpoint.json' }
+    }
+  });
+
+  if (!values.org || !values.since) {
+    throw new Error('--org and --since are required');
+  }
+
+  const installationId = values.installation || await getInstallationIdForOwner(values.org);
+  const bypassStore = createBypassEventStore(getBypassStoreConfig());
+
+  try {
+    await runBackfill({
+      owner: values.org,
+      installationId,
+      since: parseDate(values.since, 'since'),
+      until: values.until ? parseDate(values.until, 'until') : new Date(),
+      dryRun: values['dry-run'],
+      bypassStore,
+      reportPath: values.report,
+      checkpointPath: values.checkpoint
+    });
+  } finally {
+    await bypassStore.close();
+  }
+}
+
+async function report(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      org: { type: 'string' },
+      since: { type: 'string' },
+      until: { type: 'string' },
+      installation: { type: 'string' },
+      format: { type: 'string', default: 'csv' },
+      output: { type: 'string' }
+    }
+  });
+
+  if (!values.org || !values.since) {
+    throw new Error('--org and --since are required');
+  }
+  if (!REPORT_FORMATS[values.format]) {
+    throw new Error(`--format must be one of ${Object.keys(REPORT_FORMATS).join(', ')}`);
+  }
+
+  const installationId = values.installation || await getInstallationIdForOwner(values.org);
+  const output = values.output || `data/bypass-report.${REPORT_FORMATS[values.format].extension}`;
+
+  const { body, count } = await generateBypassReport({
+    owner: values.org,
+    installationId,
+    since: parseDate(values.since, 'since'),
+    until: values.until ? parseDate(values.until, 'until') : new Date(),
+    format: values.format
+  });
+
+  await fs.promises.mkdir(path.dirname(output), { recursive: true });
+  await fs.promises.writeFile(output, body);
+  logger.info(`Wrote ${count} bypassed rules to ${output}`);
+}
+
+async function replay(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      delivery: { type: 'string' },
+      since: { type: 'string' },
+      until: { type: 'string' },
+      archive: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+
+  if (!values.delivery && !values.since) {
+    throw new Error('--delivery or --since is required');
+  }
+
+  const directory = values.archive ? path.resolve(values.archive) : getWebhookArchiveConfig().directory;
+  // The app's bypass history tells a live replay which bypasses were already notified and followed up
+  const bypassStore = values['dry-run'] ? undefined : createBypassEventStore(getBypassStoreConfig());
+  let results;
+  try {
+    results = await replayWebhooks({
+      archive: createWebhookArchive({ directory }),
+      deliveryId: values.delivery,
+      since: values.since ? parseDate(values.since, 'since') : undefined,
+      until: values.until ? parseDate(values.until, 'until') : undefined,
+      dryRun: values['dry-run'],
+      bypassStore
+    });
+  } finally {
+    await bypassStore?.close();
+  }
+
+  for (const result of results) {
+    const heading = `${result.deliveryId} (${result.event}.${result.action || 'unknown'}, received ${result.receivedAt}): ${result.status}`;
+    if (result.status === 'failed') {
+      process.stdout.write(`${heading} - ${result.error}\n`);
+    } else if (values['dry-run']) {
+      const comments = result.comments.length > 0 ? result.comments.join('\n\n---\n\n') : '(no comment would be posted)';
+      process.stdout.write(`=== ${heading}\n${comments}\n\n`);
+    } else {
+      process.stdout.write(`${heading}\n`);
+    }
+  }
+  if (results.some(result => result.status === 'failed')) {
+    throw new Error(`${results.filter(result => result.status === 'failed').length} of ${results.length} replays failed`);
+  }
+}
+
+const COMMANDS = {
+  backfill,
+  report,
+  replay
+};
+
+async function main(argv) {
+  const [command, ...args] = argv;
+  if (!COMMANDS[command]) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  loadEnv();
+  try {
+    await COMMANDS[command](args);
+    return 0;
+  } catch (error) {
+    logger.error(error.message);
+    return 1;
+  }
+}
+
+process.exitCode = await main(process.argv.slice(2));
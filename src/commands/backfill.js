@@ -0,0 +1,183 @@
+import fs from 'fs';
+import path from 'path';
+import logger from '../utils/logger.js';
+import {
+    createOctokitClient,
+    listInstallationRepositories,
+    listBypassedRuleSuites,
+    findPullRequestForCommit,
+    findCommentWithMarker,
+    RULE_SUITE_HISTORY_MS
+} from '../utils/github.js';
+import { handlePullRequestClosed, BYPASS_COMMENT_MARKER } from '../handlers/pullRequest.js';
+
+/**
+ * Write a JSON file atomically so an interrupted run never leaves half a file behind
+ * @param {string} filePath - Destination path
+ * @param {Object} data - Data to write
+ */
+async function writeJsonFile(filePath, data) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * Load the checkpoint of an earlier, interrupted run with the same options
+ * @param {string} checkpointPath - Checkpoint file path
+ * @param {Object} options - Options of this run
+ * @returns {Promise<Object>} - Checkpoint with completed repositories and report entries so far
+ * @throws {Error} If the checkpoint belongs to a run with different options
+ */
+async function loadCheckpoint(checkpointPath, options) {
+    let checkpoint;
+    try {
+        checkpoint = JSON.parse(await fs.promises.readFile(checkpointPath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { options, completedRepositories: [], entries: [] };
+        }
+        throw new Error(`Could not read checkpoint ${checkpointPath}: ${error.message}`);
+    }
+
+    if (JSON.stringify(checkpoint.options) !== JSON.stringify(options)) {
+        throw new Error(`Checkpoint ${checkpointPath} belongs to a backfill with different options; delete it to start over`);
+    }
+
+    logger.info(`Resuming backfill from ${checkpointPath}: ${checkpoint.completedRepositories.length} repositories already done`);
+    return checkpoint;
+}
+
+/**
+ * Map a repository's bypassed rule suites to merged pull requests and report the ones
+ * that have no bypass comment yet
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} repository - Repository from the installation's repository list
+ * @param {Object} options - Backfill options
+ * @returns {Promise<Array>} - Report entries, one per bypassed commit
+ */
+async function backfillRepository(octokit, repository, { installationId, since, until, dryRun, bypassStore }) {
+    const [owner, repo] = repository.full_name.split('/');
+    const ruleSuites = await listBypassedRuleSuites(octokit, owner, repo, since, until);
+    logger.info(`Found ${ruleSuites.length} bypassed rule suites in ${repository.full_name}`);
+
+    // Several rule suites can be recorded for the same push
+    const suitesByCommit = new Map();
+    for (const ruleSuite of ruleSuites) {
+        const suites = suitesByCommit.get(ruleSuite.after_sha) || [];
+        suites.push(ruleSuite);
+        suitesByCommit.set(ruleSuite.after_sha, suites);
+    }
+
+    const entries = [];
+    for (const [sha, suites] of suitesByCommit) {
+        const entry = {
+            repository: repository.full_name,
+            sha,
+            ref: suites[0].ref,
+            pushed_at: suites[0].pushed_at,
+            actors: [...new Set(suites.map(ruleSuite => ruleSuite.actor_name).filter(Boolean))],
+            rule_suite_ids: suites.map(ruleSuite => ruleSuite.id),
+            pull_request: null,
+            status: null
+        };
+        entries.push(entry);
+
+        const pullRequest = await findPullRequestForCommit(octokit, owner, repo, sha);
+        if (!pullRequest || pullRequest.merge_commit_sha !== sha) {
+            // Direct pushes are reported by the policy override handler, not on a pull request
+            entry.status = 'no-pull-request';
+            continue;
+        }
+        entry.pull_request = pullRequest.number;
+        entry.html_url = pullRequest.html_url;
+
+        if (await findCommentWithMarker(octokit, owner, repo, pullRequest.number, BYPASS_COMMENT_MARKER)) {
+            entry.status = 'already-commented';
+        } else if (dryRun) {
+            entry.status = 'would-comment';
+        } else {
+            try {
+                // Old bypasses are recorded and commented on, but not notified, followed up or reverted
+                const reported = await handlePullRequestClosed(pullRequest, installationId, { publishCheckRun: false, followUp: false, bypassStore });
+                entry.status = reported ? 'commented' : 'not-reported';
+            } catch (error) {
+                logger.error(`Could not comment on ${repository.full_name}#${pullRequest.number}: ${error.message}`);
+                entry.status = 'failed';
+                entry.error = error.message;
+            }
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Find historical ruleset bypasses on every repository of an installation, map them to
+ * merged pull requests and post the bypass comments that are missing. Progress is saved
+ * to a checkpoint after each repository, so an interrupted run resumes where it stopped.
+ * @param {Object} options - Backfill options
+ * @param {string} options.owner - Organization or user the app is installed on
+ * @param {number} options.installationId - Installation ID for the owner
+ * @param {Date} options.since - Start of the window
+ * @param {Date} [options.until=now] - End of the window
+ * @param {boolean} [options.dryRun=false] - Only write the report, without commenting
+ * @param {Object} [options.bypassStore] - Store that the bypasses commented on are recorded in
+ * @param {string} options.checkpointPath - Checkpoint file, removed when the run completes
+ * @param {string} options.reportPath - Report file written when the run completes
+ * @returns {Promise<Object>} - The report
+ */
+async function runBackfill({ owner, installationId, since, until = new Date(), dryRun = false, bypassStore, checkpointPath, reportPath }) {
+    if (Date.now() - since.getTime() > RULE_SUITE_HISTORY_MS) {
+        logger.warn(`Rule suites are only available for the last month; bypasses before ${new Date(Date.now() - RULE_SUITE_HISTORY_MS).toISOString()} cannot be found`);
+    }
+
+    const checkpointOptions = { owner, since: since.toISOString(), until: until.toISOString(), dryRun };
+    const checkpoint = await loadCheckpoint(checkpointPath, checkpointOptions);
+
+    const octokit = await createOctokitClient(installationId);
+    const repositories = await listInstallationRepositories(octokit, owner);
+    logger.info(`Backfilling ${repositories.length} repositories of ${owner} from ${checkpointOptions.since} to ${checkpointOptions.until}${dryRun ? ' (dry run)' : ''}`);
+
+    for (const repository of repositories) {
+        if (checkpoint.completedRepositories.includes(repository.full_name)) {
+            continue;
+        }
+
+        // A repository that failed in an interrupted run is tried again; drop its failure first
+        checkpoint.entries = checkpoint.entries.filter(entry => entry.repository !== repository.full_name);
+        try {
+            const entries = await backfillRepository(octokit, repository, { installationId, since, until, dryRun, bypassStore });
+            checkpoint.entries.push(...entries);
+            checkpoint.completedRepositories.push(repository.full_name);
+        } catch (error) {
+            // Reported as failed, not as a repository without bypasses
+            logger.error(`Could not backfill ${repository.full_name}: ${error.message}`);
+            checkpoint.entries.push({ repository: repository.full_name, status: 'failed', error: error.message });
+        }
+        await writeJsonFile(checkpointPath, checkpoint);
+    }
+
+    const summary = {};
+    for (const entry of checkpoint.entries) {
+        summary[entry.status] = (summary[entry.status] || 0) + 1;
+    }
+
+    const report = {
+        ...checkpointOptions,
+        generatedAt: new Date().toISOString(),
+        repositories: checkpoint.completedRepositories.length,
+        summary,
+        entries: checkpoint.entries
+    };
+    await writeJsonFile(reportPath, report);
+    await fs.promises.rm(checkpointPath, { force: true });
+
+    logger.info(`Backfill complete, report written to ${reportPath}: ${JSON.stringify(summary)}`);
+    return report;
+}
+
+export {
+    runBackfill
+};
@@ -0,0 +1,71 @@
+import logger from '../utils/logger.js';
+import { processWebhook } from '../handlers/webhook.js';
+import { captureWrites, getCapturedComments } from '../utils/dryRun.js';
+
+/**
+ * Find the archived deliveries to replay
+ * @param {Object} archive - Webhook archive
+ * @param {Object} selection - A delivery ID, or a time window
+ * @returns {Promise<Array>} - Archived deliveries, oldest first
+ * @throws {Error} If a delivery ID was given and it is not archived
+ */
+async function selectDeliveries(archive, { deliveryId, since, until }) {
+    if (deliveryId) {
+        const delivery = await archive.get(deliveryId);
+        if (!delivery) {
+            throw new Error(`Delivery ${deliveryId} is not in the webhook archive`);
+        }
+        return [delivery];
+    }
+    return archive.list({ since, until });
+}
+
+/**
+ * Replay archived webhook deliveries through processWebhook, one at a time. A dry run
+ * reads from GitHub as usual, but returns the comments and other writes it would have
+ * made instead of making them, and sends no notifications.
+ * @param {Object} options - Replay options
+ * @param {Object} options.archive - Webhook archive
+ * @param {string} [options.deliveryId] - Replay this delivery only
+ * @param {Date} [options.since] - Replay deliveries received at or after this time
+ * @param {Date} [options.until] - Replay deliveries received at or before this time
+ * @param {boolean} [options.dryRun=false] - Capture writes instead of sending them
+ * @param {Function} [options.scheduleRecheck] - Schedules delayed bypass re-checks; not used in a dry run
+ * @param {Object} [options.bypassStore] - Store that detected bypasses are recorded in; not used in a dry run
+ * @returns {Promise<Array>} - One result per delivery, with its status and, in a dry run, the held back comments and requests
+ */
+async function replayWebhooks({ archive, deliveryId, since, until, dryRun = false, scheduleRecheck, bypassStore }) {
+    const deliveries = await selectDeliveries(archive, { deliveryId, since, until });
+    logger.info(`Replaying ${deliveries.length} archived webhook deliver${deliveries.length === 1 ? 'y' : 'ies'}${dryRun ? ' (dry run)' : ''}`);
+
+    const results = [];
+    for (const delivery of deliveries) {
+        const result = {
+            deliveryId: delivery.deliveryId,
+            event: delivery.event,
+            action: delivery.action,
+            receivedAt: delivery.receivedAt
+        };
+        try {
+            if (dryRun) {
+                const { requests } = await captureWrites(() =>
+                    processWebhook(delivery.event, delivery.action, delivery.payload, delivery.deliveryId));
+                result.comments = getCapturedComments(requests);
+                result.requests = requests;
+            } else {
+                await processWebhook(delivery.event, delivery.action, delivery.payload, delivery.deliveryId, { scheduleRecheck, bypassStore });
+            }
+            result.status = 'replayed';
+        } catch (error) {
+            logger.error(`Replay of delivery ${delivery.deliveryId} failed: ${error.message}`);
+            result.status = 'failed';
+            result.error = error.message;
+        }
+        results.push(result);
+    }
+    return results;
+}
+
+export {
+    replayWebhooks
+};
@@ -0,0 +1,208 @@
+import {
+    createOctokitClient,
+    fetchPullRequestDetails,
+    findCommentWithMarker,
+    updateComment,
+    isMemberOfAnyTeam,
+    addCommentReaction
+} from '../utils/github.js';
+import { getRepoConfig } from '../utils/repoConfig.js';
+import { recordReview } from '../stores/bypassEvents.js';
+import logger from '../utils/logger.js';
+import { BYPASS_COMMENT_MARKER, parseBypassData, buildBypassComment } from './pullRequest.js';
+
+// Slash commands accepted in pull request comments
+const JUSTIFY_COMMAND = /^\/bypass-justify(?:\s+([\s\S]*))?$/;
+const ACK_COMMAND = /^\/bypass-ack\s*$/;
+
+// Longest justification kept in the bypass comment
+const MAX_REASON_LENGTH = 2000;
+
+/**
+ * Parse a bypass slash command from a comment body
+ * @param {string} body - Comment body
+ * @returns {Object|null} - The command and, for /bypass-justify, the reason; null if the comment is not a command
+ */
+function parseCommand(body) {
+    const text = (body || '').trim();
+    const justify = text.match(JUSTIFY_COMMAND);
+    if (justify) {
+        return { command: 'justify', reason: (justify[1] || '').trim().substring(0, MAX_REASON_LENGTH) };
+    }
+    if (ACK_COMMAND.test(text)) {
+        return { command: 'ack' };
+    }
+    return null;
+}
+
+/**
+ * React to the command comment, so the commenter sees whether it was accepted
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} commentId - Command comment ID
+ * @param {string} content - Reaction
+ */
+async function react(octokit, owner, repo, commentId, content) {
+    try {
+        await addCommentReaction(octokit, owner, repo, commentId, content);
+    } catch (error) {
+        logger.warn(`Could not react to comment ${commentId}: ${error.message}`);
+    }
+}
+
+// Tail of the bypass commands running per pull request (owner/repo#number)
+const pullRequestCommands = new Map();
+
+/**
+ * Run a bypass command once every earlier command on the same pull request has settled.
+ * The queue runs jobs concurrently, and two commands reading and rewriting the bypass
+ * comment at the same time would lose one of the updates.
+ * @param {string} key - owner/repo#number
+ * @param {Function} run - Applies the command
+ * @returns {Promise<void>}
+ */
+function runInOrder(key, run) {
+    const result = (pullRequestCommands.get(key) || Promise.resolve()).then(run);
+    const settled = result.catch(() => {});
+    pullRequestCommands.set(key, settled);
+    settled.then(() => {
+        if (pullRequestCommands.get(key) === settled) {
+            pullRequestCommands.delete(key);
+        }
+    });
+    return result;
+}
+
+/**
+ * Apply a bypass command to the bypass comment of a pull request
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} config - Repository configuration
+ * @param {Object} request - The command and where it was posted
+ * @param {string} request.owner - Repository owner
+ * @param {string} request.repo - Repository name
+ * @param {Object} request.issue - Pull request issue from the payload
+ * @param {Object} request.comment - Command comment from the payload
+ * @param {Object} request.command - Parsed command, see parseCommand
+ * @param {Object} [bypassStore] - Store the review is recorded in
+ */
+async function applyCommand(octokit, config, { owner, repo, issue, comment, command }, bypassStore) {
+    const login = comment.user.login;
+
+    const bypassComment = await findCommentWithMarker(octokit, owner, repo, issue.number, BYPASS_COMMENT_MARKER);
+    if (!bypassComment) {
+        logger.info(`No bypass was reported on ${owner}/${repo}#${issue.number}, ignoring /bypass-${command.command}`);
+        await react(octokit, owner, repo, comment.id, 'confused');
+        return;
+    }
+
+    const data = parseBypassData(bypassComment);
+    const actors = [...data.repo, ...data.org].map(ruleSuite => ruleSuite.actor_name?.toLowerCase()).filter(Boolean);
+    const now = new Date().toISOString();
+
+    if (command.command === 'justify') {
+        if (!command.reason) {
+            logger.info(`Ignoring /bypass-justify from ${login} on #${issue.number} without a reason`);
+            await react(octokit, owner, repo, comment.id, 'confused');
+            return;
+        }
+        if (!actors.includes(login.toLowerCase())) {
+            logger.info(`Rejecting /bypass-justify from ${login} on #${issue.number}: only the actor who bypassed can justify`);
+            await react(octokit, owner, repo, comment.id, '-1');
+            return;
+        }
+        data.review = {
+            ...data.review,
+            justification: { actor: login, reason: command.reason, at: now, comment_url: comment.html_url || null }
+        };
+    } else {
+        if (actors.includes(login.toLowerCase())) {
+            logger.info(`Rejecting /bypass-ack from ${login} on #${issue.number}: the actor who bypassed cannot acknowledge it`);
+            await react(octokit, owner, repo, comment.id, '-1');
+            return;
+        }
+        if (config.approver_teams.length === 0 || !(await isMemberOfAnyTeam(octokit, owner, login, config.approver_teams))) {
+            logger.info(`Rejecting /bypass-ack from ${login} on #${issue.number}: not a member of an approver team`);
+            await react(octokit, owner, repo, comment.id, '-1');
+            return;
+        }
+        data.review = {
+            ...data.review,
+            acknowledgement: { actor: login, at: now, comment_url: comment.html_url || null }
+        };
+    }
+    data.review.status = data.review.acknowledgement ? 'acknowledged' : 'justified';
+
+    const pullRequest = await fetchPullRequestDetails(octokit, owner, repo, issue.number);
+    await updateComment(
+        octokit,
+        owner,
+        repo,
+        bypassComment.id,
+        buildBypassComment(owner, repo, issue.number, pullRequest.base.ref, config, data)
+    );
+    await recordReview(bypassStore, data, `${owner}/${repo}`);
+    await react(octokit, owner, repo, comment.id, '+1');
+    logger.info(`Bypass on ${owner}/${repo}#${issue.number} is now ${data.review.status} (by ${login})`);
+}
+
+/**
+ * Handle the issue comment event: `/bypass-justify <reason>` from the actor who bypassed,
+ * and `/bypass-ack` from an approver other than that actor, update the status shown in the bypass comment
+ * @param {Object} context - The webhook context
+ * @param {Object} context.payload - The webhook payload
+ * @param {Object} [context.bypassStore] - Store the review is recorded in
+ * @throws {Error} If the command could not be recorded and should be retried
+ */
+async function handleIssueComment(context) {
+    try {
+        const { issue, comment, sender, installation } = context.payload || {};
+        if (!issue || !comment) {
+            logger.error('No issue or comment in payload');
+            return;
+        }
+
+        const command = parseCommand(comment.body);
+        if (!command) {
+            logger.debug(`Comment ${comment.id} is not a bypass command`);
+            return;
+        }
+        // Commands only apply to bypass comments on pull requests, and bots cannot justify
+        if (!issue.pull_request || sender?.type === 'Bot') {
+            logger.info(`Ignoring /bypass-${command.command} in comment ${comment.id}: not a pull request comment by a user`);
+            return;
+        }
+
+        const [owner, repo] = context.payload.repository.full_name.split('/');
+        const login = comment.user.login;
+        logger.info(`Handling /bypass-${command.command} from ${login} on ${owner}/${repo}#${issue.number}`);
+
+        const octokit = await createOctokitClient(installation?.id);
+        if (!octokit) {
+            logger.error('Failed to create Octokit client, aborting bypass command');
+            return;
+        }
+
+        const config = await getRepoConfig(octokit, owner, repo);
+        if (!config.enabled) {
+            logger.info(`Bypass checker is disabled for ${owner}/${repo}, ignoring bypass command`);
+            return;
+        }
+
+        await runInOrder(`${owner}/${repo}#${issue.number}`, () => applyCommand(
+            octokit,
+            config,
+            { owner, repo, issue, comment, command },
+            context.bypassStore
+        ));
+    } catch (error) {
+        logger.error(`Error handling issue comment: ${error.message}`);
+        logger.debug(error.stack);
+        throw error;
+    }
+}
+
+export {
+    handleIssueComment,
+    parseCommand
+};
@@ -0,0 +1,200 @@
+import {
+    createOctokitClient,
+    checkRepoBypassedRuleSuites,
+    addRuleSuiteDetails,
+    findPullRequestForCommit,
+    upsertComment,
+    postCommitComment,
+    createIssue,
+    findOpenIssueWithMarker
+} from '../utils/github.js';
+import { getAuditConfig } from '../utils/config.js';
+import { formatRuleSuites } from '../utils/format.js';
+import { getRepoConfig, filterRuleSuites } from '../utils/repoConfig.js';
+import logger from '../utils/logger.js';
+import { recordBypasses } from '../stores/bypassEvents.js';
+import { notifyBypasses } from '../notifiers/index.js';
+import { classifyRuleSuites, hasPolicyAction } from '../utils/policy.js';
+
+// Prefix of the hidden marker identifying the audit issue opened for an override, and the
+// label every such issue gets so the lookup only lists those issues
+const AUDIT_ISSUE_MARKER = '<!-- ruleset-bypass-checker:policy-override-issue';
+const AUDIT_ISSUE_LABEL = 'ruleset-policy-override';
+
+/**
+ * Extract the branch, commit and actor of a policy override from the webhook payload
+ * @param {Object} payload - The protected_branch.policy_override webhook payload
+ * @returns {Object} - Override details with ref, branch, commitSha and actor
+ */
+function getOverrideDetails(payload) {
+    const ref = payload.ref ||
+        (payload.branch?.name ? `refs/heads/${payload.branch.name}` : null) ||
+        (payload.protected_branch?.name ? `refs/heads/${payload.protected_branch.name}` : null);
+    const branch = ref ? ref.replace(/^refs\/heads\//, '') : 'unknown';
+    const commitSha = payload.after || payload.head_commit?.id || payload.commit?.sha || payload.sha || null;
+    const actor = payload.sender?.login || payload.pusher?.name || 'Unknown';
+
+    return { ref, branch, commitSha, actor };
+}
+
+/**
+ * Handle the protected branch policy override event
+ * @param {Object} context - The webhook context
+ * @param {Object} context.payload - The webhook payload
+ * @param {string} [context.deliveryId] - GitHub delivery ID of the webhook
+ * @param {Object} [context.bypassStore] - Store that detected bypasses are recorded in
+ * @throws {Error} If the override could not be reported and should be retried
+ */
+async function handlePolicyOverride(context) {
+    try {
+        if (!context.payload) {
+            logger.error('No payload in webhook context');
+            return;
+        }
+
+        const repository = context.payload.repository;
+        if (!repository) {
+            logger.error('No repository in payload');
+            return;
+        }
+
+        const [owner, repo] = repository.full_name.split('/');
+        const { ref, branch, commitSha, actor } = getOverrideDetails(context.payload);
+
+        logger.info(`Handling policy override on ${owner}/${repo}@${branch} by ${actor} (commit: ${commitSha || 'unknown'})`);
+
+        const octokit = await createOctokitClient(context.payload.installation?.id);
+        if (!octokit) {
+            logger.error('Failed to create Octokit client, aborting policy override handling');
+            return;
+        }
+
+        const config = await getRepoConfig(octokit, owner, repo);
+        if (!config.enabled) {
+            logger.info(`Bypass checker is disabled for ${owner}/${repo}, skipping policy override`);
+            return;
+        }
+
+        // Include rule suite details when the override can be tied to a commit
+        let ruleSuites = [];
+        if (commitSha && ref) {
+            ruleSuites = await checkRepoBypassedRuleSuites(octokit, owner, repo, ref, commitSha, {
+                actor: context.payload.sender?.login
+            });
+            ruleSuites = await addRuleSuiteDetails(octokit, owner, repo, ruleSuites);
+            ruleSuites = await classifyRuleSuites(octokit, owner, ruleSuites, branch, config);
+        }
+        const timePeriod = config.insights_time_period;
+
+        const pullRequest = commitSha ?
+            await findPullRequestForCommit(octokit, owner, repo, commitSha) :
+            null;
+
+        // Keep every detected bypass, including the ones this repository does not report
+        const newBypasses = await recordBypasses(context.bypassStore, ruleSuites, {
+            repository: `${owner}/${repo}`,
+            source: 'repository',
+            trigger: 'policy_override',
+            pullRequest,
+            deliveryId: context.deliveryId
+        });
+        await notifyBypasses(newBypasses.filter(event => hasPolicyAction(event.classification, 'notify', config)), config.notifications);
+        ruleSuites = filterRuleSuites(ruleSuites, config);
+
+        // Overrides tied to rule suites are only reported when a policy asks for a comment
+        if (ruleSuites.length > 0 && !ruleSuites.some(ruleSuite => hasPolicyAction(ruleSuite.classification, 'comment', config))) {
+            logger.info(`Policy override on ${owner}/${repo}@${branch} is not reported under the repository's policies`);
+            return;
+        }
+
+        if (pullRequest) {
+            logger.info(`Policy override on ${commitSha} belongs to PR #${pullRequest.number}`);
+            // One comment per overridden commit, so redeliveries edit it instead of adding another
+            await upsertComment(
+                octokit,
+                owner,
+                repo,
+                pullRequest.number,
+                `<!-- ruleset-bypass-checker:policy-override:${commitSha} -->`,
+                () => buildOverrideComment(owner, repo, branch, commitSha, actor, ruleSuites, timePeriod, 'This pull request was merged with a branch protection policy override.')
+            );
+            return;
+        }
+
+        const { auditRepository, auditIssueLabels } = getAuditConfig();
+
+        if (auditRepository) {
+            // One issue per overridden commit, so redeliveries, retries and replays find it instead of opening another
+            const marker = `${AUDIT_ISSUE_MARKER} ${owner}/${repo}@${commitSha || context.deliveryId || branch} -->`;
+            const existing = await findOpenIssueWithMarker(octokit, auditRepository.owner, auditRepository.repo, marker, AUDIT_ISSUE_LABEL);
+            if (existing) {
+                logger.info(`Tracking issue ${auditRepository.owner}/${auditRepository.repo}#${existing.number} is already open for the policy override on ${owner}/${repo}@${branch}`);
+                return;
+            }
+
+            logger.info(`No pull request found for policy override, opening tracking issue in ${auditRepository.owner}/${auditRepository.repo}`);
+            await createIssue(
+                octokit,
+                auditRepository.owner,
+                auditRepository.repo,
+                `Policy override on ${owner}/${repo}@${branch} by ${actor}`,
+                `${marker}\n${buildOverrideComment(owner, repo, branch, commitSha, actor, ruleSuites, timePeriod, `A branch protection policy was overridden on \`${owner}/${repo}\` without a pull request.`)}`,
+                [...new Set([AUDIT_ISSUE_LABEL, ...auditIssueLabels])]
+            );
+        } else if (commitSha) {
+            logger.info(`No pull request or audit repository found for policy override, commenting on commit ${commitSha}`);
+            await postCommitComment(
+                octokit,
+                owner,
+                repo,
+                commitSha,
+                buildOverrideComment(owner, repo, branch, commitSha, actor, ruleSuites, timePeriod, 'This commit was pushed with a branch protection policy override.')
+            );
+        } else {
+            logger.warn(`Policy override on ${owner}/${repo}@${branch} could not be tied to a commit and no AUDIT_REPOSITORY is configured`);
+        }
+    } catch (error) {
+        logger.error(`Error handling policy override: ${error.message}`);
+        logger.debug(error.stack);
+        throw error;
+    }
+}
+
+/**
+ * Build the markdown body describing a policy override
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch the override happened on
+ * @param {string|null} commitSha - Commit SHA pushed with the override
+ * @param {string} actor - Login of the user who overrode the policy
+ * @param {Array} ruleSuites - Array of bypassed rule suite objects for the commit
+ * @param {string} summary - Opening sentence for the comment
+ * @returns {string} - Formatted markdown string
+ */
+function buildOverrideComment(owner, repo, branch, commitSha, actor, ruleSuites, timePeriod, summary) {
+    const repoRulesetUrl = `https://github.com/${owner}/${repo}/settings/rules/insights?ref=${encodeURIComponent(`refs/heads/${branch}`)}&time_period=${timePeriod}&rule_status=bypass`;
+    const commitLine = commitSha ?
+        `[${commitSha.substring(0, 7)}](https://github.com/${owner}/${repo}/commit/${commitSha})` :
+        'Unknown';
+
+    return `## 🚨 Branch Protection Policy Override Detected
+
+${summary}
+
+- **Repository:** ${owner}/${repo}
+- **Branch:** ${branch}
+- **Commit:** ${commitLine}
+- **Actor:** ${actor}
+
+[View Bypassed Repository Ruleset Insights](${repoRulesetUrl})
+
+${formatRuleSuites(ruleSuites, { owner, repo })}
+
+---
+
+Please ensure these bypasses comply with your organization's governance policies. Bypassing ruleset protections may introduce security, quality, or compliance risks.`;
+}
+
+export {
+    handlePolicyOverride
+};
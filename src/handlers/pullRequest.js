@@ -1,23 +1,140 @@
-import { createOctokitClient, postComment, checkRepoBypassedRuleSuites } from '../utils/github.js';
+import { Buffer } from 'node:buffer';
+import {
+    createOctokitClient,
+    postComment,
+    checkRepoBypassedRuleSuites,
+    checkOrgBypassedRuleSuites,
+    addRuleSuiteDetails,
+    findCommentWithMarker,
+    updateComment,
+    upsertComment,
+    addLabels,
+    createIssue,
+    findOpenIssueWithMarker,
+    createCheckRun
+} from '../utils/github.js';
+import { getAuditConfig, getCheckRunConfig, getRecheckConfig } from '../utils/config.js';
 import logger from '../utils/logger.js';
+import { formatRuleSuites, formatRuleType, getRulesetUrl } from '../utils/format.js';
+import { getUnmetRules } from '../utils/rules.js';
+import { revertUnapprovedBypass } from '../utils/revert.js';
+import { classifyRuleSuites, hasPolicyAction } from '../utils/policy.js';
+import { withSpan } from '../utils/tracing.js';
+import { recordBypasses } from '../stores/bypassEvents.js';
+import { notifyBypasses } from '../notifiers/index.js';
+import { getRepoConfig, filterRuleSuites, filterUnmetRules, renderCommentTemplate } from '../utils/repoConfig.js';
+
+// Hidden marker used to find and update the pre-merge warning comment
+const PRE_MERGE_WARNING_MARKER = '<!-- ruleset-bypass-checker:pre-merge-warning -->';
+
+// Hidden marker used to find the bypass comment, and the prefix of the hidden
+// block that stores the reported rule suites so later runs can merge into it
+const BYPASS_COMMENT_MARKER = '<!-- ruleset-bypass-checker:bypass -->';
+const BYPASS_DATA_PREFIX = '<!-- ruleset-bypass-checker:bypass-data ';
+
+// Prefix of the hidden marker identifying the follow-up issue opened for a pull request, and the
+// label every follow-up issue gets so the lookup only lists those issues
+const FOLLOW_UP_ISSUE_MARKER = '<!-- ruleset-bypass-checker:follow-up';
+const FOLLOW_UP_ISSUE_LABEL = 'ruleset-bypass-follow-up';
+
+// Pull request actions that trigger a pre-merge bypass risk check
+const PRE_MERGE_ACTIONS = ['opened', 'reopened', 'synchronize', 'ready_for_review'];
+
 /**
- * Validate if a ruleset is being bypassed
+ * Validate if merging an open pull request would require a ruleset bypass
  * @param {Object} pullRequest - Pull request object from webhook payload
- * @returns {boolean} - Returns true if ruleset is valid, false if bypassed
+ * @param {number} [installationId] - Installation ID of the webhook delivery
+ * @returns {Promise<boolean>} - Returns true if every rule is satisfied, false if merging would require a bypass
  */
-function validateRuleset(pullRequest) {
+async function validateRuleset(pullRequest, installationId) {
     try {
         logger.info(`Reviewing ruleset for PR #${pullRequest.number}`);
-        return true; 
+        
+        const [owner, repo] = pullRequest.base.repo.full_name.split('/');
+        
+        const octokit = await createOctokitClient(installationId);
+        if (!octokit) {
+            logger.error('Failed to create Octokit client, aborting ruleset validation');
+            return true;
+        }
+        
+        const config = await getRepoConfig(octokit, owner, repo);
+        if (!config.enabled) {
+            logger.info(`Bypass checker is disabled for ${owner}/${repo}, skipping ruleset validation`);
+            return true;
+        }
+        
+        const unmetRules = filterUnmetRules(await getUnmetRules(octokit, owner, repo, pullRequest), config);
+        const existingWarning = await findCommentWithMarker(octokit, owner, repo, pullRequest.number, PRE_MERGE_WARNING_MARKER);
+        
+        if (unmetRules.length > 0) {
+            logger.info(`PR #${pullRequest.number} does not satisfy ${unmetRules.length} rules, merging now would require a bypass`);
+            const comment = buildPreMergeWarning(owner, repo, pullRequest.base.ref, unmetRules);
+            
+            if (existingWarning) {
+                await updateComment(octokit, owner, repo, existingWarning.id, comment);
+            } else {
+                await postComment(octokit, owner, repo, pullRequest.number, comment);
+            }
+            return false;
+        }
+        
+        logger.info(`PR #${pullRequest.number} satisfies all rules for ${pullRequest.base.ref}`);
+        
+        // Only touch the conversation if an earlier warning needs to be resolved
+        if (existingWarning) {
+            await updateComment(octokit, owner, repo, existingWarning.id, `${PRE_MERGE_WARNING_MARKER}
+## ✅ Ruleset Requirements Met
+
+This pull request now satisfies every ruleset that applies to \`${pullRequest.base.ref}\`. It can be merged without a bypass.`);
+        }
+        return true;
     } catch (error) {
         logger.error(`Error validating ruleset: ${error.message}`);
         return true;
     }
 }
 
+/**
+ * Build the pre-merge warning comment listing the unmet rules
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} baseRef - Base branch of the pull request
+ * @param {Array} unmetRules - Array of unmet rule objects from getUnmetRules
+ * @returns {string} - Formatted markdown string
+ */
+function buildPreMergeWarning(owner, repo, baseRef, unmetRules) {
+    const rulesUrl = `https://github.com/${owner}/${repo}/rules?ref=${encodeURIComponent(`refs/heads/${baseRef}`)}`;
+    const rules = unmetRules.map((rule) => {
+        const name = rule.ruleset_name || (rule.ruleset_id ? `Ruleset ${rule.ruleset_id}` : 'Unknown ruleset');
+        // Organization rulesets are edited in the organization settings, not the repository
+        const location = rule.ruleset_source_type === 'Organization' ? { owner: rule.ruleset_source || owner } : { owner, repo };
+        const ruleset = rule.ruleset_id ? `[${name}](${getRulesetUrl(rule.ruleset_id, location)})` : name;
+        return `- **${formatRuleType(rule.type)}** _(${ruleset}${rule.ruleset_source ? ` from ${rule.ruleset_source}` : ''})_: ${rule.reason}`;
+    }).join('\n');
+    
+    return `${PRE_MERGE_WARNING_MARKER}
+## ⚠️ Merging Now Would Require a Ruleset Bypass
+
+This pull request does not yet satisfy the following rules for \`${baseRef}\`:
+
+${rules}
+
+[View Rules for ${baseRef}](${rulesUrl})
+
+---
+
+Merging before these rules are satisfied requires an administrator to bypass the ruleset. Bypasses are reported on this pull request after merge.`;
+}
+
 /**
  * Handle the pull request event
  * @param {Object} context - The webhook context
+ * @param {Object} context.payload - The webhook payload
+ * @param {string} [context.deliveryId] - GitHub delivery ID of the webhook
+ * @param {Function} [context.scheduleRecheck] - Schedules a delayed bypass re-check, see handleBypassRecheck
+ * @param {Object} [context.bypassStore] - Store that detected bypasses are recorded in
+ * @throws {Error} If the bypass check failed and should be retried
  */
 async function handlePullRequest(context) {
     try {
@@ -33,25 +150,79 @@ async function handlePullRequest(context) {
         }
 
         const action = context.payload.action;
+        const installationId = context.payload.installation?.id;
         logger.info(`Processing pull request #${pullRequest.number}, action: ${action}`);
 
         // Only process merged pull requests when they're closed
         if (action === 'closed' && pullRequest.merged === true) {
             logger.info(`Pull request #${pullRequest.number} was merged, checking for ruleset bypasses`);
-            await handlePullRequestClosed(pullRequest);
+            await handlePullRequestClosed(pullRequest, installationId, {
+                attempt: 0,
+                schedule: context.scheduleRecheck,
+                bypassStore: context.bypassStore,
+                deliveryId: context.deliveryId
+            });
+        } else if (PRE_MERGE_ACTIONS.includes(action) && pullRequest.state === 'open' && !pullRequest.draft) {
+            logger.info(`Pull request #${pullRequest.number} was ${action}, checking for bypass risk before merge`);
+            await validateRuleset(pullRequest, installationId);
         } else {
             logger.info(`Skipping ruleset bypass check for PR #${pullRequest.number} - not a merged PR`);
         }
     } catch (error) {
         logger.error(`Error handling pull request: ${error.message}`);
+        throw error;
     }
 }
 
+/**
+ * Re-check a merged pull request whose rule suites were not queryable yet
+ * @param {Object} job - Re-check job data
+ * @param {Object} job.pullRequest - The pull request object from webhook payload
+ * @param {number} [job.installationId] - Installation ID of the webhook delivery
+ * @param {number} job.attempt - Number of this re-check, starting at 1
+ * @param {string} [job.deliveryId] - GitHub delivery ID of the merge webhook
+ * @param {Object} context - Same services as the handlePullRequest context
+ * @param {Function} context.scheduleRecheck - Schedules the next re-check
+ * @param {Object} [context.bypassStore] - Store that detected bypasses are recorded in
+ * @throws {Error} If the bypass check failed and should be retried
+ */
+async function handleBypassRecheck({ pullRequest, installationId, attempt, deliveryId }, { scheduleRecheck, bypassStore }) {
+    logger.info(`Re-checking merged pull request #${pullRequest.number} for ruleset bypasses (re-check ${attempt})`);
+    await handlePullRequestClosed(pullRequest, installationId, { attempt, schedule: scheduleRecheck, bypassStore, deliveryId });
+}
+
 /**
  * Handle the pull request closed event
  * @param {Object} pullRequest - The pull request object from webhook payload
+ * @param {number} [installationId] - Installation ID of the webhook delivery
+ * @param {Object} [options] - Processing options
+ * @param {number} [options.attempt=0] - Re-checks already made, 0 for the merge webhook itself
+ * @param {Function} [options.schedule] - Schedules a re-check with (data, delayMs); re-checks are skipped without it
+ * @param {boolean} [options.publishCheckRun=true] - Set to false to leave the merge commit's checks alone, e.g. when backfilling
+ * @param {boolean} [options.followUp=true] - Set to false to only record and comment on bypasses, without notifying,
+ *   opening follow-up issues or reverting, e.g. when backfilling
+ * @param {Object} [options.bypassStore] - Store that detected bypasses are recorded in
+ * @param {string} [options.deliveryId] - GitHub delivery ID of the merge webhook
+ * @returns {Promise<boolean>} - True if bypasses were reported on the pull request
+ */
+async function handlePullRequestClosed(pullRequest, installationId, options = {}) {
+    return withSpan('handlePullRequestClosed', {
+        'github.repository': pullRequest.base?.repo?.full_name,
+        'github.pull_request': pullRequest.number,
+        'github.merge_commit_sha': pullRequest.merge_commit_sha,
+        'bypass_checker.attempt': options.attempt ?? 0
+    }, span => checkClosedPullRequest(pullRequest, installationId, options, span));
+}
+
+/**
+ * Check a merged pull request for bypasses and act on them, see handlePullRequestClosed
+ * @param {Object} pullRequest - The pull request object from webhook payload
+ * @param {number} [installationId] - Installation ID of the webhook delivery
+ * @param {Object} options - Processing options of handlePullRequestClosed
+ * @param {Object} span - The handlePullRequestClosed span, which records the detected and reported bypasses
+ * @returns {Promise<boolean>} - True if bypasses were reported on the pull request
  */
-async function handlePullRequestClosed(pullRequest) {
+async function checkClosedPullRequest(pullRequest, installationId, { attempt = 0, schedule, publishCheckRun = true, followUp = true, bypassStore, deliveryId } = {}, span) {
     try {
         logger.info(`Handling closed pull request #${pullRequest.number}`);
         
@@ -62,115 +233,504 @@ async function handlePullRequestClosed(pullRequest) {
         // Exit if no merge commit (PR was closed without merging)
         if (!mergeCommitSha) {
             logger.info('Pull request was closed without merging, skipping ruleset check');
-            return;
+            return false;
         }
         
         logger.info(`Checking rule suites for base ref: ${baseRef} and merge commit: ${mergeCommitSha}`);
         
         // Get authenticated Octokit client
-        const octokit = await createOctokitClient();
+        const octokit = await createOctokitClient(installationId);
         if (!octokit) {
             logger.error('Failed to create Octokit client, aborting ruleset check');
-            return;
+            return false;
+        }
+        
+        const config = await getRepoConfig(octokit, owner, repo);
+        if (!config.enabled) {
+            logger.info(`Bypass checker is disabled for ${owner}/${repo}, skipping ruleset check`);
+            return false;
         }
         
+        // Only search rule suites from around the merge, pushed by whoever merged
+        const ruleSuiteFilters = {
+            since: pullRequest.merged_at,
+            actor: pullRequest.merged_by?.login
+        };
+        
         // Initialize variables to collect bypass information
         let repoBypassedRuleSuites = [];
+        let orgBypassedRuleSuites = [];
+        let newBypasses = [];
         
-        try {
+        // A failed lookup is thrown, so the job is retried instead of reporting the merge as clean
+        if (config.scope.includes('repository')) {
             repoBypassedRuleSuites = await checkRepoBypassedRuleSuites(
                 octokit, 
                 owner, 
                 repo,  // Including repo indicates repo-level check
                 baseRef, 
-                mergeCommitSha
+                mergeCommitSha,
+                ruleSuiteFilters
             );
             
             if (repoBypassedRuleSuites && repoBypassedRuleSuites.length > 0) {
                 logger.info(`Found ${repoBypassedRuleSuites.length} bypassed repo-level rule suites for PR #${pullRequest.number}`);
-                
-                // Post a comment with the bypassed rules
-                await postRulesetBypassComment(
-                    octokit,
-                    owner,
-                    repo,
-                    pullRequest.number,
-                    repoBypassedRuleSuites,
-                    baseRef
-                );
             } else {
                 logger.info(`No bypassed repo-level rule suites found for PR #${pullRequest.number}`);
             }
-        } catch (error) {
-            logger.warn(`Could not check repo-level rule suites: ${error.message}`);
+        } else {
+            logger.info(`Repository-level checks are not in scope for ${owner}/${repo}`);
         }
+        
+        // Organization rulesets only exist for repositories owned by an organization
+        if (!config.scope.includes('organization')) {
+            logger.info(`Organization-level checks are not in scope for ${owner}/${repo}`);
+        } else if (pullRequest.base.repo.owner?.type !== 'User') {
+            orgBypassedRuleSuites = await checkOrgBypassedRuleSuites(
+                octokit,
+                owner,
+                repo,
+                baseRef,
+                mergeCommitSha,
+                ruleSuiteFilters
+            );
+            
+            if (orgBypassedRuleSuites && orgBypassedRuleSuites.length > 0) {
+                logger.info(`Found ${orgBypassedRuleSuites.length} bypassed org-level rule suites for PR #${pullRequest.number}`);
+            } else {
+                logger.info(`No bypassed org-level rule suites found for PR #${pullRequest.number}`);
+            }
+        } else {
+            logger.info(`Skipping org-level rule suite check for user-owned repository ${owner}/${repo}`);
+        }
+        
+        const detectedCount = repoBypassedRuleSuites.length + orgBypassedRuleSuites.length;
+        span.setAttribute('bypass_checker.bypasses_detected', detectedCount);
+        let commentRepoRuleSuites = [];
+        let commentOrgRuleSuites = [];
+        
+        if (detectedCount > 0) {
+            // Fetch the rule evaluations so the comment can name each bypassed rule
+            repoBypassedRuleSuites = await addRuleSuiteDetails(octokit, owner, repo, repoBypassedRuleSuites);
+            orgBypassedRuleSuites = await addRuleSuiteDetails(octokit, owner, null, orgBypassedRuleSuites);
+            
+            // The repository's policies classify each bypass, and the classification decides what is done about it
+            repoBypassedRuleSuites = await classifyRuleSuites(octokit, owner, repoBypassedRuleSuites, baseRef, config);
+            orgBypassedRuleSuites = await classifyRuleSuites(octokit, owner, orgBypassedRuleSuites, baseRef, config);
+            
+            // Keep every detected bypass, including the ones this repository does not report
+            const detection = { repository: `${owner}/${repo}`, trigger: 'pull_request', pullRequest, deliveryId };
+            newBypasses = [
+                ...await recordBypasses(bypassStore, repoBypassedRuleSuites, { ...detection, source: 'repository' }),
+                ...await recordBypasses(bypassStore, orgBypassedRuleSuites, { ...detection, source: 'organization' })
+            ];
+            // Only bypasses the store saw for the first time, so re-checks and redeliveries do not notify twice
+            if (followUp) {
+                await notifyBypasses(newBypasses.filter(event => hasPolicyAction(event.classification, 'notify', config)), config.notifications);
+            }
+            
+            // Only report the rulesets and rule types the repository is configured to report
+            repoBypassedRuleSuites = filterRuleSuites(repoBypassedRuleSuites, config);
+            orgBypassedRuleSuites = filterRuleSuites(orgBypassedRuleSuites, config);
+            commentRepoRuleSuites = repoBypassedRuleSuites.filter(ruleSuite => hasPolicyAction(ruleSuite.classification, 'comment', config));
+            commentOrgRuleSuites = orgBypassedRuleSuites.filter(ruleSuite => hasPolicyAction(ruleSuite.classification, 'comment', config));
+        }
+        
+        if (commentRepoRuleSuites.length > 0 || commentOrgRuleSuites.length > 0) {
+            // Post a comment with the bypassed rules
+            await postRulesetBypassComment(
+                octokit,
+                owner,
+                repo,
+                pullRequest.number,
+                commentRepoRuleSuites,
+                commentOrgRuleSuites,
+                baseRef,
+                config
+            );
+            
+            if (config.labels.length > 0) {
+                try {
+                    await addLabels(octokit, owner, repo, pullRequest.number, config.labels);
+                } catch (error) {
+                    logger.warn(`Could not label PR #${pullRequest.number}: ${error.message}`);
+                }
+            }
+        } else if (detectedCount > 0) {
+            logger.info(`The ${detectedCount} bypass(es) on PR #${pullRequest.number} are not reported under the repository's configuration and policies`);
+        }
+        
+        // Follow-ups run on every attempt, and find the issue or revert an earlier attempt opened
+        const withAction = (ruleSuites, action) => ruleSuites.filter(ruleSuite => hasPolicyAction(ruleSuite.classification, action, config));
+        
+        if (followUp && config.follow_up_issue.enabled && withAction([...repoBypassedRuleSuites, ...orgBypassedRuleSuites], 'issue').length > 0) {
+            await openFollowUpIssue(octokit, pullRequest, withAction(repoBypassedRuleSuites, 'issue'), withAction(orgBypassedRuleSuites, 'issue'), config);
+        }
+        if (followUp && config.auto_revert.enabled && withAction([...repoBypassedRuleSuites, ...orgBypassedRuleSuites], 'revert').length > 0) {
+            await revertUnapprovedBypass(octokit, pullRequest, withAction(repoBypassedRuleSuites, 'revert'), withAction(orgBypassedRuleSuites, 'revert'), config);
+        }
+        
+        if (detectedCount === 0) {
+            // Rule suites can show up in the API a while after the merge webhook,
+            // so look again before recording that nothing was bypassed
+            const { delaysSeconds } = getRecheckConfig();
+            if (schedule && attempt < delaysSeconds.length) {
+                const delaySeconds = delaysSeconds[attempt] - (attempt > 0 ? delaysSeconds[attempt - 1] : 0);
+                await schedule({ pullRequest, installationId, attempt: attempt + 1, deliveryId }, delaySeconds * 1000);
+                span.addEvent('recheck.scheduled', { 'bypass_checker.delay_seconds': delaySeconds });
+                logger.info(`No bypass found yet for PR #${pullRequest.number}, re-checking in ${delaySeconds}s (${attempt + 1}/${delaysSeconds.length})`);
+                return false;
+            }
+            
+            logger.info(`Ruleset bypass check for PR #${pullRequest.number} completed cleanly after ${attempt + 1} check(s)`);
+        }
+        
+        const reportedCount = commentRepoRuleSuites.length + commentOrgRuleSuites.length;
+        span.setAttribute('bypass_checker.bypasses_reported', reportedCount);
+        if (publishCheckRun) {
+            await publishBypassCheckRun(octokit, pullRequest, commentRepoRuleSuites, commentOrgRuleSuites, config, detectedCount - reportedCount);
+        }
+        return reportedCount > 0;
     } catch (error) {
         logger.error(`Error processing closed pull request: ${error.message}`);
         logger.debug(error.stack);
+        throw error;
     }
 }
 
 
 /**
- * Post a comment about bypassed rulesets to the pull request
- * @param {Object} octokit - Authenticated Octokit client
+ * Format the repository and organization bypass sections shared by the comment and check run
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
- * @param {number} pullNumber - Pull request number
- * @param {Array} ruleSuites - Array of bypassed rule suite objects
+ * @param {Array} repoRuleSuites - Array of bypassed repo-level rule suite objects
+ * @param {Array} orgRuleSuites - Array of bypassed org-level rule suite objects
  * @param {string} baseRef - Base reference (branch) of the pull request
+ * @param {string} timePeriod - Time period shown on the ruleset insights pages
+ * @returns {string} - Formatted markdown string
  */
-async function postRulesetBypassComment(octokit, owner, repo, pullNumber, ruleSuites, baseRef) {
-    try {
+function formatBypassSections(owner, repo, repoRuleSuites, orgRuleSuites, baseRef, timePeriod) {
+    const sections = [];
+    
+    if (repoRuleSuites.length > 0) {
         // Create URL to repo ruleset insights filtered for bypassed rules
-        const repoRulesetUrl = `https://github.com/${owner}/${repo}/settings/rules/insights?ref=${encodeURIComponent(baseRef)}&time_period=day&rule_status=bypass`;
+        const repoRulesetUrl = `https://github.com/${owner}/${repo}/settings/rules/insights?ref=${encodeURIComponent(baseRef)}&time_period=${timePeriod}&rule_status=bypass`;
         
-        const comment = `## 🚨 Ruleset Bypass Detected
+        sections.push(`### Repository-Level Bypasses
+[View Bypassed Repository Ruleset Insights](${repoRulesetUrl})
 
-This pull request was merged with bypassed ruleset(s).
+${formatRuleSuites(repoRuleSuites, { owner, repo })}`);
+    }
+    
+    if (orgRuleSuites.length > 0) {
+        // Create URL to org ruleset insights filtered for bypassed rules
+        const orgRulesetUrl = `https://github.com/organizations/${owner}/settings/rules/insights?ref=${encodeURIComponent(baseRef)}&time_period=${timePeriod}&rule_status=bypass`;
+        
+        sections.push(`### Organization-Level Bypasses
+[View Bypassed Organization Ruleset Insights](${orgRulesetUrl})
 
-### Repository-Level Bypasses
-[View Bypassed Repository Ruleset Insights](${repoRulesetUrl})
+${formatRuleSuites(orgRuleSuites, { owner })}`);
+    }
+    
+    return sections.join('\n\n');
+}
 
-${formatRuleSuites(ruleSuites)}
+/**
+ * Read the rule suites reported by an earlier bypass comment, and the justification review
+ * @param {Object|null} comment - Existing bypass comment
+ * @returns {Object} - Previously reported repo and org rule suites, and the review or null
+ */
+function parseBypassData(comment) {
+    const empty = { repo: [], org: [], review: null };
+    if (!comment || !comment.body) {
+        return empty;
+    }
+    
+    const start = comment.body.indexOf(BYPASS_DATA_PREFIX);
+    if (start === -1) {
+        return empty;
+    }
+    const end = comment.body.indexOf(' -->', start);
+    
+    try {
+        const encoded = comment.body.substring(start + BYPASS_DATA_PREFIX.length, end);
+        const data = JSON.parse(Buffer.from(encoded, 'base64').toString('utf8'));
+        return {
+            repo: Array.isArray(data.repo) ? data.repo : [],
+            org: Array.isArray(data.org) ? data.org : [],
+            review: data.review && typeof data.review === 'object' ? data.review : null
+        };
+    } catch (error) {
+        logger.warn(`Could not read previous bypass data from comment ${comment.id}: ${error.message}`);
+        return empty;
+    }
+}
 
----
+/**
+ * Keep only the rule suite fields the comment needs, so the stored data stays small
+ * @param {Object} ruleSuite - Rule suite object
+ * @returns {Object} - Compact rule suite object
+ */
+function compactRuleSuite(ruleSuite) {
+    const { id, before_sha, after_sha, ref, actor_name, status, result, pushed_at, classification, policy, rule_evaluations } = ruleSuite;
+    return {
+        id,
+        before_sha,
+        after_sha,
+        ref,
+        actor_name,
+        status,
+        result,
+        pushed_at,
+        classification,
+        policy,
+        rule_evaluations: Array.isArray(rule_evaluations) ?
+            rule_evaluations.map(({ rule_source, enforcement, result, rule_type }) => ({ rule_source, enforcement, result, rule_type })) :
+            undefined
+    };
+}
+
+/**
+ * Merge newly found rule suites into the ones already reported, keyed by rule suite ID
+ * @param {Array} previous - Rule suites from the existing comment
+ * @param {Array} current - Rule suites found in this run
+ * @returns {Array} - Merged rule suites, newer data replacing older entries
+ */
+function mergeRuleSuites(previous, current) {
+    const merged = new Map();
+    for (const ruleSuite of [...previous, ...current.map(compactRuleSuite)]) {
+        const key = ruleSuite.id ?? `${ruleSuite.after_sha}:${ruleSuite.pushed_at}`;
+        merged.set(key, ruleSuite);
+    }
+    return [...merged.values()];
+}
+
+/**
+ * Quote text as a markdown block quote
+ * @param {string} text - Text to quote
+ * @returns {string} - Quoted text
+ */
+function quote(text) {
+    return text.split('\n').map(line => `> ${line}`).join('\n');
+}
+
+/**
+ * Format the justification status shown at the end of the bypass comment
+ * @param {Object|null} review - Justification review from the comment data
+ * @returns {string} - Formatted markdown string
+ */
+function formatReviewStatus(review) {
+    const justification = review?.justification;
+    const acknowledgement = review?.acknowledgement;
+    const lines = [];
+    
+    if (acknowledgement) {
+        lines.push('### Justification Status: ✅ Acknowledged');
+    } else if (justification) {
+        lines.push('### Justification Status: 📝 Justified');
+    } else {
+        lines.push('### Justification Status: ⏳ Pending');
+    }
+    
+    if (justification) {
+        lines.push('', `Justified by @${justification.actor} on ${justification.at.substring(0, 10)}:`, '', quote(justification.reason));
+    } else {
+        lines.push('', 'The actor who bypassed can explain why by replying `/bypass-justify <reason>`.');
+    }
+    
+    if (acknowledgement) {
+        lines.push('', `Acknowledged by @${acknowledgement.actor} on ${acknowledgement.at.substring(0, 10)}.`);
+    } else {
+        lines.push('', 'A member of an approver team confirms the bypass by replying `/bypass-ack`.');
+    }
+    
+    return lines.join('\n');
+}
+
+/**
+ * Build the bypass comment body, with the rule suites and review stored in a hidden block
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} pullNumber - Pull request number
+ * @param {string} baseRef - Base reference (branch) of the pull request
+ * @param {Object} config - Effective repository configuration
+ * @param {Object} data - Reported repo and org rule suites and the justification review
+ * @returns {string} - Comment body
+ */
+function buildBypassComment(owner, repo, pullNumber, baseRef, config, { repo: repoRuleSuites, org: orgRuleSuites, review }) {
+    const mentions = config.reviewers.length > 0 ?
+        `\n\ncc ${config.reviewers.map(reviewer => `@${reviewer.replace(/^@/, '')}`).join(' ')}` :
+        '';
+    
+    const data = Buffer.from(JSON.stringify({ repo: repoRuleSuites, org: orgRuleSuites, review })).toString('base64');
+    const comment = renderCommentTemplate(config.comment.template, {
+        bypasses: formatBypassSections(owner, repo, repoRuleSuites, orgRuleSuites, baseRef, config.insights_time_period),
+        mentions,
+        repository: `${owner}/${repo}`,
+        pr_number: pullNumber,
+        base_ref: baseRef,
+        bypass_count: repoRuleSuites.length + orgRuleSuites.length
+    });
+    
+    return `${BYPASS_COMMENT_MARKER}\n${BYPASS_DATA_PREFIX}${data} -->\n${comment}\n\n${formatReviewStatus(review)}`;
+}
 
-Please ensure these bypasses comply with your organization's governance policies. Bypassing ruleset protections may introduce security, quality, or compliance risks.`;
+/**
+ * Post a comment about bypassed rulesets to the pull request, or update the
+ * existing one with the merged set of bypasses
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} pullNumber - Pull request number
+ * @param {Array} repoRuleSuites - Array of bypassed repo-level rule suite objects
+ * @param {Array} orgRuleSuites - Array of bypassed org-level rule suite objects
+ * @param {string} baseRef - Base reference (branch) of the pull request
+ * @param {Object} config - Effective repository configuration
+ */
+async function postRulesetBypassComment(octokit, owner, repo, pullNumber, repoRuleSuites, orgRuleSuites, baseRef, config) {
+    try {
+        let bypassCount = 0;
+        
+        const updated = await upsertComment(octokit, owner, repo, pullNumber, BYPASS_COMMENT_MARKER, (existing) => {
+            const previous = parseBypassData(existing);
+            const data = {
+                repo: mergeRuleSuites(previous.repo, repoRuleSuites),
+                org: mergeRuleSuites(previous.org, orgRuleSuites),
+                // Keep the justification when later re-checks add bypasses
+                review: previous.review
+            };
+            bypassCount = data.repo.length + data.org.length;
+            return buildBypassComment(owner, repo, pullNumber, baseRef, config, data);
+        });
         
-        await postComment(octokit, owner, repo, pullNumber, comment);
-        logger.info(`Posted ruleset bypass comment on PR #${pullNumber} with ${ruleSuites.length} bypasses`);
+        logger.info(`${updated ? 'Updated' : 'Posted'} ruleset bypass comment on PR #${pullNumber} with ${bypassCount} bypasses`);
     } catch (error) {
         logger.error(`Error posting ruleset bypass comment: ${error.message}`);
+        throw error;
     }
 }
 
 /**
- * Format rule suites information into readable markdown
- * @param {Array} ruleSuites - Array of rule suite objects
- * @returns {string} - Formatted markdown string
+ * Open an issue asking the bypassing actors to justify the bypass by a due date, unless
+ * an open follow-up issue for the pull request already exists
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} pullRequest - The pull request object from webhook payload
+ * @param {Array} repoRuleSuites - Array of bypassed repo-level rule suite objects
+ * @param {Array} orgRuleSuites - Array of bypassed org-level rule suite objects
+ * @param {Object} config - Effective repository configuration
+ * @returns {Promise<Object>} - The created or existing issue
+ * @throws {Error} If the issue could not be opened, so the check is retried
  */
-function formatRuleSuites(ruleSuites) {
-    if (!ruleSuites || ruleSuites.length === 0) {
-        return '';
+async function openFollowUpIssue(octokit, pullRequest, repoRuleSuites, orgRuleSuites, config) {
+    const [owner, repo] = pullRequest.base.repo.full_name.split('/');
+    const { repository, due_in_days: dueInDays } = config.follow_up_issue;
+    const labels = [...new Set([FOLLOW_UP_ISSUE_LABEL, ...config.follow_up_issue.labels])];
+    
+    let target = { owner, repo };
+    if (repository === 'audit') {
+        const { auditRepository } = getAuditConfig();
+        if (auditRepository) {
+            target = auditRepository;
+        } else {
+            logger.warn(`No AUDIT_REPOSITORY is configured, opening the follow-up issue for PR #${pullRequest.number} in ${owner}/${repo}`);
+        }
     }
     
-    return ruleSuites.map((ruleSuite) => {
-        // Extract ruleset information with fallbacks for different API response formats
-        const beforeSha = ruleSuite.before_sha ? ruleSuite.before_sha.substring(0, 7) : 'Unknown';
-        const afterSha = ruleSuite.after_sha ? ruleSuite.after_sha.substring(0, 7) : 'Unknown';
-        const status = ruleSuite.status || ruleSuite.result || 'bypass';
-        const actorName = ruleSuite.actor_name || 'Unknown';
-        const pushedAt = ruleSuite.pushed_at ? new Date(ruleSuite.pushed_at).toLocaleString() : 'Unknown';
+    const marker = `${FOLLOW_UP_ISSUE_MARKER} ${owner}/${repo}#${pullRequest.number} -->`;
+    const existing = await findOpenIssueWithMarker(octokit, target.owner, target.repo, marker, FOLLOW_UP_ISSUE_LABEL);
+    if (existing) {
+        logger.info(`Follow-up issue ${target.owner}/${target.repo}#${existing.number} is already open for PR #${pullRequest.number}`);
+        return existing;
+    }
+    
+    // Bots cannot be assigned and have no one to write the justification
+    const actors = [...new Set([...repoRuleSuites, ...orgRuleSuites]
+        .map(ruleSuite => ruleSuite.actor_name)
+        .filter(actor => actor && !actor.endsWith('[bot]')))];
+    const dueDate = new Date(Date.now() + dueInDays * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+    const mergeCommitUrl = `https://github.com/${owner}/${repo}/commit/${pullRequest.merge_commit_sha}`;
+    
+    const title = `Justify ruleset bypass on ${owner}/${repo}#${pullRequest.number}`;
+    const body = `${marker}
+## 📝 Ruleset Bypass Justification Required
+
+Pull request [${owner}/${repo}#${pullRequest.number}](${pullRequest.html_url}) was merged into \`${pullRequest.base.ref}\` as [${pullRequest.merge_commit_sha.substring(0, 7)}](${mergeCommitUrl}) by bypassing the rules below.
+
+**Justification due:** ${dueDate}
+
+${actors.length > 0 ? `${actors.map(actor => `@${actor}`).join(' ')}, please` : 'Please'} explain in a comment why the bypass was needed before the due date, then close this issue.
+
+${formatBypassSections(owner, repo, repoRuleSuites, orgRuleSuites, pullRequest.base.ref, config.insights_time_period)}`;
+    
+    let issue;
+    try {
+        issue = await createIssue(octokit, target.owner, target.repo, title, body, labels, actors);
+    } catch (error) {
+        // GitHub rejects assignees who cannot be assigned in the target repository
+        if (error.status !== 422 || actors.length === 0) {
+            logger.error(`Could not open follow-up issue for PR #${pullRequest.number}: ${error.message}`);
+            throw error;
+        }
+        logger.warn(`Could not assign ${actors.join(', ')} in ${target.owner}/${target.repo}, opening the follow-up issue unassigned`);
+        issue = await createIssue(octokit, target.owner, target.repo, title, body, labels);
+    }
+    logger.info(`Opened follow-up issue ${target.owner}/${target.repo}#${issue.number} for PR #${pullRequest.number}, justification due ${dueDate}`);
+    return issue;
+}
+
+/**
+ * Publish a check run on the merge commit that reports the bypass status
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} pullRequest - The pull request object from webhook payload
+ * @param {Array} repoRuleSuites - Array of bypassed repo-level rule suite objects
+ * @param {Array} orgRuleSuites - Array of bypassed org-level rule suite objects
+ * @param {Object} config - Effective repository configuration
+ * @param {number} [unreportedCount=0] - Bypasses left out of the comment by the configuration or policies
+ */
+async function publishBypassCheckRun(octokit, pullRequest, repoRuleSuites, orgRuleSuites, config, unreportedCount = 0) {
+    const { enabled, name, bypassConclusion } = getCheckRunConfig();
+    if (!enabled) {
+        logger.debug('Check runs are disabled, skipping bypass check run');
+        return;
+    }
+    
+    try {
+        const [owner, repo] = pullRequest.base.repo.full_name.split('/');
+        const baseRef = pullRequest.base.ref;
+        const bypassCount = repoRuleSuites.length + orgRuleSuites.length;
+        
+        const checkRun = bypassCount > 0 ?
+            {
+                name,
+                conclusion: bypassConclusion,
+                title: `${bypassCount} ruleset bypass${bypassCount === 1 ? '' : 'es'} detected`,
+                summary: `Pull request #${pullRequest.number} was merged with bypassed ruleset(s).
+
+${formatBypassSections(owner, repo, repoRuleSuites, orgRuleSuites, baseRef, config.insights_time_period)}`,
+                detailsUrl: pullRequest.html_url
+            } :
+            {
+                name,
+                conclusion: 'success',
+                title: unreportedCount > 0 ? 'No reportable ruleset bypasses detected' : 'No ruleset bypasses detected',
+                summary: unreportedCount > 0 ?
+                    `Pull request #${pullRequest.number} was merged with ${unreportedCount} ruleset bypass${unreportedCount === 1 ? '' : 'es'} that the repository's configuration and policies do not report.` :
+                    `Pull request #${pullRequest.number} was merged without bypassing any rulesets.`,
+                detailsUrl: pullRequest.html_url
+            };
         
-        return `- **Commit:** ${afterSha} _(from ${beforeSha})_
-- **Actor:** ${actorName}
-- **Status:** ${status}
-- **Time:** ${pushedAt}`;
-    }).join('\n\n');
+        await createCheckRun(octokit, owner, repo, pullRequest.merge_commit_sha, checkRun);
+    } catch (error) {
+        logger.error(`Error publishing bypass check run: ${error.message}`);
+    }
 }
 
 export { 
     handlePullRequest, 
-    validateRuleset 
+    handlePullRequestClosed,
+    handleBypassRecheck,
+    validateRuleset,
+    parseBypassData,
+    buildBypassComment,
+    BYPASS_COMMENT_MARKER
 };
\ No newline at end of file
@@ -0,0 +1,77 @@
+import { handlePullRequest } from './pullRequest.js';
+import { handlePolicyOverride } from './policyOverride.js';
+import { handleIssueComment } from './issueComment.js';
+import logger, { withLogContext } from '../utils/logger.js';
+import { withSpan } from '../utils/tracing.js';
+
+/**
+ * Process a webhook event. Throws if processing failed and should be retried.
+ * @param {string} event - The webhook event name
+ * @param {string} action - The webhook action
+ * @param {Object} payload - The webhook payload
+ * @param {string} deliveryId - The GitHub delivery ID
+ * @param {Object} [options] - Processing options
+ * @param {Function} [options.scheduleRecheck] - Schedules a delayed bypass re-check; re-checks are skipped without it
+ * @param {Object} [options.bypassStore] - Store that detected bypasses and their reviews are recorded in
+ */
+async function processWebhook(event, action, payload, deliveryId, options = {}) {
+    // Every line logged while handling the delivery carries where it came from
+    return withLogContext({
+        delivery_id: deliveryId,
+        event: `${event}.${action || 'unknown'}`,
+        installation_id: payload.installation?.id,
+        repository: payload.repository?.full_name,
+        pull_request: payload.pull_request?.number || payload.issue?.number
+    }, () => withSpan('processWebhook', {
+        'github.event': event,
+        'github.action': action,
+        'github.delivery_id': deliveryId,
+        'github.installation_id': payload.installation?.id,
+        'github.repository': payload.repository?.full_name
+    }, () => handleWebhookEvent(event, action, payload, deliveryId, options)));
+}
+
+/**
+ * Dispatch a webhook event to its handler. Throws if processing failed and should be retried.
+ * @param {string} event - The webhook event name
+ * @param {string} action - The webhook action
+ * @param {Object} payload - The webhook payload
+ * @param {string} deliveryId - The GitHub delivery ID
+ * @param {Object} options - Processing options, see processWebhook
+ */
+async function handleWebhookEvent(event, action, payload, deliveryId, { scheduleRecheck, bypassStore }) {
+    try {
+        logger.info(`Processing ${event}.${action || 'unknown'} webhook (${deliveryId || 'no-id'})`);
+
+        if (event === 'pull_request') {
+            if (action === 'closed' && payload.pull_request && payload.pull_request.merged === true) {
+                logger.info(`Processing merged pull request #${payload.pull_request.number}`);
+                await handlePullRequest({ payload, deliveryId, scheduleRecheck, bypassStore });
+            } else if (['opened', 'reopened', 'synchronize', 'ready_for_review'].includes(action)) {
+                logger.info(`Processing ${action} pull request #${payload.pull_request?.number || 'unknown'}`);
+                await handlePullRequest({ payload });
+            } else {
+                logger.info(`Skipping non-merged pull request #${payload.pull_request?.number || 'unknown'}`);
+            }
+        } else if (event === 'protected_branch' && action === 'policy_override') {
+            logger.info('Processing protected_branch.policy_override event');
+            await handlePolicyOverride({ payload, deliveryId, bypassStore });
+        } else if (event === 'issue_comment' && action === 'created') {
+            logger.info(`Processing comment on #${payload.issue?.number || 'unknown'}`);
+            await handleIssueComment({ payload, deliveryId, bypassStore });
+        } else {
+            logger.info(`No handler for ${event}.${action || 'unknown'} event`);
+        }
+
+        logger.info(`Finished processing ${event}.${action || 'unknown'} webhook (${deliveryId || 'no-id'})`);
+    } catch (error) {
+        logger.error(`Error processing ${event}.${action || 'unknown'} webhook: ${error.message}`);
+        logger.error(error.stack);
+        // Rethrow so the job queue retries the webhook
+        throw error;
+    }
+}
+
+export {
+    processWebhook
+};
@@ -0,0 +1,244 @@
+import fs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import logger from '../utils/logger.js';
+import { getEmailConfig } from '../utils/config.js';
+import { formatRuleType } from '../utils/format.js';
+
+const DIGEST_SCHEDULES = ['hourly', 'daily'];
+
+// Digest buckets keyed by sink, owner and window, loaded from the digest file on first use
+let digests = null;
+let digestFile = null;
+let writeChain = Promise.resolve();
+let transport = null;
+
+function loadDigests() {
+    const { digestFile: filePath } = getEmailConfig();
+    if (digests && digestFile === filePath) {
+        return digests;
+    }
+
+    digests = new Map();
+    digestFile = filePath;
+    try {
+        for (const bucket of JSON.parse(fs.readFileSync(filePath, 'utf8'))) {
+            digests.set(bucket.key, bucket);
+        }
+        logger.info(`Loaded ${digests.size} pending email digest(s) from ${filePath}`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn(`Could not read email digest file ${filePath}, starting empty: ${error.message}`);
+        }
+    }
+    return digests;
+}
+
+// Writes are chained so they never interleave, and go through a temporary
+// file so a crash mid-write cannot leave a truncated file behind
+function persistDigests() {
+    const snapshot = JSON.stringify([...digests.values()]);
+    const filePath = digestFile;
+    writeChain = writeChain
+        .then(async () => {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            const tempPath = `${filePath}.tmp`;
+            await fs.promises.writeFile(tempPath, snapshot);
+            await fs.promises.rename(tempPath, filePath);
+        })
+        .catch(error => {
+            logger.error(`Error writing email digest file ${filePath}: ${error.message}`);
+        });
+    return writeChain;
+}
+
+function getTransport() {
+    if (!transport) {
+        const { smtpUrl } = getEmailConfig();
+        if (!smtpUrl) {
+            throw new Error('SMTP_URL is not set');
+        }
+        transport = nodemailer.createTransport(smtpUrl);
+    }
+    return transport;
+}
+
+/**
+ * Forget loaded digests and the SMTP connection, so the next use reads the configuration again
+ */
+function resetEmailState() {
+    digests = null;
+    digestFile = null;
+    transport?.close();
+    transport = null;
+}
+
+/**
+ * Get the digest window a time falls in; windows are aligned to UTC hours or days
+ * @param {Date} date - Time of the bypass
+ * @param {string} schedule - hourly or daily
+ * @returns {Object} - Window start and end
+ */
+function getDigestWindow(date, schedule) {
+    const start = new Date(date);
+    start.setUTCMinutes(0, 0, 0);
+    if (schedule === 'daily') {
+        start.setUTCHours(0);
+    }
+    const end = new Date(start.getTime() + (schedule === 'daily' ? 24 : 1) * 60 * 60 * 1000);
+    return { start: start.toISOString(), end: end.toISOString() };
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Describe one bypass with the fields of the pull request comment
+ * @param {Object} event - Bypass event
+ * @returns {Object} - Field values and the bypassed rules grouped by ruleset
+ */
+function describeBypass(event) {
+    const rulesets = new Map();
+    for (const rule of event.rules) {
+        const name = rule.ruleset_name || (rule.ruleset_id ? `Ruleset ${rule.ruleset_id}` : 'Unknown ruleset');
+        if (!rulesets.has(name)) {
+            rulesets.set(name, { name, enforcement: rule.enforcement || 'Unknown', ruleTypes: [] });
+        }
+        rulesets.get(name).ruleTypes.push(formatRuleType(rule.rule_type));
+    }
+
+    return {
+        repository: event.repository,
+        pullRequest: event.pull_request ? `#${event.pull_request.number}` : null,
+        pullRequestUrl: event.pull_request?.url || null,
+        commit: event.after_sha ? event.after_sha.substring(0, 7) : 'Unknown',
+        commitUrl: event.after_sha ? `https://github.com/${event.repository}/commit/${event.after_sha}` : null,
+        from: event.before_sha ? event.before_sha.substring(0, 7) : 'Unknown',
+        actor: event.actor || 'Unknown',
+        status: event.result || 'bypass',
+        time: event.pushed_at,
+        rulesets: [...rulesets.values()]
+    };
+}
+
+/**
+ * Build the subject, plain-text and HTML bodies of a digest email
+ * @param {string} owner - Organization or user the bypasses belong to
+ * @param {Array} events - Bypass events in the digest
+ * @param {Object} window - Digest window from getDigestWindow
+ * @returns {Object} - subject, text and html
+ */
+function formatDigest(owner, events, window) {
+    const bypasses = events.map(describeBypass);
+    const period = `${window.start.replace('T', ' ').replace(':00.000Z', ' UTC')} to ${window.end.replace('T', ' ').replace(':00.000Z', ' UTC')}`;
+    const subject = `[${owner}] ${events.length} ruleset bypass${events.length === 1 ? '' : 'es'} (${period})`;
+
+    const text = [
+        `${events.length} ruleset bypass${events.length === 1 ? ' was' : 'es were'} detected in ${owner} from ${period}.`,
+        ...bypasses.map(bypass => [
+            '',
+            `${bypass.repository}${bypass.pullRequest ? ` ${bypass.pullRequest}` : ''}${bypass.pullRequestUrl ? ` (${bypass.pullRequestUrl})` : ''}`,
+            `- Commit: ${bypass.commit} (from ${bypass.from})`,
+            `- Actor: ${bypass.actor}`,
+            `- Status: ${bypass.status}`,
+            `- Time: ${bypass.time}`,
+            ...(bypass.rulesets.length > 0 ? ['- Bypassed Rules:'] : []),
+            ...bypass.rulesets.flatMap(ruleset => [
+                `  - ${ruleset.name} (enforcement: ${ruleset.enforcement})`,
+                ...ruleset.ruleTypes.map(ruleType => `    - ${ruleType}`)
+            ])
+        ].join('\n'))
+    ].join('\n') + '\n';
+
+    const rows = bypasses.map(bypass => {
+        const pullRequest = bypass.pullRequestUrl ?
+            `<a href="${escapeHtml(bypass.pullRequestUrl)}">${escapeHtml(bypass.pullRequest)}</a>` :
+            escapeHtml(bypass.pullRequest || '');
+        const rules = bypass.rulesets.map(ruleset =>
+            `<strong>${escapeHtml(ruleset.name)}</strong> <em>(enforcement: ${escapeHtml(ruleset.enforcement)})</em>: ${ruleset.ruleTypes.map(escapeHtml).join(', ')}`)
+            .join('<br>');
+        const commit = bypass.commitUrl ?
+            `<a href="${escapeHtml(bypass.commitUrl)}"><code>${escapeHtml(bypass.commit)}</code></a>` :
+            `<code>${escapeHtml(bypass.commit)}</code>`;
+        return `<tr><td>${escapeHtml(bypass.repository)} ${pullRequest}</td><td>${commit}</td>` +
+            `<td>${escapeHtml(bypass.actor)}</td><td>${escapeHtml(bypass.status)}</td><td>${escapeHtml(bypass.time)}</td><td>${rules}</td></tr>`;
+    });
+    const html = `<p>${events.length} ruleset bypass${events.length === 1 ? ' was' : 'es were'} detected in <strong>${escapeHtml(owner)}</strong> from ${escapeHtml(period)}.</p>
+<table border="1" cellpadding="4" cellspacing="0">
+<tr><th>Repository</th><th>Commit</th><th>Actor</th><th>Status</th><th>Time</th><th>Bypassed Rules</th></tr>
+${rows.join('\n')}
+</table>`;
+
+    return { subject, text, html };
+}
+
+/**
+ * Create a notifier that collects bypasses into hourly or daily digest emails per owner.
+ * Pending digests are persisted, and sent by flush() once their window has ended.
+ * @param {Object} sink - Sink definition
+ * @param {string} sink.name - Sink name
+ * @param {Array} sink.to - Recipient addresses
+ * @param {string} [sink.schedule=daily] - hourly or daily
+ * @returns {Object} Notifier
+ */
+function createEmailNotifier({ name, to, schedule = 'daily' }) {
+    return {
+        name,
+        type: 'email',
+
+        async send(event) {
+            const owner = event.repository.split('/')[0];
+            const window = getDigestWindow(new Date(), schedule);
+            const key = `${name}|${owner}|${window.start}`;
+            const buckets = loadDigests();
+
+            const bucket = buckets.get(key) || { key, sink: name, owner, window, events: [] };
+            if (!bucket.events.some(queued => queued.id === event.id)) {
+                bucket.events.push(event);
+            }
+            buckets.set(key, bucket);
+            await persistDigests();
+        },
+
+        /**
+         * Send the digests whose window has ended; failed digests are kept for the next flush
+         * @param {Date} [now] - Current time
+         * @returns {Promise<number>} - Digests sent
+         */
+        async flush(now = new Date()) {
+            const buckets = loadDigests();
+            const { from } = getEmailConfig();
+            let sent = 0;
+
+            for (const bucket of [...buckets.values()]) {
+                if (bucket.sink !== name || new Date(bucket.window.end) > now) {
+                    continue;
+                }
+                try {
+                    const { subject, text, html } = formatDigest(bucket.owner, bucket.events, bucket.window);
+                    await getTransport().sendMail({ from, to, subject, text, html });
+                    buckets.delete(bucket.key);
+                    await persistDigests();
+                    sent++;
+                    logger.info(`Sent ${schedule} bypass digest for ${bucket.owner} with ${bucket.events.length} bypass(es) to email sink ${name}`);
+                } catch (error) {
+                    logger.error(`Could not send bypass digest for ${bucket.owner} to email sink ${name}, will retry: ${error.message}`);
+                }
+            }
+            return sent;
+        }
+    };
+}
+
+export {
+    DIGEST_SCHEDULES,
+    createEmailNotifier,
+    formatDigest,
+    getDigestWindow,
+    resetEmailState
+};
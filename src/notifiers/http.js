@@ -0,0 +1,56 @@
+import axios from 'axios';
+import logger from '../utils/logger.js';
+
+// Longest wait honoured from a Retry-After header
+const MAX_RETRY_AFTER_MS = 30 * 1000;
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Error} error - Error thrown by axios
+ * @returns {boolean} - True for network errors, rate limits and server errors
+ */
+function isRetryable(error) {
+    const status = error.response?.status;
+    return !status || status === 429 || status >= 500;
+}
+
+/**
+ * POST a serialized JSON body, retrying network errors, rate limits and server errors
+ * with exponential backoff
+ * @param {string} url - Destination URL
+ * @param {string} body - Serialized JSON body, sent exactly as given so it can be signed
+ * @param {Object} [options] - Request options
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {number} [options.attempts=3] - Attempts before giving up
+ * @param {number} [options.baseDelayMs=1000] - Delay before the first retry, doubled on each attempt
+ * @param {number} [options.timeoutMs=10000] - Timeout of each attempt
+ * @param {string} [options.label] - Name used in log messages
+ * @throws {Error} If the last attempt failed
+ */
+async function postJson(url, body, { headers = {}, attempts = 3, baseDelayMs = 1000, timeoutMs = 10000, label = url } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await axios.post(url, body, {
+                headers: { 'Content-Type': 'application/json', ...headers },
+                timeout: timeoutMs,
+                transformRequest: [data => data]
+            });
+            return;
+        } catch (error) {
+            if (attempt >= attempts || !isRetryable(error)) {
+                throw error;
+            }
+
+            const retryAfterMs = parseInt(error.response?.headers?.['retry-after'], 10) * 1000;
+            const delay = Number.isNaN(retryAfterMs) ?
+                baseDelayMs * 2 ** (attempt - 1) :
+                Math.min(retryAfterMs, MAX_RETRY_AFTER_MS);
+            logger.warn(`Notification to ${label} failed (attempt ${attempt}/${attempts}), retrying in ${delay}ms: ${error.message}`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+export {
+    postJson
+};
@@ -0,0 +1,234 @@
+import fs from 'fs';
+import process from 'node:process';
+import { parse as parseYaml } from 'yaml';
+import logger from '../utils/logger.js';
+import { getNotifierConfig } from '../utils/config.js';
+import { isDryRun } from '../utils/dryRun.js';
+import { createSlackNotifier } from './slack.js';
+import { createTeamsNotifier } from './teams.js';
+import { createWebhookNotifier } from './webhook.js';
+import { createEmailNotifier, DIGEST_SCHEDULES } from './email.js';
+
+const SINK_FACTORIES = {
+    slack: createSlackNotifier,
+    teams: createTeamsNotifier,
+    webhook: createWebhookNotifier,
+    email: createEmailNotifier
+};
+
+// Loaded sinks keyed by the file they came from
+const sinkCache = new Map();
+
+/**
+ * Replace ${NAME} references with environment variables, so secrets can stay out of the file
+ * @param {string} value - Value from the sinks file
+ * @returns {string} - Value with references expanded
+ */
+function expandEnv(value) {
+    return typeof value === 'string' ?
+        value.replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] || '') :
+        value;
+}
+
+/**
+ * Check that a sink filter is a list of strings or numbers
+ * @param {*} value - Filter value
+ * @returns {boolean} - True if the filter is missing or a list
+ */
+function isOptionalList(value) {
+    return value === undefined || (Array.isArray(value) && value.every(item => ['string', 'number'].includes(typeof item)));
+}
+
+/**
+ * Validate the sinks file and create a notifier for each valid sink
+ * @param {Object} raw - Parsed sinks file
+ * @param {Object} retry - Retry options for every sink
+ * @returns {Array} - Sinks, each a notifier with its routing filters
+ */
+function createSinks(raw, retry) {
+    const sinks = [];
+
+    for (const definition of raw?.sinks || []) {
+        const name = definition?.name;
+        const url = expandEnv(definition?.url);
+        const secret = expandEnv(definition?.secret);
+        const to = definition?.to;
+        const schedule = definition?.schedule || 'daily';
+
+        let error = null;
+        if (typeof name !== 'string' || !name) {
+            error = 'name is required';
+        } else if (sinks.some(sink => sink.name === name)) {
+            error = 'name is already used by another sink';
+        } else if (!SINK_FACTORIES[definition.type]) {
+            error = `type must be one of: ${Object.keys(SINK_FACTORIES).join(', ')}`;
+        } else if (definition.type === 'email') {
+            if (!Array.isArray(to) || to.length === 0 || !to.every(address => typeof address === 'string' && address.includes('@'))) {
+                error = 'email sinks need a list of addresses in to';
+            } else if (!DIGEST_SCHEDULES.includes(schedule)) {
+                error = `schedule must be one of: ${DIGEST_SCHEDULES.join(', ')}`;
+            }
+        } else if (typeof url !== 'string' || !/^https?:\/\//.test(url)) {
+            error = 'url must be an http(s) URL';
+        } else if (definition.type === 'webhook' && !secret) {
+            error = 'webhook sinks need a secret to sign requests with';
+        }
+        if (!error && (!isOptionalList(definition.repositories) || !isOptionalList(definition.rulesets))) {
+            error = 'repositories and rulesets must be lists';
+        }
+        if (error) {
+            logger.warn(`Ignoring notification sink ${name || '(unnamed)'}: ${error}`);
+            continue;
+        }
+
+        sinks.push({
+            ...SINK_FACTORIES[definition.type]({ name, url, secret, to, schedule }, retry),
+            repositories: (definition.repositories || []).map(String),
+            rulesets: (definition.rulesets || []).map(String)
+        });
+    }
+
+    return sinks;
+}
+
+/**
+ * Load the notification sinks configured for this deployment
+ * @returns {Array} - Sinks, empty when no sinks file is configured
+ */
+function getNotificationSinks() {
+    const { filePath, ...retry } = getNotifierConfig();
+    if (!filePath) {
+        return [];
+    }
+    if (sinkCache.has(filePath)) {
+        return sinkCache.get(filePath);
+    }
+
+    let sinks = [];
+    try {
+        sinks = createSinks(parseYaml(fs.readFileSync(filePath, 'utf8')), retry);
+        logger.info(`Loaded ${sinks.length} notification sink(s) from ${filePath}`);
+    } catch (error) {
+        logger.error(`Could not load notification sinks from ${filePath}: ${error.message}`);
+    }
+    sinkCache.set(filePath, sinks);
+    return sinks;
+}
+
+function clearNotificationSinkCache() {
+    sinkCache.clear();
+}
+
+/**
+ * Check whether a repository matches owner/repo, owner/* or * patterns
+ * @param {string} repository - Repository full name
+ * @param {Array} patterns - Repository patterns
+ * @returns {boolean} - True if any pattern matches
+ */
+function matchesRepository(repository, patterns) {
+    const [owner] = repository.split('/');
+    return patterns.some(pattern =>
+        pattern === '*' ||
+        pattern.toLowerCase() === repository.toLowerCase() ||
+        pattern.toLowerCase() === `${owner}/*`.toLowerCase());
+}
+
+/**
+ * Check whether a bypass event touched one of the listed rulesets
+ * @param {Object} event - Bypass event
+ * @param {Array} rulesets - Ruleset IDs or names; an empty list matches every event
+ * @returns {boolean} - True if the event matches
+ */
+function matchesRulesets(event, rulesets) {
+    return rulesets.length === 0 || event.rules.some(rule =>
+        rulesets.includes(String(rule.ruleset_id)) || rulesets.includes(rule.ruleset_name));
+}
+
+/**
+ * Pick the sinks a bypass event is routed to. A sink receives the event when its own
+ * repositories filter matches, or when the repository configuration routes to it; in
+ * both cases its rulesets filter must match too.
+ * @param {Object} event - Bypass event
+ * @param {Array} sinks - Sinks from getNotificationSinks
+ * @param {Array} routes - notifications entries from the repository configuration
+ * @returns {Array} - Matching sinks
+ */
+function routeBypass(event, sinks, routes) {
+    return sinks.filter(sink => {
+        if (!matchesRulesets(event, sink.rulesets)) {
+            return false;
+        }
+        if (matchesRepository(event.repository, sink.repositories)) {
+            return true;
+        }
+        return routes.some(route =>
+            route.sink === sink.name &&
+            route.type === sink.type &&
+            matchesRulesets(event, (route.rulesets || []).map(String)));
+    });
+}
+
+/**
+ * Send bypass events to the sinks they are routed to. Failed notifications are logged
+ * and never thrown, so they cannot hold up the rest of the bypass report.
+ * @param {Array} events - Bypass events from toBypassEvents
+ * @param {Array} [routes] - notifications entries from the repository configuration
+ * @returns {Promise<number>} - Notifications delivered
+ */
+async function notifyBypasses(events, routes = []) {
+    const sinks = getNotificationSinks();
+    if (events.length === 0 || sinks.length === 0) {
+        return 0;
+    }
+    if (isDryRun()) {
+        logger.info(`Dry run: not sending notifications for ${events.length} bypass event(s)`);
+        return 0;
+    }
+
+    for (const route of routes) {
+        if (SINK_FACTORIES[route.type] && !sinks.some(sink => sink.name === route.sink && sink.type === route.type)) {
+            logger.warn(`Repository configuration routes to unknown ${route.type} sink "${route.sink}"`);
+        }
+    }
+
+    const deliveries = events.flatMap(event =>
+        routeBypass(event, sinks, routes).map(sink => ({ sink, event })));
+    const results = await Promise.allSettled(deliveries.map(({ sink, event }) => sink.send(event)));
+
+    let delivered = 0;
+    results.forEach((result, index) => {
+        const { sink, event } = deliveries[index];
+        if (result.status === 'fulfilled') {
+            delivered++;
+        } else {
+            logger.error(`Could not notify ${sink.type} sink ${sink.name} of bypass ${event.id} on ${event.repository}: ${result.reason.message}`);
+        }
+    });
+    if (deliveries.length > 0) {
+        logger.info(`Delivered ${delivered}/${deliveries.length} bypass notification(s)`);
+    }
+    return delivered;
+}
+
+/**
+ * Send the email digests whose window has ended. Sinks that do not batch are skipped.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} - Digests sent
+ */
+async function flushDigests(now = new Date()) {
+    let sent = 0;
+    for (const sink of getNotificationSinks()) {
+        if (sink.flush) {
+            sent += await sink.flush(now);
+        }
+    }
+    return sent;
+}
+
+export {
+    getNotificationSinks,
+    clearNotificationSinkCache,
+    routeBypass,
+    notifyBypasses,
+    flushDigests
+};
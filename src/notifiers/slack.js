@@ -0,0 +1,55 @@
+import { postJson } from './http.js';
+import { summarizeBypass } from './summary.js';
+
+/**
+ * Format a bypass event as a Slack incoming webhook message
+ * @param {Object} event - Bypass event from toBypassEvents
+ * @returns {Object} - Slack message with a plain text fallback and Block Kit blocks
+ */
+function formatSlackMessage(event) {
+    const summary = summarizeBypass(event);
+    const commit = summary.commitUrl ? `<${summary.commitUrl}|${summary.sha}>` : summary.sha;
+    const pullRequest = summary.pullRequestUrl ? `<${summary.pullRequestUrl}|${summary.pullRequest}>` : summary.pullRequest;
+
+    const fields = [
+        `*Actor:*\n${summary.actor}`,
+        `*Branch:*\n${summary.branch}`,
+        `*Commit:*\n${commit}`,
+        `*Ruleset level:*\n${summary.level}`
+    ];
+    if (pullRequest) {
+        fields.push(`*Pull request:*\n${pullRequest}`);
+    }
+
+    return {
+        text: `:rotating_light: ${summary.title} by ${summary.actor}`,
+        blocks: [
+            { type: 'header', text: { type: 'plain_text', text: summary.title } },
+            { type: 'section', fields: fields.map(text => ({ type: 'mrkdwn', text })) },
+            { type: 'section', text: { type: 'mrkdwn', text: `*Bypassed rules:*\n${summary.rules.map(rule => `• ${rule}`).join('\n')}` } }
+        ]
+    };
+}
+
+/**
+ * Create a notifier that posts to a Slack incoming webhook
+ * @param {Object} sink - Sink definition
+ * @param {string} sink.name - Sink name
+ * @param {string} sink.url - Incoming webhook URL
+ * @param {Object} [retry] - Retry options passed to postJson
+ * @returns {Object} Notifier
+ */
+function createSlackNotifier({ name, url }, retry = {}) {
+    return {
+        name,
+        type: 'slack',
+        async send(event) {
+            await postJson(url, JSON.stringify(formatSlackMessage(event)), { ...retry, label: `Slack sink ${name}` });
+        }
+    };
+}
+
+export {
+    createSlackNotifier,
+    formatSlackMessage
+};
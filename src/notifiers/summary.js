@@ -0,0 +1,29 @@
+import { formatRuleType } from '../utils/format.js';
+
+/**
+ * Describe a bypass event in the terms shared by every notification format
+ * @param {Object} event - Bypass event from toBypassEvents
+ * @returns {Object} - Title, links and the bypassed rules as text
+ */
+function summarizeBypass(event) {
+    const branch = event.ref ? event.ref.replace(/^refs\/heads\//, '') : 'unknown';
+    const rules = event.rules.map(rule =>
+        `${rule.ruleset_name || (rule.ruleset_id ? `Ruleset ${rule.ruleset_id}` : 'Unknown ruleset')}: ${formatRuleType(rule.rule_type)}`);
+
+    return {
+        title: `Ruleset bypass on ${event.repository}@${branch}`,
+        actor: event.actor || 'Unknown',
+        branch,
+        sha: event.after_sha ? event.after_sha.substring(0, 7) : 'Unknown',
+        commitUrl: event.after_sha ? `https://github.com/${event.repository}/commit/${event.after_sha}` : null,
+        pullRequest: event.pull_request ? `#${event.pull_request.number}${event.pull_request.title ? ` ${event.pull_request.title}` : ''}` : null,
+        pullRequestUrl: event.pull_request?.url || null,
+        level: event.source === 'organization' ? 'Organization' : 'Repository',
+        rules: rules.length > 0 ? rules : ['Rule details unavailable'],
+        pushedAt: event.pushed_at
+    };
+}
+
+export {
+    summarizeBypass
+};
@@ -0,0 +1,59 @@
+import { postJson } from './http.js';
+import { summarizeBypass } from './summary.js';
+
+/**
+ * Format a bypass event as a Microsoft Teams connector message card
+ * @param {Object} event - Bypass event from toBypassEvents
+ * @returns {Object} - Message card
+ */
+function formatTeamsMessage(event) {
+    const summary = summarizeBypass(event);
+
+    const facts = [
+        { name: 'Actor', value: summary.actor },
+        { name: 'Branch', value: summary.branch },
+        { name: 'Commit', value: summary.commitUrl ? `[${summary.sha}](${summary.commitUrl})` : summary.sha },
+        { name: 'Ruleset level', value: summary.level }
+    ];
+    if (summary.pullRequest) {
+        facts.push({ name: 'Pull request', value: summary.pullRequestUrl ? `[${summary.pullRequest}](${summary.pullRequestUrl})` : summary.pullRequest });
+    }
+    facts.push({ name: 'Bypassed rules', value: summary.rules.join('<br>') });
+
+    const links = [summary.pullRequestUrl && ['View pull request', summary.pullRequestUrl], summary.commitUrl && ['View commit', summary.commitUrl]]
+        .filter(Boolean)
+        .map(([name, uri]) => ({ '@type': 'OpenUri', name, targets: [{ os: 'default', uri }] }));
+
+    return {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: `${summary.title} by ${summary.actor}`,
+        themeColor: 'D93F0B',
+        title: summary.title,
+        sections: [{ facts }],
+        potentialAction: links
+    };
+}
+
+/**
+ * Create a notifier that posts to a Microsoft Teams incoming webhook connector
+ * @param {Object} sink - Sink definition
+ * @param {string} sink.name - Sink name
+ * @param {string} sink.url - Connector webhook URL
+ * @param {Object} [retry] - Retry options passed to postJson
+ * @returns {Object} Notifier
+ */
+function createTeamsNotifier({ name, url }, retry = {}) {
+    return {
+        name,
+        type: 'teams',
+        async send(event) {
+            await postJson(url, JSON.stringify(formatTeamsMessage(event)), { ...retry, label: `Teams sink ${name}` });
+        }
+    };
+}
+
+export {
+    createTeamsNotifier,
+    formatTeamsMessage
+};
@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+import { postJson } from './http.js';
+
+/**
+ * Sign a request body the way GitHub signs webhooks
+ * @param {string} secret - Shared secret
+ * @param {string} body - Serialized request body
+ * @returns {string} - sha256=<hex HMAC>
+ */
+function signPayload(secret, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Create a notifier that POSTs each bypass event as JSON, signed with an HMAC of the body
+ * in the X-Bypass-Checker-Signature-256 header
+ * @param {Object} sink - Sink definition
+ * @param {string} sink.name - Sink name
+ * @param {string} sink.url - Endpoint URL
+ * @param {string} sink.secret - Shared secret for the signature
+ * @param {Object} [retry] - Retry options passed to postJson
+ * @returns {Object} Notifier
+ */
+function createWebhookNotifier({ name, url, secret }, retry = {}) {
+    return {
+        name,
+        type: 'webhook',
+        async send(event) {
+            const deliveryId = crypto.randomUUID();
+            const body = JSON.stringify({
+                event: 'ruleset_bypass',
+                delivery_id: deliveryId,
+                sent_at: new Date().toISOString(),
+                bypass: event
+            });
+            await postJson(url, body, {
+                ...retry,
+                label: `webhook sink ${name}`,
+                headers: {
+                    'User-Agent': 'ruleset-bypass-checker',
+                    'X-Bypass-Checker-Event': 'ruleset_bypass',
+                    'X-Bypass-Checker-Delivery': deliveryId,
+                    'X-Bypass-Checker-Signature-256': signPayload(secret, body)
+                }
+            });
+        }
+    };
+}
+
+export {
+    createWebhookNotifier,
+    signPayload
+};
@@ -0,0 +1,249 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+
+/**
+ * Create a job queue persisted as one JSON file per job, so queued and failed
+ * jobs survive a crash or restart. Failed jobs are retried with exponential
+ * backoff and moved to the dead-letter list after maxAttempts.
+ * @param {Object} options - Queue options
+ * @param {string} options.directory - Directory that holds the job files
+ * @param {Function} options.handler - Async function called with each job's data; throwing fails the attempt
+ * @param {number} [options.concurrency=2] - Jobs processed at the same time
+ * @param {number} [options.maxAttempts=5] - Attempts before a job is dead-lettered
+ * @param {number} [options.baseDelayMs=5000] - Delay before the first retry, doubled on each attempt
+ * @param {number} [options.maxDelayMs=600000] - Upper bound for the retry delay
+ * @returns {Object} Job queue
+ */
+function createJobQueue({
+    directory,
+    handler,
+    concurrency = 2,
+    maxAttempts = 5,
+    baseDelayMs = 5000,
+    maxDelayMs = 10 * 60 * 1000
+}) {
+    // Job ID -> job, for every pending, running and dead job
+    const jobs = new Map();
+    let running = 0;
+    let timer = null;
+    let started = false;
+
+    function jobPath(id) {
+        return path.join(directory, `${id}.json`);
+    }
+
+    async function save(job) {
+        const tempPath = `${jobPath(job.id)}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(job));
+        await fs.promises.rename(tempPath, jobPath(job.id));
+    }
+
+    // The file is removed before the job, so a job that is gone from the list is gone from disk
+    async function discard(id) {
+        await fs.promises.rm(jobPath(id), { force: true });
+        jobs.delete(id);
+    }
+
+    /**
+     * Delay before the next attempt: baseDelayMs, doubled for each earlier failure
+     * @param {number} attempts - Attempts made so far
+     * @returns {number} - Delay in milliseconds
+     */
+    function retryDelay(attempts) {
+        return Math.min(baseDelayMs * 2 ** (attempts - 1), maxDelayMs);
+    }
+
+    async function run(job) {
+        running++;
+        job.status = 'running';
+        job.attempts++;
+        job.updatedAt = new Date().toISOString();
+
+        try {
+            await save(job);
+            await handler(job.data);
+            try {
+                await discard(job.id);
+            } catch (discardError) {
+                // The job succeeded, so it is not retried now; its leftover file is run again on restart
+                jobs.delete(job.id);
+                logger.error(`Error removing completed job ${job.id}: ${discardError.message}`);
+            }
+            logger.info(`Job ${job.id} completed after ${job.attempts} attempt(s)`);
+        } catch (error) {
+            // The job keeps its running status until the new one is persisted
+            const next = { ...job, lastError: error.message, updatedAt: new Date().toISOString() };
+
+            if (job.attempts >= maxAttempts) {
+                next.status = 'dead';
+                logger.error(`Job ${job.id} failed after ${job.attempts} attempts, moved to dead-letter list: ${error.message}`);
+            } else {
+                const delay = retryDelay(job.attempts);
+                next.status = 'pending';
+                next.runAt = Date.now() + delay;
+                logger.warn(`Job ${job.id} failed (attempt ${job.attempts}/${maxAttempts}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+            }
+
+            try {
+                await save(next);
+            } catch (saveError) {
+                logger.error(`Error saving job ${job.id}: ${saveError.message}`);
+            }
+            Object.assign(job, next);
+        } finally {
+            running--;
+            schedule();
+        }
+    }
+
+    // Start every due job that fits in the concurrency limit, then wake up
+    // again when the next delayed job is due
+    function schedule() {
+        if (!started) {
+            return;
+        }
+        clearTimeout(timer);
+        timer = null;
+
+        const now = Date.now();
+        const pending = [...jobs.values()]
+            .filter(job => job.status === 'pending')
+            .sort((a, b) => a.runAt - b.runAt);
+
+        for (const job of pending) {
+            if (running >= concurrency) {
+                return;
+            }
+            if (job.runAt > now) {
+                timer = setTimeout(schedule, job.runAt - now);
+                timer.unref();
+                return;
+            }
+            run(job);
+        }
+    }
+
+    return {
+        /**
+         * Load persisted jobs and start processing. Jobs that were running when the
+         * process stopped are queued again.
+         */
+        async start() {
+            await fs.promises.mkdir(directory, { recursive: true });
+
+            for (const file of await fs.promises.readdir(directory)) {
+                if (!file.endsWith('.json')) {
+                    continue;
+                }
+                try {
+                    const job = JSON.parse(await fs.promises.readFile(path.join(directory, file), 'utf8'));
+                    if (job.status === 'running') {
+                        job.status = 'pending';
+                        job.runAt = Date.now();
+                    }
+                    jobs.set(job.id, job);
+                } catch (error) {
+                    logger.error(`Could not load job file ${file}: ${error.message}`);
+                }
+            }
+
+            logger.info(`Job queue started with ${jobs.size} persisted job(s) (concurrency: ${concurrency}, max attempts: ${maxAttempts})`);
+            started = true;
+            schedule();
+        },
+
+        /**
+         * Persist a job and schedule it to run
+         * @param {Object} data - Data passed to the handler
+         * @param {Object} [options] - Enqueue options
+         * @param {number} [options.delayMs=0] - Wait this long before the first attempt
+         * @returns {Promise<Object>} - The queued job
+         */
+        async enqueue(data, { delayMs = 0 } = {}) {
+            const now = new Date().toISOString();
+            const job = {
+                id: crypto.randomUUID(),
+                data,
+                status: 'pending',
+                attempts: 0,
+                runAt: Date.now() + delayMs,
+                lastError: null,
+                createdAt: now,
+                updatedAt: now
+            };
+            await save(job);
+            jobs.set(job.id, job);
+            schedule();
+            return job;
+        },
+
+        /**
+         * List jobs, optionally filtered by status
+         * @param {string} [status] - pending, running or dead
+         * @returns {Array} - Matching jobs, oldest first
+         */
+        list(status) {
+            return [...jobs.values()]
+                .filter(job => !status || job.status === status)
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        },
+
+        get(id) {
+            return jobs.get(id) || null;
+        },
+
+        /**
+         * Queue a dead-lettered job again with a fresh set of attempts
+         * @param {string} id - Job ID
+         * @returns {Promise<Object|null>} - The re-queued job, or null if no dead job has that ID
+         */
+        async retry(id) {
+            const job = jobs.get(id);
+            if (!job || job.status !== 'dead') {
+                return null;
+            }
+            job.status = 'pending';
+            job.attempts = 0;
+            job.runAt = Date.now();
+            job.updatedAt = new Date().toISOString();
+            await save(job);
+            logger.info(`Job ${id} re-queued from dead-letter list`);
+            schedule();
+            return job;
+        },
+
+        /**
+         * Delete a job that is not running
+         * @param {string} id - Job ID
+         * @returns {Promise<boolean>} - True if the job was deleted
+         */
+        async remove(id) {
+            const job = jobs.get(id);
+            if (!job || job.status === 'running') {
+                return false;
+            }
+            await discard(id);
+            return true;
+        },
+
+        stats() {
+            const counts = { pending: 0, running: 0, dead: 0 };
+            for (const job of jobs.values()) {
+                counts[job.status]++;
+            }
+            return counts;
+        },
+
+        stop() {
+            started = false;
+            clearTimeout(timer);
+            timer = null;
+        }
+    };
+}
+
+export {
+    createJobQueue
+};
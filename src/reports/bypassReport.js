@@ -0,0 +1,239 @@
+import logger from '../utils/logger.js';
+import {
+    createOctokitClient,
+    listInstallationRepositories,
+    listBypassedRuleSuites,
+    addRuleSuiteDetails,
+    findPullRequestForCommit,
+    RULE_SUITE_HISTORY_MS
+} from '../utils/github.js';
+import { formatRuleType, getBypassedEvaluations } from '../utils/format.js';
+
+// Output formats with the content type served by the reports endpoint
+const REPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+    sarif: { contentType: 'application/sarif+json', extension: 'sarif' }
+};
+
+// Columns of the CSV report, in order
+const REPORT_FIELDS = [
+    'timestamp',
+    'repository',
+    'pull_request',
+    'pull_request_url',
+    'actor',
+    'sha',
+    'ref',
+    'rule_suite_id',
+    'ruleset_id',
+    'ruleset_name',
+    'rule_type',
+    'rule',
+    'enforcement'
+];
+
+/**
+ * Check that a report window starts within the rule suite history, since a report
+ * that silently leaves out older bypasses would look complete
+ * @param {Date} since - Start of the window
+ * @returns {string|null} - Why the window cannot be reported, or null if it can
+ */
+function getReportWindowError(since) {
+    const earliest = new Date(Date.now() - RULE_SUITE_HISTORY_MS);
+    return since < earliest ?
+        `Rule suites are only available for the last month; since must be ${earliest.toISOString()} or later` :
+        null;
+}
+
+/**
+ * Turn a rule suite into report records, one per bypassed rule
+ * @param {string} repository - Repository full name
+ * @param {Object} ruleSuite - Rule suite with rule_evaluations attached
+ * @param {Object|null} pullRequest - Pull request merged by the rule suite's push
+ * @returns {Array} - Report records
+ */
+function toBypassRecords(repository, ruleSuite, pullRequest) {
+    const base = {
+        timestamp: ruleSuite.pushed_at || null,
+        repository,
+        pull_request: pullRequest?.number || null,
+        pull_request_url: pullRequest?.html_url || null,
+        actor: ruleSuite.actor_name || null,
+        sha: ruleSuite.after_sha || null,
+        ref: ruleSuite.ref || null,
+        rule_suite_id: ruleSuite.id
+    };
+
+    const evaluations = getBypassedEvaluations(ruleSuite.rule_evaluations || []);
+    if (evaluations.length === 0) {
+        return [{ ...base, ruleset_id: null, ruleset_name: null, rule_type: null, rule: null, enforcement: null }];
+    }
+
+    return evaluations.map(evaluation => ({
+        ...base,
+        ruleset_id: evaluation.rule_source?.id || null,
+        ruleset_name: evaluation.rule_source?.name || null,
+        rule_type: evaluation.rule_type || null,
+        rule: formatRuleType(evaluation.rule_type),
+        enforcement: evaluation.enforcement || null
+    }));
+}
+
+/**
+ * Collect every bypassed rule on the repositories of an installation in a time window
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Organization or user the app is installed on
+ * @param {Date} since - Start of the window
+ * @param {Date} until - End of the window
+ * @param {Object} [options] - Collection options
+ * @param {number} [options.maxRepositories] - Refuse installations with more repositories than this
+ * @returns {Promise<Array>} - Report records, oldest first
+ * @throws {Error} With code REPORT_TOO_LARGE if there are more repositories than maxRepositories
+ */
+async function collectBypassRecords(octokit, owner, since, until, { maxRepositories } = {}) {
+    const repositories = await listInstallationRepositories(octokit, owner);
+    if (maxRepositories !== undefined && repositories.length > maxRepositories) {
+        throw Object.assign(
+            new Error(`${owner} has ${repositories.length} repositories, more than the ${maxRepositories} a report request can scan; use the report command instead`),
+            { code: 'REPORT_TOO_LARGE' }
+        );
+    }
+
+    const records = [];
+    for (const repository of repositories) {
+        const [repoOwner, repo] = repository.full_name.split('/');
+        const ruleSuites = await addRuleSuiteDetails(
+            octokit,
+            repoOwner,
+            repo,
+            await listBypassedRuleSuites(octokit, repoOwner, repo, since, until)
+        );
+
+        // Several rule suites can be recorded for the same push
+        const pullRequests = new Map();
+        for (const ruleSuite of ruleSuites) {
+            if (!pullRequests.has(ruleSuite.after_sha)) {
+                const pullRequest = await findPullRequestForCommit(octokit, repoOwner, repo, ruleSuite.after_sha);
+                pullRequests.set(ruleSuite.after_sha, pullRequest?.merge_commit_sha === ruleSuite.after_sha ? pullRequest : null);
+            }
+            records.push(...toBypassRecords(repository.full_name, ruleSuite, pullRequests.get(ruleSuite.after_sha)));
+        }
+    }
+
+    return records.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+}
+
+/**
+ * Quote a CSV value, neutralizing values a spreadsheet would run as a formula
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+function toCsvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a SARIF 2.1.0 log with one result per bypassed rule
+ * @param {Array} records - Report records
+ * @returns {Object} - SARIF log
+ */
+function toSarif(records) {
+    const ruleTypes = [...new Set(records.map(record => record.rule_type || 'unknown'))];
+
+    return {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'ruleset-bypass-checker',
+                    informationUri: 'https://github.com/katiem0/github-pr-bypass-checker',
+                    rules: ruleTypes.map(ruleType => ({
+                        id: ruleType,
+                        name: formatRuleType(ruleType),
+                        shortDescription: { text: `${formatRuleType(ruleType)} bypassed` }
+                    }))
+                }
+            },
+            results: records.map(record => ({
+                ruleId: record.rule_type || 'unknown',
+                level: 'warning',
+                message: {
+                    text: `${record.rule || 'Ruleset'} in ${record.ruleset_name || 'an unknown ruleset'} was bypassed by ${record.actor || 'an unknown actor'} on ${record.repository}@${record.sha}` +
+                        (record.pull_request ? ` (pull request #${record.pull_request})` : '')
+                },
+                locations: [{
+                    logicalLocations: [{ fullyQualifiedName: record.repository, kind: 'module' }]
+                }],
+                partialFingerprints: {
+                    ruleSuite: `${record.rule_suite_id}/${record.ruleset_id}/${record.rule_type}`
+                },
+                properties: record
+            }))
+        }]
+    };
+}
+
+/**
+ * Render report records in one of the REPORT_FORMATS
+ * @param {Array} records - Report records
+ * @param {string} format - csv, ndjson or sarif
+ * @returns {string} - Report contents
+ */
+function formatBypassReport(records, format) {
+    switch (format) {
+        case 'csv':
+            return [REPORT_FIELDS.join(','), ...records.map(record => REPORT_FIELDS.map(field => toCsvField(record[field])).join(','))]
+                .join('\r\n') + '\r\n';
+        case 'ndjson':
+            return records.map(record => `${JSON.stringify(record)}\n`).join('');
+        case 'sarif':
+            return JSON.stringify(toSarif(records), null, 2);
+        default:
+            throw new Error(`Unknown report format: ${format}`);
+    }
+}
+
+/**
+ * Generate a bypass audit report for every repository of an installation
+ * @param {Object} options - Report options
+ * @param {string} options.owner - Organization or user the app is installed on
+ * @param {number} options.installationId - Installation ID for the owner
+ * @param {Date} options.since - Start of the window
+ * @param {Date} [options.until=now] - End of the window
+ * @param {string} [options.format=csv] - csv, ndjson or sarif
+ * @param {number} [options.maxRepositories] - Refuse installations with more repositories than this
+ * @returns {Promise<Object>} - The rendered report and the number of records in it
+ * @throws {Error} If the window starts before the rule suite history, or see collectBypassRecords
+ */
+async function generateBypassReport({ owner, installationId, since, until = new Date(), format = 'csv', maxRepositories }) {
+    if (!REPORT_FORMATS[format]) {
+        throw new Error(`Unknown report format: ${format}`);
+    }
+    const windowError = getReportWindowError(since);
+    if (windowError) {
+        throw new Error(windowError);
+    }
+
+    const octokit = await createOctokitClient(installationId);
+    const records = await collectBypassRecords(octokit, owner, since, until, { maxRepositories });
+    logger.info(`Generated ${format} bypass report for ${owner} with ${records.length} bypassed rules from ${since.toISOString()} to ${until.toISOString()}`);
+
+    return { body: formatBypassReport(records, format), count: records.length };
+}
+
+export {
+    REPORT_FORMATS,
+    getReportWindowError,
+    collectBypassRecords,
+    formatBypassReport,
+    generateBypassReport
+};
@@ -0,0 +1,327 @@
+import fs from 'fs';
+import path from 'path';
+import logger from '../utils/logger.js';
+import { getBypassedEvaluations } from '../utils/format.js';
+import { countBypasses } from '../utils/metrics.js';
+
+// Fields bypass events can be grouped by in stats()
+const GROUP_BY_FIELDS = ['actor', 'repository', 'ref', 'rule_type', 'ruleset', 'source', 'classification'];
+
+/**
+ * Normalize bypassed rule suites into bypass events
+ * @param {Array} ruleSuites - Rule suites, with rule_evaluations when they were fetched
+ * @param {Object} context - Where the bypasses were detected
+ * @param {string} context.repository - Repository full name
+ * @param {string} context.source - repository or organization, the level of the rulesets
+ * @param {string} context.trigger - Event that detected the bypasses, e.g. pull_request
+ * @param {Object} [context.pullRequest] - Pull request merged by the bypassing push
+ * @param {string} [context.deliveryId] - GitHub delivery ID of the webhook
+ * @returns {Array} - Bypass events
+ */
+function toBypassEvents(ruleSuites, { repository, source, trigger, pullRequest, deliveryId }) {
+    const detectedAt = new Date().toISOString();
+
+    return ruleSuites.map(ruleSuite => ({
+        id: `${source}:${ruleSuite.id}`,
+        rule_suite_id: ruleSuite.id,
+        source,
+        repository,
+        actor: ruleSuite.actor_name || null,
+        ref: ruleSuite.ref || null,
+        before_sha: ruleSuite.before_sha || null,
+        after_sha: ruleSuite.after_sha || null,
+        pushed_at: ruleSuite.pushed_at || detectedAt,
+        result: ruleSuite.result || 'bypass',
+        classification: ruleSuite.classification || null,
+        policy: ruleSuite.policy || null,
+        rules: getBypassedEvaluations(ruleSuite.rule_evaluations || []).map(evaluation => ({
+            ruleset_id: evaluation.rule_source?.id || null,
+            ruleset_name: evaluation.rule_source?.name || null,
+            rule_type: evaluation.rule_type || null,
+            enforcement: evaluation.enforcement || null
+        })),
+        pull_request: pullRequest ? {
+            number: pullRequest.number,
+            title: pullRequest.title || null,
+            url: pullRequest.html_url || null,
+            author: pullRequest.user?.login || null,
+            merged_by: pullRequest.merged_by?.login || null,
+            merged_at: pullRequest.merged_at || null,
+            base_ref: pullRequest.base?.ref || null
+        } : null,
+        trigger,
+        delivery_id: deliveryId || null,
+        detected_at: detectedAt
+    }));
+}
+
+/**
+ * Record bypassed rule suites in a bypass event store. Storage failures are logged
+ * rather than thrown, so they never hold up reporting the bypass.
+ * @param {Object} [store] - Bypass event store; nothing is recorded without one
+ * @param {Array} ruleSuites - Bypassed rule suites
+ * @param {Object} context - Where the bypasses were detected, see toBypassEvents
+ * @returns {Promise<Array>} - Events seen for the first time. Without a store none are known to be
+ *   new and the list is empty. When the events could not be stored, all of them are returned, so a
+ *   storage failure may repeat a notification but never drops one.
+ */
+async function recordBypasses(store, ruleSuites, context) {
+    const events = toBypassEvents(ruleSuites, context);
+    if (events.length === 0) {
+        return [];
+    }
+    if (!store) {
+        logger.debug(`No bypass event store, not recording ${events.length} ${context.source}-level bypass event(s) for ${context.repository}`);
+        return [];
+    }
+    try {
+        const added = await store.record(events);
+        logger.info(`Recorded ${added.length} new ${context.source}-level bypass event(s) for ${context.repository}`);
+        countBypasses(added);
+        return added;
+    } catch (error) {
+        logger.error(`Error recording bypass events for ${context.repository}, treating all ${events.length} as new: ${error.message}`);
+        return events;
+    }
+}
+
+/**
+ * Record the justification review of a pull request's bypasses on their stored events.
+ * Storage failures are logged rather than thrown, since the bypass comment keeps the review too.
+ * @param {Object} [store] - Bypass event store; nothing is recorded without one
+ * @param {Object} data - Bypass data from the bypass comment
+ * @param {Array} data.repo - Repository-level rule suites
+ * @param {Array} data.org - Organization-level rule suites
+ * @param {Object} data.review - Justification and acknowledgement, with their status
+ * @param {string} repository - Repository full name
+ * @returns {Promise<Array>} - The events the review was recorded on
+ */
+async function recordReview(store, { repo, org, review }, repository) {
+    if (!store) {
+        logger.debug(`No bypass event store, not recording the ${review.status} review for ${repository}`);
+        return [];
+    }
+    const ids = [
+        ...repo.map(ruleSuite => `repository:${ruleSuite.id}`),
+        ...org.map(ruleSuite => `organization:${ruleSuite.id}`)
+    ];
+    try {
+        const reviewed = await store.review(ids, review);
+        logger.info(`Recorded the ${review.status} review on ${reviewed.length} bypass event(s) for ${repository}`);
+        return reviewed;
+    } catch (error) {
+        logger.error(`Error recording the ${review.status} review for ${repository}: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Check whether a bypass event matches query filters
+ * @param {Object} event - Bypass event
+ * @param {Object} filters - Query filters, see query()
+ * @returns {boolean} - True if every given filter matches
+ */
+function matchesFilters(event, { repo, actor, ref, ruleType, ruleset, source, since, until }) {
+    if (repo && event.repository !== repo && event.repository.split('/')[1] !== repo) {
+        return false;
+    }
+    if (actor && event.actor?.toLowerCase() !== actor.toLowerCase()) {
+        return false;
+    }
+    if (ref && event.ref !== ref && event.ref !== `refs/heads/${ref}`) {
+        return false;
+    }
+    if (ruleType && !event.rules.some(rule => rule.rule_type === ruleType)) {
+        return false;
+    }
+    if (ruleset && !event.rules.some(rule => String(rule.ruleset_id) === ruleset || rule.ruleset_name === ruleset)) {
+        return false;
+    }
+    if (source && event.source !== source) {
+        return false;
+    }
+    if (since && new Date(event.pushed_at) < since) {
+        return false;
+    }
+    if (until && new Date(event.pushed_at) > until) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Get the values of a bypass event for a group-by field; rule fields can have several
+ * @param {Object} event - Bypass event
+ * @param {string} groupBy - One of GROUP_BY_FIELDS
+ * @returns {Array} - Group keys
+ */
+function groupKeys(event, groupBy) {
+    if (groupBy === 'rule_type') {
+        return [...new Set(event.rules.map(rule => rule.rule_type || 'unknown'))];
+    }
+    if (groupBy === 'ruleset') {
+        return [...new Set(event.rules.map(rule => rule.ruleset_name || String(rule.ruleset_id || 'unknown')))];
+    }
+    return [event[groupBy] || 'unknown'];
+}
+
+/**
+ * Create a store of detected bypasses persisted as an append-only NDJSON file, kept
+ * in memory for queries. Each rule suite is stored once, however often it is detected.
+ * A review appends the event again with the review, and the last line for an event wins.
+ * Only one instance should write to a file at a time.
+ * @param {Object} options - Store options
+ * @param {string} options.filePath - Path of the NDJSON file
+ * @returns {Object} Bypass event store
+ */
+function createBypassEventStore({ filePath }) {
+    // Event ID -> event, in the order they were detected
+    const events = new Map();
+    let writeChain = Promise.resolve();
+
+    try {
+        const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+        for (const line of lines) {
+            try {
+                const event = JSON.parse(line);
+                events.set(event.id, event);
+            } catch (error) {
+                logger.warn(`Skipping unreadable line in bypass store ${filePath}: ${error.message}`);
+            }
+        }
+        logger.info(`Loaded ${events.size} bypass events from ${filePath}`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn(`Could not read bypass store ${filePath}, starting empty: ${error.message}`);
+        }
+    }
+
+    // Appends are chained so lines from concurrent jobs never interleave. A failed
+    // append is reported to its caller without breaking the chain for later ones.
+    function append(newEvents) {
+        const lines = newEvents.map(event => `${JSON.stringify(event)}\n`).join('');
+        const write = writeChain.then(async () => {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.appendFile(filePath, lines);
+        });
+        writeChain = write.catch(() => {});
+        return write;
+    }
+
+    return {
+        /**
+         * Store bypass events that are not stored yet
+         * @param {Array} newEvents - Events from toBypassEvents
+         * @returns {Promise<Array>} - The events that were added
+         */
+        async record(newEvents) {
+            const added = newEvents.filter(event => !events.has(event.id));
+            if (added.length === 0) {
+                return [];
+            }
+            for (const event of added) {
+                events.set(event.id, event);
+            }
+            try {
+                await append(added);
+            } catch (error) {
+                for (const event of added) {
+                    events.delete(event.id);
+                }
+                throw error;
+            }
+            return added;
+        },
+
+        /**
+         * Attach a justification review to stored bypass events
+         * @param {Array<string>} ids - Event IDs; events that are not stored are skipped
+         * @param {Object} review - Justification and acknowledgement, with their status
+         * @returns {Promise<Array>} - The events that were updated
+         */
+        async review(ids, review) {
+            const previous = ids.map(id => events.get(id)).filter(Boolean);
+            if (previous.length === 0) {
+                return [];
+            }
+            const reviewed = previous.map(event => ({ ...event, review }));
+            for (const event of reviewed) {
+                events.set(event.id, event);
+            }
+            try {
+                await append(reviewed);
+            } catch (error) {
+                for (const event of previous) {
+                    events.set(event.id, event);
+                }
+                throw error;
+            }
+            return reviewed;
+        },
+
+        /**
+         * Find bypass events, newest first
+         * @param {Object} [filters] - Query filters
+         * @param {string} [filters.repo] - Repository full name or name
+         * @param {string} [filters.actor] - Login of the actor who bypassed
+         * @param {string} [filters.ref] - Branch name or full ref
+         * @param {string} [filters.ruleType] - Bypassed rule type
+         * @param {string} [filters.ruleset] - Bypassed ruleset ID or name
+         * @param {string} [filters.source] - repository or organization
+         * @param {Date} [filters.since] - Pushed at or after
+         * @param {Date} [filters.until] - Pushed at or before
+         * @param {number} [filters.limit=100] - Page size
+         * @param {number} [filters.offset=0] - Events to skip
+         * @returns {Object} - Total number of matches and the requested page
+         */
+        query({ limit = 100, offset = 0, ...filters } = {}) {
+            const matches = [...events.values()]
+                .filter(event => matchesFilters(event, filters))
+                .sort((a, b) => b.pushed_at.localeCompare(a.pushed_at));
+            return {
+                total: matches.length,
+                bypasses: matches.slice(offset, offset + limit)
+            };
+        },
+
+        /**
+         * Count bypass events per value of a field
+         * @param {string} groupBy - One of GROUP_BY_FIELDS
+         * @param {Object} [filters] - Query filters, see query()
+         * @returns {Object} - Total number of matches and counts per group, largest first
+         */
+        stats(groupBy, filters = {}) {
+            const counts = new Map();
+            let total = 0;
+            for (const event of events.values()) {
+                if (!matchesFilters(event, filters)) {
+                    continue;
+                }
+                total++;
+                for (const key of groupKeys(event, groupBy)) {
+                    counts.set(key, (counts.get(key) || 0) + 1);
+                }
+            }
+            return {
+                total,
+                groups: [...counts].map(([key, count]) => ({ [groupBy]: key, count })).sort((a, b) => b.count - a.count)
+            };
+        },
+
+        size() {
+            return events.size;
+        },
+
+        async close() {
+            await writeChain;
+        }
+    };
+}
+
+export {
+    GROUP_BY_FIELDS,
+    createBypassEventStore,
+    recordBypasses,
+    recordReview,
+    toBypassEvents
+};
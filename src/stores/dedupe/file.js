@@ -0,0 +1,93 @@
+import fs from 'fs';
+import path from 'path';
+import logger from '../../utils/logger.js';
+
+/**
+ * Create a dedupe store persisted to a JSON file, so delivery IDs survive a
+ * restart. Only one instance should write to a file at a time; use the Redis
+ * store to share entries between replicas.
+ * @param {Object} options - Store options
+ * @param {number} options.ttlSeconds - Seconds to remember a delivery ID
+ * @param {string} options.filePath - Path of the JSON file
+ * @returns {Object} Dedupe store
+ */
+function createFileDedupeStore({ ttlSeconds, filePath }) {
+    // Delivery ID -> expiry timestamp
+    const entries = new Map();
+    let writeChain = Promise.resolve();
+
+    try {
+        const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const now = Date.now();
+        for (const [key, expiresAt] of Object.entries(saved)) {
+            if (expiresAt > now) {
+                entries.set(key, expiresAt);
+            }
+        }
+        logger.info(`Loaded ${entries.size} delivery IDs from ${filePath}`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn(`Could not read dedupe file ${filePath}, starting empty: ${error.message}`);
+        }
+    }
+
+    function prune(now) {
+        for (const [key, expiresAt] of entries) {
+            if (expiresAt <= now) {
+                entries.delete(key);
+            }
+        }
+    }
+
+    // Writes are chained so they never interleave, and go through a temporary
+    // file so a crash mid-write cannot leave a truncated file behind
+    function persist() {
+        const snapshot = JSON.stringify(Object.fromEntries(entries));
+        writeChain = writeChain
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+                const tempPath = `${filePath}.tmp`;
+                await fs.promises.writeFile(tempPath, snapshot);
+                await fs.promises.rename(tempPath, filePath);
+            })
+            .catch(error => {
+                logger.error(`Error writing dedupe file ${filePath}: ${error.message}`);
+            });
+        return writeChain;
+    }
+
+    return {
+        name: 'file',
+
+        async checkAndMark(key) {
+            const now = Date.now();
+            const expiresAt = entries.get(key);
+            if (expiresAt && expiresAt > now) {
+                return false;
+            }
+            entries.set(key, now + ttlSeconds * 1000);
+            prune(now);
+            await persist();
+            return true;
+        },
+
+        async remove(key) {
+            if (entries.delete(key)) {
+                await persist();
+            }
+        },
+
+        async size() {
+            prune(Date.now());
+            return entries.size;
+        },
+
+        async close() {
+            await writeChain;
+        }
+    };
+}
+
+export {
+    createFileDedupeStore
+};
@@ -0,0 +1,33 @@
+import logger from '../../utils/logger.js';
+import { createMemoryDedupeStore } from './memory.js';
+import { createFileDedupeStore } from './file.js';
+import { createRedisDedupeStore } from './redis.js';
+
+/**
+ * Create the dedupe store selected by configuration. Every store exposes
+ * checkAndMark(key), remove(key), size() and close().
+ * @param {Object} config - Dedupe configuration from getDedupeConfig
+ * @param {string} config.backend - memory, file or redis
+ * @param {number} config.ttlSeconds - Seconds to remember a delivery ID
+ * @param {string} [config.filePath] - JSON file used by the file backend
+ * @param {string} [config.redisUrl] - Server URL used by the redis backend
+ * @returns {Promise<Object>} Dedupe store
+ */
+async function createDedupeStore({ backend, ttlSeconds, filePath, redisUrl }) {
+    logger.info(`Using ${backend} dedupe store (TTL: ${ttlSeconds}s)`);
+
+    switch (backend) {
+        case 'memory':
+            return createMemoryDedupeStore({ ttlSeconds });
+        case 'file':
+            return createFileDedupeStore({ ttlSeconds, filePath });
+        case 'redis':
+            return createRedisDedupeStore({ ttlSeconds, url: redisUrl });
+        default:
+            throw new Error(`Unknown dedupe store backend: ${backend}`);
+    }
+}
+
+export {
+    createDedupeStore
+};
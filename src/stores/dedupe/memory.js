@@ -0,0 +1,55 @@
+/**
+ * Create an in-memory dedupe store. Entries are lost on restart and are not
+ * shared between instances.
+ * @param {Object} options - Store options
+ * @param {number} options.ttlSeconds - Seconds to remember a delivery ID
+ * @param {number} [options.maxEntries=10000] - Oldest entries are evicted beyond this size
+ * @returns {Object} Dedupe store
+ */
+function createMemoryDedupeStore({ ttlSeconds, maxEntries = 10000 }) {
+    // Delivery ID -> expiry timestamp, in insertion order
+    const entries = new Map();
+
+    function prune(now) {
+        for (const [key, expiresAt] of entries) {
+            if (expiresAt <= now) {
+                entries.delete(key);
+            }
+        }
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    }
+
+    return {
+        name: 'memory',
+
+        async checkAndMark(key) {
+            const now = Date.now();
+            const expiresAt = entries.get(key);
+            if (expiresAt && expiresAt > now) {
+                return false;
+            }
+            entries.set(key, now + ttlSeconds * 1000);
+            prune(now);
+            return true;
+        },
+
+        async remove(key) {
+            entries.delete(key);
+        },
+
+        async size() {
+            prune(Date.now());
+            return entries.size;
+        },
+
+        async close() {
+            entries.clear();
+        }
+    };
+}
+
+export {
+    createMemoryDedupeStore
+};
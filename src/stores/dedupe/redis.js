@@ -0,0 +1,52 @@
+import logger from '../../utils/logger.js';
+
+/**
+ * Create a dedupe store backed by any server that speaks the Redis protocol
+ * (Redis, Valkey, KeyDB, ...). Entries are shared by every instance that
+ * points at the same server, and expire through the server's own TTL.
+ * @param {Object} options - Store options
+ * @param {number} options.ttlSeconds - Seconds to remember a delivery ID
+ * @param {string} [options.url] - Server URL, e.g. redis://localhost:6379
+ * @param {string} [options.keyPrefix='bypass-checker:delivery:'] - Prefix for every key
+ * @param {Object} [options.client] - Existing client to use instead of connecting to url
+ * @returns {Promise<Object>} Dedupe store
+ */
+async function createRedisDedupeStore({ ttlSeconds, url, keyPrefix = 'bypass-checker:delivery:', client }) {
+    if (!client) {
+        const { createClient } = await import('redis');
+        client = createClient({ url });
+        client.on('error', error => logger.error(`Redis dedupe store error: ${error.message}`));
+        await client.connect();
+        logger.info('Connected to Redis dedupe store');
+    }
+
+    return {
+        name: 'redis',
+
+        async checkAndMark(key) {
+            // SET NX is atomic, so only one instance wins for each delivery ID
+            const result = await client.set(`${keyPrefix}${key}`, String(Date.now()), {
+                NX: true,
+                EX: ttlSeconds
+            });
+            return result === 'OK';
+        },
+
+        async remove(key) {
+            await client.del(`${keyPrefix}${key}`);
+        },
+
+        async size() {
+            // Counting keys would need a full SCAN, which is too costly for a health check
+            return null;
+        },
+
+        async close() {
+            await client.quit();
+        }
+    };
+}
+
+export {
+    createRedisDedupeStore
+};
@@ -0,0 +1,139 @@
+import fs from 'fs';
+import path from 'path';
+import logger from '../utils/logger.js';
+
+// Headers kept with an archived delivery
+const ARCHIVED_HEADERS = /^(x-github-|x-hub-signature|user-agent$|content-type$)/;
+
+// GitHub delivery IDs are GUIDs; anything else is rejected so it cannot name a path
+const DELIVERY_ID = /^[A-Za-z0-9-]+$/;
+
+/**
+ * Check that a delivery ID can be used as a file name
+ * @param {string} deliveryId - GitHub delivery ID
+ * @returns {boolean} - True if the ID is valid
+ */
+function isValidDeliveryId(deliveryId) {
+    return typeof deliveryId === 'string' && DELIVERY_ID.test(deliveryId);
+}
+
+/**
+ * Create an archive of verified webhook deliveries, one JSON file per delivery ID, so
+ * they can be replayed later. A redelivery replaces the archived copy.
+ * @param {Object} options - Archive options
+ * @param {string} options.directory - Directory the deliveries are written to
+ * @returns {Object} Webhook archive
+ */
+function createWebhookArchive({ directory }) {
+    /**
+     * Get the path of an archived delivery
+     * @param {string} deliveryId - GitHub delivery ID
+     * @returns {string} - File path
+     */
+    function deliveryPath(deliveryId) {
+        return path.join(directory, `${deliveryId}.json`);
+    }
+
+    /**
+     * Read an archived delivery file
+     * @param {string} filePath - File path
+     * @returns {Promise<Object|null>} - The delivery, or null if it does not exist
+     */
+    async function readDelivery(filePath) {
+        try {
+            return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw new Error(`Could not read archived delivery ${filePath}: ${error.message}`);
+        }
+    }
+
+    return {
+        directory,
+
+        /**
+         * Archive a delivery. Writes go to a temporary file first, so a crash never
+         * leaves half a delivery behind.
+         * @param {Object} delivery - The delivery
+         * @param {string} delivery.deliveryId - X-GitHub-Delivery header
+         * @param {Object} delivery.headers - Request headers; only GitHub's and the content type are kept
+         * @param {Object} delivery.payload - Parsed webhook payload
+         * @param {Date} [delivery.receivedAt] - When the delivery was received
+         * @returns {Promise<Object>} - The archived delivery
+         */
+        async save({ deliveryId, headers, payload, receivedAt = new Date() }) {
+            if (!isValidDeliveryId(deliveryId)) {
+                throw new Error(`Cannot archive a delivery with ID "${deliveryId}"`);
+            }
+            const delivery = {
+                deliveryId,
+                event: headers['x-github-event'] || null,
+                action: payload.action || null,
+                receivedAt: receivedAt.toISOString(),
+                signature: headers['x-hub-signature-256'] || null,
+                headers: Object.fromEntries(Object.entries(headers).filter(([name]) => ARCHIVED_HEADERS.test(name))),
+                payload
+            };
+
+            const filePath = deliveryPath(deliveryId);
+            await fs.promises.mkdir(directory, { recursive: true });
+            await fs.promises.writeFile(`${filePath}.tmp`, JSON.stringify(delivery));
+            await fs.promises.rename(`${filePath}.tmp`, filePath);
+            logger.debug(`Archived ${delivery.event}.${delivery.action || 'unknown'} delivery ${deliveryId}`);
+            return delivery;
+        },
+
+        /**
+         * Get an archived delivery
+         * @param {string} deliveryId - GitHub delivery ID
+         * @returns {Promise<Object|null>} - The delivery, or null if it is not archived
+         */
+        async get(deliveryId) {
+            if (!isValidDeliveryId(deliveryId)) {
+                return null;
+            }
+            return readDelivery(deliveryPath(deliveryId));
+        },
+
+        /**
+         * List archived deliveries received in a time window, oldest first
+         * @param {Object} [window] - Time window
+         * @param {Date} [window.since] - Only deliveries received at or after this time
+         * @param {Date} [window.until] - Only deliveries received at or before this time
+         * @returns {Promise<Array>} - Archived deliveries
+         */
+        async list({ since, until } = {}) {
+            let files;
+            try {
+                files = (await fs.promises.readdir(directory)).filter(file => file.endsWith('.json'));
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return [];
+                }
+                throw error;
+            }
+
+            const deliveries = [];
+            for (const file of files) {
+                let delivery;
+                try {
+                    delivery = await readDelivery(path.join(directory, file));
+                } catch (error) {
+                    logger.warn(`Skipping ${error.message}`);
+                    continue;
+                }
+                const receivedAt = new Date(delivery?.receivedAt);
+                if (delivery && (!since || receivedAt >= since) && (!until || receivedAt <= until)) {
+                    deliveries.push(delivery);
+                }
+            }
+            return deliveries.sort((a, b) => a.receivedAt.localeCompare(b.receivedAt));
+        }
+    };
+}
+
+export {
+    createWebhookArchive
+};
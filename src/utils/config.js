@@ -128,12 +128,204 @@ function getDeploymentConfig() {
     port: parseInt(process.env.PORT || '3000', 10),
     nodeEnv: process.env.NODE_ENV || 'development',
     githubApiUrl: process.env.GITHUB_API_URL || 'https://api.github.com',
-    webhookProxyUrl: process.env.WEBHOOK_PROXY_URL || null
+    webhookProxyUrl: process.env.WEBHOOK_PROXY_URL || null,
+    adminToken: process.env.ADMIN_TOKEN || null
+  };
+}
+
+/**
+ * Get audit configuration
+ * @returns {Object} Audit configuration
+ */
+function getAuditConfig() {
+  loadEnv();
+  
+  const auditRepository = process.env.AUDIT_REPOSITORY || null;
+  const [owner, repo] = auditRepository ? auditRepository.split('/') : [];
+  
+  if (auditRepository && (!owner || !repo)) {
+    logger.warn(`Ignoring AUDIT_REPOSITORY "${auditRepository}" - expected format is owner/repo`);
+  }
+  
+  return {
+    auditRepository: owner && repo ? { owner, repo } : null,
+    auditIssueLabels: (process.env.AUDIT_ISSUE_LABELS || 'ruleset-bypass')
+      .split(',')
+      .map(label => label.trim())
+      .filter(Boolean)
+  };
+}
+
+/**
+ * Get check run configuration
+ * @returns {Object} Check run configuration
+ */
+function getCheckRunConfig() {
+  loadEnv();
+  
+  const allowedConclusions = ['action_required', 'neutral', 'failure'];
+  let bypassConclusion = process.env.CHECK_RUN_BYPASS_CONCLUSION || 'action_required';
+  
+  if (!allowedConclusions.includes(bypassConclusion)) {
+    logger.warn(`Ignoring CHECK_RUN_BYPASS_CONCLUSION "${bypassConclusion}" - expected one of ${allowedConclusions.join(', ')}`);
+    bypassConclusion = 'action_required';
+  }
+  
+  return {
+    enabled: process.env.CHECK_RUN_ENABLED !== 'false',
+    name: process.env.CHECK_RUN_NAME || 'ruleset-bypass',
+    bypassConclusion
+  };
+}
+
+/**
+ * Get webhook delivery dedupe configuration
+ * @returns {Object} Dedupe configuration
+ */
+function getDedupeConfig() {
+  loadEnv();
+  
+  const backends = ['memory', 'file', 'redis'];
+  let backend = process.env.DEDUPE_STORE || 'memory';
+  
+  if (!backends.includes(backend)) {
+    logger.warn(`Ignoring DEDUPE_STORE "${backend}" - expected one of ${backends.join(', ')}`);
+    backend = 'memory';
+  }
+  
+  return {
+    backend,
+    ttlSeconds: parseInt(process.env.DEDUPE_TTL || '86400', 10),
+    filePath: path.resolve(process.cwd(), process.env.DEDUPE_FILE || 'data/deliveries.json'),
+    redisUrl: process.env.REDIS_URL || 'redis://localhost:6379'
+  };
+}
+
+/**
+ * Get webhook job queue configuration
+ * @returns {Object} Job queue configuration
+ */
+function getQueueConfig() {
+  loadEnv();
+  
+  return {
+    directory: path.resolve(process.cwd(), process.env.JOB_QUEUE_DIR || 'data/jobs'),
+    concurrency: parseInt(process.env.JOB_QUEUE_CONCURRENCY || '2', 10),
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '5', 10),
+    baseDelayMs: parseInt(process.env.JOB_RETRY_BASE_DELAY || '5', 10) * 1000,
+    maxDelayMs: parseInt(process.env.JOB_RETRY_MAX_DELAY || '600', 10) * 1000
+  };
+}
+
+/**
+ * Get delayed bypass re-check configuration
+ * @returns {Object} Re-check configuration with delays in seconds after the merge
+ */
+function getRecheckConfig() {
+  loadEnv();
+  
+  const delaysSeconds = (process.env.RECHECK_DELAYS ?? '30,120,600')
+    .split(',')
+    .map(delay => parseInt(delay.trim(), 10))
+    .filter(delay => Number.isInteger(delay) && delay > 0)
+    .sort((a, b) => a - b);
+  
+  return { delaysSeconds };
+}
+
+/**
+ * Get repository configuration cache settings
+ * @returns {Object} How long a repository's loaded configuration is reused
+ */
+function getRepoConfigCacheConfig() {
+  loadEnv();
+  
+  return {
+    ttlMs: parseInt(process.env.REPO_CONFIG_CACHE_TTL || '300', 10) * 1000
+  };
+}
+
+/**
+ * Get bypass event store configuration
+ * @returns {Object} Bypass event store configuration
+ */
+function getBypassStoreConfig() {
+  loadEnv();
+  
+  return {
+    filePath: path.resolve(process.cwd(), process.env.BYPASS_STORE_FILE || 'data/bypasses.ndjson')
+  };
+}
+
+/**
+ * Get bypass notification configuration
+ * @returns {Object} Notification sinks file and delivery settings
+ */
+function getNotifierConfig() {
+  loadEnv();
+  
+  return {
+    filePath: process.env.NOTIFIERS_FILE ? path.resolve(process.cwd(), process.env.NOTIFIERS_FILE) : null,
+    attempts: parseInt(process.env.NOTIFY_MAX_ATTEMPTS || '3', 10),
+    timeoutMs: parseInt(process.env.NOTIFY_TIMEOUT || '10', 10) * 1000
+  };
+}
+
+/**
+ * Get email digest configuration
+ * @returns {Object} SMTP server, sender address and pending digest file
+ */
+function getEmailConfig() {
+  loadEnv();
+  
+  return {
+    smtpUrl: process.env.SMTP_URL || null,
+    from: process.env.EMAIL_FROM || 'ruleset-bypass-checker@localhost',
+    digestFile: path.resolve(process.cwd(), process.env.DIGEST_FILE || 'data/digests.json')
+  };
+}
+
+/**
+ * Get webhook archive configuration
+ * @returns {Object} Whether deliveries are archived, and the directory they are kept in
+ */
+function getWebhookArchiveConfig() {
+  loadEnv();
+  
+  return {
+    enabled: process.env.WEBHOOK_ARCHIVE === 'true',
+    directory: path.resolve(process.cwd(), process.env.WEBHOOK_ARCHIVE_DIR || 'data/webhooks')
+  };
+}
+
+/**
+ * Get tracing configuration, from the standard OpenTelemetry environment variables
+ * @returns {Object} Service name and OTLP/HTTP traces endpoint (null disables tracing)
+ */
+function getTracingConfig() {
+  loadEnv();
+  
+  const baseEndpoint = process.env.OTEL_EXPORTER_OTLP_ENDPOINT;
+  return {
+    serviceName: process.env.OTEL_SERVICE_NAME || 'github-pr-bypass-checker',
+    endpoint: process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT ||
+      (baseEndpoint ? `${baseEndpoint.replace(/\/+$/, '')}/v1/traces` : null)
   };
 }
 
 export {
   getGitHubCredentials,
   getDeploymentConfig,
+  getAuditConfig,
+  getCheckRunConfig,
+  getDedupeConfig,
+  getQueueConfig,
+  getRecheckConfig,
+  getRepoConfigCacheConfig,
+  getBypassStoreConfig,
+  getNotifierConfig,
+  getEmailConfig,
+  getTracingConfig,
+  getWebhookArchiveConfig,
   loadEnv
 };
\ No newline at end of file
@@ -0,0 +1,98 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import logger from './logger.js';
+
+// Octokit methods that change something on GitHub
+const WRITE_METHOD = /^(create|update|delete|remove|add|set|merge|replace)/;
+
+// Octokit methods whose body is a comment
+const COMMENT_METHODS = ['issues.createComment', 'issues.updateComment', 'repos.createCommitComment'];
+
+// Requests held back while a dry run is active, carried across async calls
+const dryRunContext = new AsyncLocalStorage();
+
+/**
+ * Run a function without changing anything on GitHub. Octokit clients created while it
+ * runs record their writes instead of sending them, and notifications are not sent.
+ * @param {Function} fn - Function to run
+ * @returns {Promise<Object>} - The function's result, and the requests it would have sent
+ */
+async function captureWrites(fn) {
+    const requests = [];
+    const result = await dryRunContext.run({ requests }, fn);
+    return { result, requests };
+}
+
+/**
+ * Check whether the current call runs in a dry run
+ * @returns {boolean} - True in a dry run
+ */
+function isDryRun() {
+    return dryRunContext.getStore() !== undefined;
+}
+
+/**
+ * Record a write instead of sending it
+ * @param {string} method - Octokit method or request route
+ * @param {Object} params - Request parameters
+ * @returns {Object} - An empty response
+ */
+function holdBack(method, params) {
+    dryRunContext.getStore()?.requests.push({ method, params });
+    logger.info(`Dry run: not sending ${method}`);
+    return { status: 200, headers: {}, data: {} };
+}
+
+/**
+ * Wrap an Octokit client so that, in a dry run, its writes are recorded instead of sent.
+ * Reads still go to GitHub, so the dry run sees the real rule suites and comments.
+ * @param {Object} octokit - Octokit client
+ * @returns {Object} - The wrapped client
+ */
+function interceptWrites(octokit) {
+    return new Proxy(octokit, {
+        get(target, property) {
+            const value = target[property];
+            if (property === 'request' && typeof value === 'function') {
+                return async (route, params) => {
+                    const method = (typeof route === 'string' ? route.split(' ')[0] : route?.method) || 'GET';
+                    return isDryRun() && !['GET', 'HEAD'].includes(method.toUpperCase()) ?
+                        holdBack(typeof route === 'string' ? route : `${method} ${route.url}`, params || route) :
+                        value.call(target, route, params);
+                };
+            }
+            if (!value || typeof value !== 'object' || ['hook', 'auth', 'log'].includes(property)) {
+                return value;
+            }
+            // Endpoint namespaces such as octokit.issues
+            return new Proxy(value, {
+                get(namespace, name) {
+                    const method = namespace[name];
+                    if (typeof method !== 'function' || typeof name !== 'string' || !WRITE_METHOD.test(name)) {
+                        return method;
+                    }
+                    return async (params) => (isDryRun() ?
+                        holdBack(`${property}.${name}`, params) :
+                        method.call(namespace, params));
+                }
+            });
+        }
+    });
+}
+
+/**
+ * Pick the comments out of the requests held back in a dry run
+ * @param {Array} requests - Requests from captureWrites
+ * @returns {Array} - The comment bodies, in the order they would have been posted
+ */
+function getCapturedComments(requests) {
+    return requests
+        .filter(request => COMMENT_METHODS.includes(request.method) && request.params?.body)
+        .map(request => request.params.body);
+}
+
+export {
+    captureWrites,
+    isDryRun,
+    interceptWrites,
+    getCapturedComments
+};
@@ -0,0 +1,134 @@
+// Readable names for the rule types returned in rule suite evaluations
+const RULE_TYPE_LABELS = {
+    pull_request: 'Required pull request reviews',
+    required_status_checks: 'Required status checks',
+    required_signatures: 'Signed commits',
+    required_linear_history: 'Linear history',
+    required_deployments: 'Required deployments',
+    non_fast_forward: 'Block force pushes',
+    deletion: 'Restrict deletions',
+    creation: 'Restrict creations',
+    update: 'Restrict updates',
+    merge_queue: 'Merge queue',
+    code_scanning: 'Code scanning results',
+    workflows: 'Required workflows',
+    commit_message_pattern: 'Commit message pattern',
+    commit_author_email_pattern: 'Commit author email pattern',
+    committer_email_pattern: 'Committer email pattern',
+    branch_name_pattern: 'Branch name pattern',
+    tag_name_pattern: 'Tag name pattern',
+    file_path_restriction: 'Restrict file paths',
+    max_file_path_length: 'Maximum file path length',
+    file_extension_restriction: 'Restrict file extensions',
+    max_file_size: 'Maximum file size'
+};
+
+/**
+ * Get a readable name for a rule type
+ * @param {string} ruleType - Rule type from a rule evaluation
+ * @returns {string} - Readable rule name
+ */
+function formatRuleType(ruleType) {
+    return RULE_TYPE_LABELS[ruleType] || ruleType || 'Unknown rule';
+}
+
+/**
+ * Build the settings URL of a ruleset
+ * @param {number} rulesetId - Ruleset ID
+ * @param {Object} location - Where the ruleset is defined
+ * @param {string} location.owner - Repository owner or organization login
+ * @param {string} [location.repo] - Repository name, omitted for organization rulesets
+ * @returns {string} - Ruleset settings URL
+ */
+function getRulesetUrl(rulesetId, { owner, repo }) {
+    return repo ?
+        `https://github.com/${owner}/${repo}/rules/${rulesetId}` :
+        `https://github.com/organizations/${owner}/settings/rules/${rulesetId}`;
+}
+
+/**
+ * Pick the rule evaluations that were bypassed in a rule suite
+ * @param {Array} ruleEvaluations - Rule evaluations from the rule suite detail endpoint
+ * @returns {Array} - Bypassed rule evaluations, empty if none failed
+ */
+function getBypassedEvaluations(ruleEvaluations) {
+    // Rules that failed were the ones bypassed; rules that passed were not
+    return ruleEvaluations.filter(evaluation => evaluation.result === 'fail');
+}
+
+/**
+ * Format the bypassed rule evaluations of a rule suite grouped by ruleset
+ * @param {Array} evaluations - Bypassed rule evaluations, see getBypassedEvaluations
+ * @param {Object} location - Where the rulesets are defined, see getRulesetUrl
+ * @returns {string} - Formatted markdown string
+ */
+function formatRuleEvaluations(evaluations, location) {
+    const rulesets = new Map();
+    for (const evaluation of evaluations) {
+        const source = evaluation.rule_source || {};
+        const key = source.id || source.name || 'unknown';
+        if (!rulesets.has(key)) {
+            rulesets.set(key, {
+                id: source.id,
+                name: source.name || (source.id ? `Ruleset ${source.id}` : 'Unknown ruleset'),
+                enforcement: evaluation.enforcement || 'Unknown',
+                ruleTypes: []
+            });
+        }
+        rulesets.get(key).ruleTypes.push(formatRuleType(evaluation.rule_type));
+    }
+
+    return [...rulesets.values()].map((ruleset) => {
+        const name = ruleset.id && location ?
+            `[${ruleset.name}](${getRulesetUrl(ruleset.id, location)})` :
+            ruleset.name;
+        const rules = ruleset.ruleTypes.map(ruleType => `    - ${ruleType}`).join('\n');
+
+        return `  - ${name} _(enforcement: ${ruleset.enforcement})_
+${rules}`;
+    }).join('\n');
+}
+
+/**
+ * Format rule suites information into readable markdown
+ * @param {Array} ruleSuites - Array of rule suite objects
+ * @param {Object} [location] - Where the rulesets are defined, used to link each ruleset
+ * @returns {string} - Formatted markdown string
+ */
+function formatRuleSuites(ruleSuites, location) {
+    if (!ruleSuites || ruleSuites.length === 0) {
+        return '';
+    }
+
+    return ruleSuites.map((ruleSuite) => {
+        // Extract ruleset information with fallbacks for different API response formats
+        const beforeSha = ruleSuite.before_sha ? ruleSuite.before_sha.substring(0, 7) : 'Unknown';
+        const afterSha = ruleSuite.after_sha ? ruleSuite.after_sha.substring(0, 7) : 'Unknown';
+        const status = ruleSuite.status || ruleSuite.result || 'bypass';
+        const actorName = ruleSuite.actor_name || 'Unknown';
+        const pushedAt = ruleSuite.pushed_at ? new Date(ruleSuite.pushed_at).toLocaleString() : 'Unknown';
+
+        let formatted = `- **Commit:** ${afterSha} _(from ${beforeSha})_
+- **Actor:** ${actorName}
+- **Status:** ${status}
+- **Time:** ${pushedAt}`;
+
+        if (ruleSuite.classification) {
+            formatted += `\n- **Policy:** ${ruleSuite.classification}${ruleSuite.policy ? ` _(${ruleSuite.policy})_` : ''}`;
+        }
+
+        const evaluations = Array.isArray(ruleSuite.rule_evaluations) ? getBypassedEvaluations(ruleSuite.rule_evaluations) : [];
+        if (evaluations.length > 0) {
+            formatted += `\n- **Bypassed Rules:**\n${formatRuleEvaluations(evaluations, location)}`;
+        }
+
+        return formatted;
+    }).join('\n\n');
+}
+
+export {
+    formatRuleSuites,
+    formatRuleType,
+    getBypassedEvaluations,
+    getRulesetUrl
+};
@@ -3,14 +3,82 @@ import { createAppAuth } from "@octokit/auth-app";
 import logger from './logger.js';
 import process from 'node:process';
 import { getGitHubCredentials } from './config.js';
+import { instrumentOctokit, commentPostFailures } from './metrics.js';
+import { withSpan, traceOctokit } from './tracing.js';
+import { isDryRun, interceptWrites } from './dryRun.js';
+
+// Installation tokens are valid for one hour. Refresh them a few minutes
+// early so a request never goes out with a token that is about to expire.
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const DEFAULT_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+// Cached installation tokens keyed by installation ID
+const installationTokens = new Map();
+
+// The app's slug, looked up once; its comments are posted as <slug>[bot]
+let appSlug = null;
+
+/**
+ * Get an installation access token, reusing a cached one while it is still fresh
+ * @param {Function} auth - GitHub App auth function from createAppAuth
+ * @param {string|number} installationId - GitHub App installation ID
+ * @returns {Promise<string>} Installation access token
+ */
+async function getInstallationToken(auth, installationId) {
+    const cacheKey = String(installationId);
+    const cached = installationTokens.get(cacheKey);
+    
+    if (cached && cached.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+        logger.debug(`Using cached installation token for installation ID: ${installationId}`);
+        return cached.token;
+    }
+    
+    let retries = 3;
+    
+    while (retries > 0) {
+        try {
+            logger.info(`Getting installation token for installation ID: ${installationId}`);
+            const authResult = await auth({ type: "installation", installationId });
+            const expiresAt = authResult.expiresAt ?
+                new Date(authResult.expiresAt).getTime() :
+                Date.now() + DEFAULT_TOKEN_TTL_MS;
+            
+            installationTokens.set(cacheKey, { token: authResult.token, expiresAt });
+            return authResult.token;
+        } catch (error) {
+            retries--;
+            if (retries === 0) {
+                installationTokens.delete(cacheKey);
+                throw error;
+            }
+            logger.warn(`Error getting token, retrying (${retries} attempts left): ${error.message}`);
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+    }
+}
 
 /**
  * Create an authenticated Octokit client using GitHub App credentials
+ * @param {string|number} [installationId] - Installation ID from the webhook payload.
+ *   Falls back to the INSTALLATION_ID environment variable when not provided.
  * @returns {Promise<Octokit>} Authenticated Octokit client
  */
-async function createOctokitClient() {
+async function createOctokitClient(installationId) {
+    return withSpan('createOctokitClient', {}, span => createClient(installationId, span));
+}
+
+/**
+ * Create the client, see createOctokitClient
+ * @param {string|number} [installationId] - Installation ID from the webhook payload
+ * @param {Object} span - The createOctokitClient span
+ * @returns {Promise<Octokit>} Authenticated Octokit client
+ */
+async function createClient(installationId, span) {
     try {
-        const { appId, privateKey, installationId } = getGitHubCredentials();
+        const credentials = getGitHubCredentials();
+        const { appId, privateKey } = credentials;
+        installationId = installationId || credentials.installationId;
+        span.setAttribute('github.installation_id', String(installationId));
         
         if (!appId) {
             logger.error('GITHUB_APP_ID environment variable is not set');
@@ -18,8 +86,8 @@ async function createOctokitClient() {
         }
         
         if (!installationId) {
-            logger.error('INSTALLATION_ID environment variable is not set');
-            throw new Error('Installation ID is not set in environment variables');
+            logger.error('No installation ID in webhook payload and INSTALLATION_ID environment variable is not set');
+            throw new Error('Installation ID is not available');
         }
         
         // Use private key directly from environment
@@ -31,34 +99,16 @@ async function createOctokitClient() {
         logger.info(`Creating GitHub App authentication with App ID: ${appId}`);
         logger.debug(`Private key format check: starts with "-----BEGIN"? ${privateKey.startsWith('-----BEGIN')}`);
         
-        
         // Create auth function
         const auth = createAppAuth({
             appId: appId,
-            privateKey: privateKey,
-            installationId: installationId
-        });
-        
-        let token;
-        let retries = 3;
-        
-        while (retries > 0) {
-            try {
-                logger.info(`Getting installation token for installation ID: ${installationId}`);
-                const authResult = await auth({ type: "installation" });
-                token = authResult.token;
-                break;
-            } catch (error) {
-                retries--;
-                if (retries === 0) {
-                    throw error;
-                }
-                logger.warn(`Error getting token, retrying (${retries} attempts left): ${error.message}`);
-                await new Promise(resolve => setTimeout(resolve, 1000));
-            }
-        }
+            privateKey: privateKey
+        });
+        
+        const token = await getInstallationToken(auth, installationId);
+        
         // Create Octokit instance with the token
-        logger.info('Creating Octokit instance with installation token');
+        logger.info(`Creating Octokit instance with installation token for installation ID: ${installationId}`);
         const octokit = new Octokit({
             auth: token,
             baseUrl: process.env.GITHUB_API_URL || 'https://api.github.com',
@@ -75,9 +125,12 @@ async function createOctokitClient() {
             }
         });
         
+        instrumentOctokit(octokit, installationId);
+        traceOctokit(octokit);
         logger.info('Successfully created authenticated Octokit client');
         
-        return octokit;
+        // A dry run reads from GitHub but records its writes instead of sending them
+        return isDryRun() ? interceptWrites(octokit) : octokit;
     } catch (error) {
         logger.error(`Error creating Octokit client: ${error.message}`);
         if (error.message.includes('secretOrPrivateKey must be an asymmetric key')) {
@@ -88,6 +141,64 @@ async function createOctokitClient() {
     }
 }
 
+/**
+ * Create an Octokit client authenticated as the app itself rather than an installation
+ * @returns {Promise<Octokit>} App-authenticated Octokit client
+ * @throws {Error} If the app ID or private key is not set
+ */
+async function createAppOctokitClient() {
+    const { appId, privateKey } = getGitHubCredentials();
+    if (!appId || !privateKey) {
+        throw new Error('GitHub App ID and private key must be set to authenticate as the app');
+    }
+    
+    const auth = createAppAuth({ appId, privateKey });
+    const { token } = await auth({ type: 'app' });
+    return new Octokit({
+        auth: token,
+        baseUrl: process.env.GITHUB_API_URL || 'https://api.github.com'
+    });
+}
+
+/**
+ * Look up the installation ID of the app on an organization or user account
+ * @param {string} owner - Organization or user login
+ * @returns {Promise<number>} Installation ID
+ * @throws {Error} If the app is not installed on the account
+ */
+async function getInstallationIdForOwner(owner) {
+    // Installation lookups are authenticated as the app itself, not an installation
+    const octokit = await createAppOctokitClient();
+    
+    try {
+        const { data } = await octokit.request('GET /orgs/{org}/installation', { org: owner });
+        return data.id;
+    } catch (error) {
+        if (error.status !== 404) {
+            throw error;
+        }
+        const { data } = await octokit.request('GET /users/{username}/installation', { username: owner });
+        return data.id;
+    }
+}
+
+/**
+ * Get the slug of the app, which names the bot account its comments are posted as
+ * @returns {Promise<string>} App slug
+ * @throws {Error} If the app could not be looked up
+ */
+async function getAppSlug() {
+    if (!appSlug) {
+        const octokit = await createAppOctokitClient();
+        const { data } = await octokit.request('GET /app');
+        if (!data?.slug) {
+            throw new Error('Could not look up the slug of the GitHub App');
+        }
+        appSlug = data.slug;
+    }
+    return appSlug;
+}
+
 /**
  * Validate the owner parameter
  * @param {string} owner - Repository owner
@@ -98,6 +209,90 @@ function isValidOwner(owner) {
     return validOwnerPattern.test(owner);
 }
 
+// Rule suites requested per page; the API allows up to 100
+const RULE_SUITES_PER_PAGE = 100;
+
+// Narrowest rule suite time_period values, with how far back each one reaches
+const RULE_SUITE_TIME_PERIODS = [
+    ['hour', 60 * 60 * 1000],
+    ['day', 24 * 60 * 60 * 1000],
+    ['week', 7 * 24 * 60 * 60 * 1000]
+];
+
+// The rule suites API does not reach further back than its widest time_period, month
+const RULE_SUITE_HISTORY_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Slack added to the age of an event so a suite recorded just before it stays in the window
+const RULE_SUITE_TIME_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Pick the narrowest rule suite time_period that still covers an event
+ * @param {string} since - ISO timestamp of the event, e.g. the pull request's merged_at
+ * @returns {string} - hour, day, week or month
+ */
+function getRuleSuiteTimePeriod(since) {
+    const age = Date.now() - new Date(since).getTime() + RULE_SUITE_TIME_MARGIN_MS;
+    const period = RULE_SUITE_TIME_PERIODS.find(([, maxAge]) => age <= maxAge);
+    return period ? period[0] : 'month';
+}
+
+/**
+ * Build the query for bypassed rule suites on a ref, narrowed by time window and actor when known
+ * @param {string} ref - Branch reference
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.since] - ISO timestamp the suite was recorded around
+ * @param {string} [filters.actor] - Login of the actor who pushed
+ * @returns {Object} - Request parameters
+ */
+function buildRuleSuiteParams(ref, { since, actor } = {}) {
+    const params = {
+        ref: ref,
+        rule_suite_result: 'bypass',
+        per_page: RULE_SUITES_PER_PAGE,
+        headers: {
+            'Accept': 'application/vnd.github.v3+json, application/vnd.github.luke-cage-preview+json, application/vnd.github.rep-preview+json'
+        }
+    };
+    if (since) {
+        params.time_period = getRuleSuiteTimePeriod(since);
+    }
+    if (actor) {
+        params.actor_name = actor;
+    }
+    return params;
+}
+
+/**
+ * Page through a rule suites endpoint until the suites for a commit are found
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} apiPath - Rule suites endpoint
+ * @param {Object} params - Request parameters
+ * @param {string} sha - Commit SHA the rule suites were evaluated for
+ * @returns {Promise<Array>} - Rule suites whose after_sha matches the commit
+ */
+async function findRuleSuitesForCommit(octokit, apiPath, params, sha) {
+    let scanned = 0;
+    
+    for (let page = 1; ; page++) {
+        const response = await octokit.request(`GET ${apiPath}`, { ...params, page });
+        
+        let ruleSuites = [];
+        if (Array.isArray(response.data)) {
+            ruleSuites = response.data;
+        } else if (response.data && Array.isArray(response.data.rule_suites)) {
+            ruleSuites = response.data.rule_suites;
+        }
+        scanned += ruleSuites.length;
+        
+        const matching = ruleSuites.filter(ruleSuite => ruleSuite.after_sha === sha);
+        // Stop at the page holding the commit, or at the last page
+        if (matching.length > 0 || ruleSuites.length < params.per_page) {
+            logger.info(`Scanned ${scanned} rule suites across ${page} page(s) of ${apiPath}`);
+            return matching;
+        }
+    }
+}
+
 /**
  * Check for bypassed rule suites at repository level
  * @param {Object} octokit - Authenticated Octokit client
@@ -105,9 +300,30 @@ function isValidOwner(owner) {
  * @param {string} repo - Repository name
  * @param {string} ref - Base branch reference
  * @param {string} mergeCommitSha - Merge commit SHA from the pull request
+ * @param {Object} [filters] - Narrow the query, see buildRuleSuiteParams
+ * @returns {Array} - Array of bypassed rule suite objects
+ * @throws {Error} If the rule suites cannot be fetched
+ */
+async function checkRepoBypassedRuleSuites(octokit, owner, repo, ref, mergeCommitSha, filters = {}) {
+    return withSpan('checkRepoBypassedRuleSuites', {
+        'github.repository': `${owner}/${repo}`,
+        'github.ref': ref,
+        'github.merge_commit_sha': mergeCommitSha
+    }, span => findRepoBypassedRuleSuites(octokit, owner, repo, ref, mergeCommitSha, filters, span));
+}
+
+/**
+ * Find the bypassed rule suites, see checkRepoBypassedRuleSuites
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} ref - Base branch reference
+ * @param {string} mergeCommitSha - Merge commit SHA from the pull request
+ * @param {Object} filters - Narrow the query, see buildRuleSuiteParams
+ * @param {Object} span - The checkRepoBypassedRuleSuites span, which records the fallback
  * @returns {Array} - Array of bypassed rule suite objects
  */
-async function checkRepoBypassedRuleSuites(octokit, owner, repo, ref, mergeCommitSha) {
+async function findRepoBypassedRuleSuites(octokit, owner, repo, ref, mergeCommitSha, filters, span) {
     try {
         // Validate owner and repo values
         const ownerPattern = /^[a-zA-Z0-9-]+$/;
@@ -118,31 +334,15 @@ async function checkRepoBypassedRuleSuites(octokit, owner, repo, ref, mergeCommi
         }
         
         const apiPath = `/repos/${owner}/${repo}/rulesets/rule-suites`;
+        const params = buildRuleSuiteParams(ref, filters);
         
-        const params = {
-            ref: ref,
-            rule_suite_result: 'bypass',
-            headers: {
-                'Accept': 'application/vnd.github.v3+json, application/vnd.github.luke-cage-preview+json, application/vnd.github.rep-preview+json'
-            }
-        }
+        logger.info(`Checking for bypassed repo-level rule suites: ${apiPath} (ref: ${ref}, time period: ${params.time_period || 'default'}, actor: ${params.actor_name || 'any'})`);
         
-        logger.info(`Checking for bypassed repo-level rule suites: ${apiPath} (ref: ${ref})`);
-        
-        let ruleSuites = [];
-        let response;
+        let bypassedRuleSuites;
         
         try {
             // Try the new format first
-            response = await octokit.request(`GET ${apiPath}`, params);
-            
-            if (Array.isArray(response.data)) {
-                logger.info('Response contains array format of rule suites');
-                ruleSuites = response.data;
-            } else if (response.data && Array.isArray(response.data.rule_suites)) {
-                logger.info('Response contains object with rule_suites array');
-                ruleSuites = response.data.rule_suites;
-            }
+            bypassedRuleSuites = await findRuleSuitesForCommit(octokit, apiPath, params, mergeCommitSha);
         } catch (error) {
             if (error.status === 404) {
                 // Try the old format as fallback
@@ -152,14 +352,10 @@ async function checkRepoBypassedRuleSuites(octokit, owner, repo, ref, mergeCommi
                 }
                 const fallbackPath = `/repos/${owner}/${repo}/rule-suites`;
                 logger.info(`API endpoint not found, trying fallback: ${fallbackPath}`);
+                span.addEvent('rule_suites.fallback', { 'github.api_path': fallbackPath });
                 
                 try {
-                    response = await octokit.request(`GET ${fallbackPath}`, params);
-                    if (Array.isArray(response.data)) {
-                        ruleSuites = response.data;
-                    } else if (response.data && Array.isArray(response.data.rule_suites)) {
-                        ruleSuites = response.data.rule_suites;
-                    }
+                    bypassedRuleSuites = await findRuleSuitesForCommit(octokit, fallbackPath, params, mergeCommitSha);
                 } catch (fallbackError) {
                     logger.error(`Fallback API endpoint also failed: ${fallbackError.message}`);
                     throw fallbackError;
@@ -169,20 +365,97 @@ async function checkRepoBypassedRuleSuites(octokit, owner, repo, ref, mergeCommi
             }
         }
         
-        // Log what we found
-        logger.info(`Found ${ruleSuites.length} rule suites at repository level`);
-        
-        // Filter rule suites to those matching our merge commit SHA
-        const bypassedRuleSuites = ruleSuites.filter(ruleSuite => {
-            return ruleSuite.after_sha === mergeCommitSha;
-        });
-        
         logger.info(`Found ${bypassedRuleSuites.length} bypassed repo-level rule suites with matching merge commit SHA`);
+        span.setAttribute('bypass_checker.rule_suites', bypassedRuleSuites.length);
         return bypassedRuleSuites;
         
     } catch (error) {
+        // Thrown rather than read as no bypasses, so the job is retried instead of reporting a clean merge
         logger.error(`Error checking bypassed rule suites at repository level: ${error.message}`);
-        return [];
+        throw error;
+    }
+}
+
+/**
+ * Check for bypassed rule suites at organization level
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Organization login
+ * @param {string} repo - Repository name used to narrow the organization query
+ * @param {string} ref - Base branch reference
+ * @param {string} mergeCommitSha - Merge commit SHA from the pull request
+ * @param {Object} [filters] - Narrow the query, see buildRuleSuiteParams
+ * @returns {Array} - Array of bypassed rule suite objects
+ * @throws {Error} If the rule suites cannot be fetched
+ */
+async function checkOrgBypassedRuleSuites(octokit, owner, repo, ref, mergeCommitSha, filters = {}) {
+    try {
+        if (!isValidOwner(owner)) {
+            logger.error(`Invalid owner value: owner=${owner}`);
+            return [];
+        }
+        
+        const apiPath = `/orgs/${owner}/rulesets/rule-suites`;
+        const params = {
+            ...buildRuleSuiteParams(ref, filters),
+            repository_name: repo
+        };
+        
+        logger.info(`Checking for bypassed org-level rule suites: ${apiPath} (ref: ${ref}, time period: ${params.time_period || 'default'}, actor: ${params.actor_name || 'any'})`);
+        
+        const bypassedRuleSuites = await findRuleSuitesForCommit(octokit, apiPath, params, mergeCommitSha);
+        
+        logger.info(`Found ${bypassedRuleSuites.length} bypassed org-level rule suites with matching merge commit SHA`);
+        return bypassedRuleSuites;
+        
+    } catch (error) {
+        logger.error(`Error checking bypassed rule suites at organization level: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * List the repositories of an installation that belong to an account
+ * @param {Object} octokit - Octokit client authenticated as the installation
+ * @param {string} owner - Organization or user login
+ * @returns {Promise<Array>} - Repositories the installation can access
+ */
+async function listInstallationRepositories(octokit, owner) {
+    const repositories = await octokit.paginate('GET /installation/repositories');
+    return repositories.filter(repository => repository.owner.login.toLowerCase() === owner.toLowerCase());
+}
+
+/**
+ * List the bypassed rule suites recorded for a repository's branches in a time window
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Date} since - Start of the window
+ * @param {Date} until - End of the window
+ * @returns {Promise<Array>} - Rule suites pushed within the window
+ * @throws {Error} If a page of rule suites cannot be fetched
+ */
+async function listBypassedRuleSuites(octokit, owner, repo, since, until) {
+    const timePeriod = getRuleSuiteTimePeriod(since.toISOString());
+    const ruleSuites = [];
+
+    for (let page = 1; ; page++) {
+        // A failed page is thrown rather than read as no bypasses, so callers never report a partial history as complete
+        const data = await requestRuleSuites(octokit, owner, repo, {
+            rule_suite_result: 'bypass',
+            time_period: timePeriod,
+            per_page: RULE_SUITES_PER_PAGE,
+            page
+        });
+        const pageSuites = Array.isArray(data) ? data : data?.rule_suites || [];
+
+        ruleSuites.push(...pageSuites.filter(ruleSuite => {
+            const pushedAt = new Date(ruleSuite.pushed_at);
+            return ruleSuite.ref?.startsWith('refs/heads/') && pushedAt >= since && pushedAt <= until;
+        }));
+
+        if (pageSuites.length < RULE_SUITES_PER_PAGE) {
+            return ruleSuites;
+        }
     }
 }
 
@@ -201,6 +474,10 @@ async function fetchPullRequestDetails(octokit, owner, repo, pull_number) {
 }
 
 async function postComment(octokit, owner, repo, pull_number, comment) {
+    return withSpan('postComment', { 'github.repository': `${owner}/${repo}`, 'github.pull_request': pull_number }, () => createIssueComment(octokit, owner, repo, pull_number, comment));
+}
+
+async function createIssueComment(octokit, owner, repo, pull_number, comment) {
     try {
         await octokit.issues.createComment({
             owner,
@@ -211,23 +488,557 @@ async function postComment(octokit, owner, repo, pull_number, comment) {
         logger.info(`Comment posted to PR #${pull_number}`);
     } catch (error) {
         logger.error(`Error posting comment: ${error.message}`);
+        commentPostFailures.inc({ operation: 'create' });
         throw error;
     }
 }
 
-async function getRuleSuites(octokit, owner, repo, params = {}) {
+/**
+ * Fetch the rule evaluations of a single rule suite
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner or organization login
+ * @param {string|null} repo - Repository name, or null for an organization-level rule suite
+ * @param {number} ruleSuiteId - Rule suite ID
+ * @returns {Promise<Object|null>} - Rule suite with rule_evaluations, or null if it could not be fetched
+ */
+async function getRuleSuiteDetails(octokit, owner, repo, ruleSuiteId) {
     try {
-        // Add required headers
-        params.headers = {
-            'Accept': 'application/vnd.github.v3+json, application/vnd.github.luke-cage-preview+json, application/vnd.github.rep-preview+json'
-        };
+        const endpoint = repo ?
+            `/repos/${owner}/${repo}/rulesets/rule-suites/${ruleSuiteId}` :
+            `/orgs/${owner}/rulesets/rule-suites/${ruleSuiteId}`;
         
-        const endpoint = repo ? 
-            `/repos/${owner}/${repo}/rulesets/rule-suites` : 
-            `/orgs/${owner}/rulesets/rule-suites`;
-            
-        const response = await octokit.request(`GET ${endpoint}`, params);
+        const response = await octokit.request(`GET ${endpoint}`, {
+            headers: {
+                'Accept': 'application/vnd.github.v3+json, application/vnd.github.luke-cage-preview+json, application/vnd.github.rep-preview+json'
+            }
+        });
         return response.data;
+    } catch (error) {
+        logger.error(`Error fetching rule suite ${ruleSuiteId}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Attach the rule evaluations of each rule suite so the bypassed rules can be reported
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner or organization login
+ * @param {string|null} repo - Repository name, or null for organization-level rule suites
+ * @param {Array} ruleSuites - Array of rule suite objects from the list endpoint
+ * @returns {Promise<Array>} - Rule suites with rule_evaluations where available
+ */
+async function addRuleSuiteDetails(octokit, owner, repo, ruleSuites) {
+    return Promise.all(ruleSuites.map(async (ruleSuite) => {
+        if (!ruleSuite.id || ruleSuite.rule_evaluations) {
+            return ruleSuite;
+        }
+        
+        const details = await getRuleSuiteDetails(octokit, owner, repo, ruleSuite.id);
+        if (!details || !Array.isArray(details.rule_evaluations)) {
+            return ruleSuite;
+        }
+        
+        return { ...ruleSuite, rule_evaluations: details.rule_evaluations };
+    }));
+}
+
+/**
+ * Find the merged pull request that introduced a commit
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} commitSha - Commit SHA to look up
+ * @returns {Promise<Object|null>} - The merged pull request, or null if the commit has none
+ */
+async function findPullRequestForCommit(octokit, owner, repo, commitSha) {
+    try {
+        const { data } = await octokit.repos.listPullRequestsAssociatedWithCommit({
+            owner,
+            repo,
+            commit_sha: commitSha,
+        });
+        return data.find(pr => pr.merged_at && pr.merge_commit_sha === commitSha) ||
+            data.find(pr => pr.merged_at) ||
+            null;
+    } catch (error) {
+        logger.error(`Error finding pull request for commit ${commitSha}: ${error.message}`);
+        return null;
+    }
+}
+
+async function postCommitComment(octokit, owner, repo, commitSha, comment) {
+    try {
+        await octokit.repos.createCommitComment({
+            owner,
+            repo,
+            commit_sha: commitSha,
+            body: comment,
+        });
+        logger.info(`Comment posted to commit ${commitSha}`);
+    } catch (error) {
+        logger.error(`Error posting commit comment: ${error.message}`);
+        commentPostFailures.inc({ operation: 'commit' });
+        throw error;
+    }
+}
+
+/**
+ * Open an issue
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} title - Issue title
+ * @param {string} body - Issue body
+ * @param {Array} [labels] - Labels to apply
+ * @param {Array} [assignees] - Logins to assign
+ * @returns {Promise<Object>} - The created issue
+ */
+async function createIssue(octokit, owner, repo, title, body, labels = [], assignees = []) {
+    try {
+        const { data } = await octokit.issues.create({
+            owner,
+            repo,
+            title,
+            body,
+            labels,
+            ...(assignees.length > 0 && { assignees }),
+        });
+        logger.info(`Issue #${data.number} created in ${owner}/${repo}`);
+        return data;
+    } catch (error) {
+        logger.error(`Error creating issue: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Find an open issue whose body contains a hidden marker. Only issues with the given
+ * label are listed, so a busy repository costs a single request instead of every page.
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} marker - Hidden HTML comment that identifies the issue
+ * @param {string} label - Label the app put on the issue when it opened it
+ * @returns {Promise<Object|null>} - The matching issue, or null if there is none
+ */
+async function findOpenIssueWithMarker(octokit, owner, repo, marker, label) {
+    try {
+        const issues = await octokit.paginate(octokit.issues.listForRepo, {
+            owner,
+            repo,
+            state: 'open',
+            labels: label,
+            per_page: 100,
+        });
+        // The issues endpoint also lists pull requests
+        return issues.find(issue => !issue.pull_request && issue.body && issue.body.includes(marker)) || null;
+    } catch (error) {
+        logger.error(`Error listing issues in ${owner}/${repo}: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Find a comment the app posted on an issue or pull request that contains a hidden marker.
+ * Anyone can paste a marker into a comment, so comments by other accounts are ignored.
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} issueNumber - Issue or pull request number
+ * @param {string} marker - Hidden HTML comment that identifies the comment
+ * @returns {Promise<Object|null>} - The matching comment, or null if there is none
+ */
+async function findCommentWithMarker(octokit, owner, repo, issueNumber, marker) {
+    try {
+        const comments = await octokit.paginate(octokit.issues.listComments, {
+            owner,
+            repo,
+            issue_number: issueNumber,
+            per_page: 100,
+        });
+        const marked = comments.filter(comment => comment.body && comment.body.includes(marker));
+        if (marked.length === 0) {
+            return null;
+        }
+        
+        const login = `${await getAppSlug()}[bot]`;
+        const own = marked.filter(comment => comment.user?.type === 'Bot' && comment.user.login === login);
+        if (own.length < marked.length) {
+            logger.warn(`Ignoring ${marked.length - own.length} comment(s) on #${issueNumber} in ${owner}/${repo} that carry the app's marker but were not posted by ${login}`);
+        }
+        return own[0] || null;
+    } catch (error) {
+        logger.error(`Error listing comments: ${error.message}`);
+        throw error;
+    }
+}
+
+async function updateComment(octokit, owner, repo, commentId, comment) {
+    try {
+        await octokit.issues.updateComment({
+            owner,
+            repo,
+            comment_id: commentId,
+            body: comment,
+        });
+        logger.info(`Comment ${commentId} updated`);
+    } catch (error) {
+        logger.error(`Error updating comment: ${error.message}`);
+        commentPostFailures.inc({ operation: 'update' });
+        throw error;
+    }
+}
+
+/**
+ * Create a comment identified by a hidden marker, or edit it in place if it already exists
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} issueNumber - Issue or pull request number
+ * @param {string} marker - Hidden HTML comment that identifies the comment
+ * @param {Function} buildComment - Receives the existing comment (or null) and returns the new body
+ * @returns {Promise<boolean>} - True if an existing comment was updated, false if a new one was created
+ */
+async function upsertComment(octokit, owner, repo, issueNumber, marker, buildComment) {
+    const existing = await findCommentWithMarker(octokit, owner, repo, issueNumber, marker);
+    const body = buildComment(existing);
+    const comment = body.includes(marker) ? body : `${marker}\n${body}`;
+    
+    if (existing) {
+        await updateComment(octokit, owner, repo, existing.id, comment);
+        return true;
+    }
+    
+    await postComment(octokit, owner, repo, issueNumber, comment);
+    return false;
+}
+
+/**
+ * Get the rules that apply to a branch from every active ruleset
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch name without the refs/heads/ prefix
+ * @returns {Promise<Array>} - Array of rule objects with type and parameters
+ */
+async function getBranchRules(octokit, owner, repo, branch) {
+    try {
+        const rules = await octokit.paginate(`GET /repos/{owner}/{repo}/rules/branches/{branch}`, {
+            owner,
+            repo,
+            branch,
+            per_page: 100,
+        });
+        return rules;
+    } catch (error) {
+        logger.error(`Error fetching rules for branch ${branch}: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Get the names of the rulesets that apply to a repository, including organization rulesets
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<Map>} - Ruleset names by ruleset ID
+ */
+async function getRulesetNames(octokit, owner, repo) {
+    try {
+        const rulesets = await octokit.paginate(`GET /repos/{owner}/{repo}/rulesets`, {
+            owner,
+            repo,
+            includes_parents: true,
+            per_page: 100,
+        });
+        return new Map(rulesets.map(ruleset => [ruleset.id, ruleset.name]));
+    } catch (error) {
+        logger.error(`Error fetching rulesets for ${owner}/${repo}: ${error.message}`);
+        throw error;
+    }
+}
+
+async function addLabels(octokit, owner, repo, issueNumber, labels) {
+    try {
+        await octokit.issues.addLabels({
+            owner,
+            repo,
+            issue_number: issueNumber,
+            labels,
+        });
+        logger.info(`Labels ${labels.join(', ')} added to #${issueNumber}`);
+    } catch (error) {
+        logger.error(`Error adding labels: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Check whether a user is an active member of a team
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} org - Organization that owns the team
+ * @param {string} teamSlug - Team slug
+ * @param {string} username - User login
+ * @returns {Promise<boolean>} - True if the user is an active member
+ */
+async function isTeamMember(octokit, org, teamSlug, username) {
+    try {
+        const { data } = await octokit.teams.getMembershipForUserInOrg({
+            org,
+            team_slug: teamSlug,
+            username,
+        });
+        return data.state === 'active';
+    } catch (error) {
+        if (error.status === 404) {
+            return false;
+        }
+        logger.error(`Error checking membership of ${username} in ${org}/${teamSlug}: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Check whether a user belongs to any of a list of teams
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner, the organization of teams given without one
+ * @param {string} username - User login
+ * @param {Array} teams - Teams as org/team-slug or team-slug
+ * @returns {Promise<boolean>} - True if the user is an active member of any team
+ */
+async function isMemberOfAnyTeam(octokit, owner, username, teams) {
+    for (const team of teams) {
+        const [org, teamSlug] = team.includes('/') ? team.replace(/^@/, '').split('/') : [owner, team];
+        if (await isTeamMember(octokit, org, teamSlug, username)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Add a reaction to an issue or pull request comment
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} commentId - Comment ID
+ * @param {string} content - Reaction, e.g. +1 or confused
+ */
+async function addCommentReaction(octokit, owner, repo, commentId, content) {
+    try {
+        await octokit.reactions.createForIssueComment({
+            owner,
+            repo,
+            comment_id: commentId,
+            content,
+        });
+    } catch (error) {
+        logger.error(`Error reacting to comment ${commentId}: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Get a commit through the Git Data API
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} sha - Commit SHA
+ * @returns {Promise<Object>} - The commit with its tree and parents
+ */
+async function getGitCommit(octokit, owner, repo, sha) {
+    try {
+        const { data } = await octokit.git.getCommit({
+            owner,
+            repo,
+            commit_sha: sha,
+        });
+        return data;
+    } catch (error) {
+        logger.error(`Error fetching commit ${sha}: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Create a commit through the Git Data API, without touching any branch
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} message - Commit message
+ * @param {string} tree - SHA of the commit's tree
+ * @param {Array} parents - Parent commit SHAs
+ * @returns {Promise<Object>} - The created commit
+ */
+async function createGitCommit(octokit, owner, repo, message, tree, parents) {
+    try {
+        const { data } = await octokit.git.createCommit({
+            owner,
+            repo,
+            message,
+            tree,
+            parents,
+        });
+        return data;
+    } catch (error) {
+        logger.error(`Error creating commit in ${owner}/${repo}: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Create a branch pointing at a commit
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch name
+ * @param {string} sha - Commit SHA
+ * @returns {Promise<boolean>} - True if the branch was created, false if it already exists
+ */
+async function createBranch(octokit, owner, repo, branch, sha) {
+    try {
+        await octokit.git.createRef({
+            owner,
+            repo,
+            ref: `refs/heads/${branch}`,
+            sha,
+        });
+        logger.info(`Branch ${branch} created in ${owner}/${repo} at ${sha}`);
+        return true;
+    } catch (error) {
+        if (error.status === 422 && /already exists/i.test(error.message)) {
+            return false;
+        }
+        logger.error(`Error creating branch ${branch}: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Open a pull request
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} pullRequest - Pull request details
+ * @param {string} pullRequest.title - Title
+ * @param {string} pullRequest.body - Description
+ * @param {string} pullRequest.head - Branch with the changes
+ * @param {string} pullRequest.base - Branch to merge into
+ * @returns {Promise<Object>} - The created pull request
+ */
+async function createPullRequest(octokit, owner, repo, { title, body, head, base }) {
+    try {
+        const { data } = await octokit.pulls.create({
+            owner,
+            repo,
+            title,
+            body,
+            head,
+            base,
+        });
+        logger.info(`Pull request #${data.number} opened in ${owner}/${repo} from ${head} into ${base}`);
+        return data;
+    } catch (error) {
+        logger.error(`Error opening pull request from ${head}: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Find the most recent pull request opened from a branch of the same repository
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Head branch name
+ * @returns {Promise<Object|null>} - The open pull request if there is one, else the latest closed one, or null
+ */
+async function findPullRequestForBranch(octokit, owner, repo, branch) {
+    try {
+        const { data } = await octokit.pulls.list({
+            owner,
+            repo,
+            head: `${owner}:${branch}`,
+            state: 'all',
+            per_page: 100,
+        });
+        return data.find(pullRequest => pullRequest.state === 'open') || data[0] || null;
+    } catch (error) {
+        logger.error(`Error listing pull requests from ${branch}: ${error.message}`);
+        throw error;
+    }
+}
+
+// GitHub rejects check run summaries longer than 65535 characters
+const CHECK_RUN_SUMMARY_LIMIT = 65535;
+
+/**
+ * Create a completed check run on a commit
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} headSha - Commit SHA the check run is attached to
+ * @param {Object} checkRun - Check run details
+ * @param {string} checkRun.name - Check run name
+ * @param {string} checkRun.conclusion - Check run conclusion
+ * @param {string} checkRun.title - Output title
+ * @param {string} checkRun.summary - Output summary in markdown
+ * @param {string} [checkRun.detailsUrl] - Link shown as "Details" on the check run
+ * @returns {Promise<Object>} - The created check run
+ */
+async function createCheckRun(octokit, owner, repo, headSha, { name, conclusion, title, summary, detailsUrl }) {
+    try {
+        const truncatedSummary = summary.length > CHECK_RUN_SUMMARY_LIMIT ?
+            `${summary.substring(0, CHECK_RUN_SUMMARY_LIMIT - 20)}\n\n_(truncated)_` :
+            summary;
+        
+        const { data } = await octokit.checks.create({
+            owner,
+            repo,
+            name,
+            head_sha: headSha,
+            status: 'completed',
+            conclusion,
+            completed_at: new Date().toISOString(),
+            ...(detailsUrl ? { details_url: detailsUrl } : {}),
+            output: {
+                title,
+                summary: truncatedSummary,
+            },
+        });
+        logger.info(`Check run "${name}" created on ${headSha} with conclusion ${conclusion}`);
+        return data;
+    } catch (error) {
+        logger.error(`Error creating check run: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Fetch one page of a repository's or an organization's rule suites
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner or organization
+ * @param {string} [repo] - Repository name, omitted for the organization's rule suites
+ * @param {Object} [params] - Query parameters
+ * @returns {Promise<Object|Array>} - Rule suites
+ * @throws {Error} If the request fails
+ */
+async function requestRuleSuites(octokit, owner, repo, params = {}) {
+    // Add required headers
+    params.headers = {
+        'Accept': 'application/vnd.github.v3+json, application/vnd.github.luke-cage-preview+json, application/vnd.github.rep-preview+json'
+    };
+    
+    const endpoint = repo ? 
+        `/repos/${owner}/${repo}/rulesets/rule-suites` : 
+        `/orgs/${owner}/rulesets/rule-suites`;
+        
+    const response = await octokit.request(`GET ${endpoint}`, params);
+    return response.data;
+}
+
+async function getRuleSuites(octokit, owner, repo, params = {}) {
+    try {
+        return await requestRuleSuites(octokit, owner, repo, params);
     } catch (error) {
         logger.error(`Error fetching rule suites: ${error.message}`);
         return { rule_suites: [] }; // Return empty object with expected structure
@@ -236,8 +1047,36 @@ async function getRuleSuites(octokit, owner, repo, params = {}) {
 
 export {
     fetchPullRequestDetails,
+    findPullRequestForCommit,
     postComment,
+    findCommentWithMarker,
+    updateComment,
+    upsertComment,
+    postCommitComment,
+    createIssue,
+    findOpenIssueWithMarker,
+    addLabels,
+    isTeamMember,
+    isMemberOfAnyTeam,
+    addCommentReaction,
+    getGitCommit,
+    createGitCommit,
+    createBranch,
+    createPullRequest,
+    findPullRequestForBranch,
+    createCheckRun,
     getRuleSuites,
+    listBypassedRuleSuites,
+    getRuleSuiteDetails,
+    addRuleSuiteDetails,
+    getBranchRules,
+    getRulesetNames,
     createOctokitClient,
-    checkRepoBypassedRuleSuites
+    getInstallationIdForOwner,
+    getAppSlug,
+    listInstallationRepositories,
+    checkRepoBypassedRuleSuites,
+    checkOrgBypassedRuleSuites,
+    getRuleSuiteTimePeriod,
+    RULE_SUITE_HISTORY_MS
 };
\ No newline at end of file
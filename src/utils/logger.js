@@ -1,12 +1,9 @@
 import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { Buffer } from 'node:buffer';
 import process from 'node:process';
 
-// Get environment variables for logging configuration
-const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
-const LOG_TO_FILE = process.env.LOG_TO_FILE === 'true';
-const LOG_FILE = process.env.LOG_FILE || 'app.log';
-const isProduction = process.env.NODE_ENV === 'production';
-
 const LOG_LEVELS = {
   debug: 0,
   info: 1,
@@ -14,62 +11,267 @@ const LOG_LEVELS = {
   error: 3
 };
 
-// Create logger with appropriate methods
-const logger = {
-  debug: (message) => {
-    if (isProduction && LOG_LEVELS[LOG_LEVEL] > LOG_LEVELS.debug) {
-      return;
-    }
-    if (LOG_LEVELS[LOG_LEVEL] <= LOG_LEVELS.debug) {
-      console.debug(`DEBUG: ${message}`);
-      if (LOG_TO_FILE) {
-        try {
-          fs.appendFileSync(LOG_FILE, `DEBUG: ${message}\n`);
-        } catch (err) {
-          console.error(`Error writing to log file: ${err.message}`);
-        }
+const CONSOLE_METHODS = {
+  debug: 'debug',
+  info: 'log',
+  warn: 'warn',
+  error: 'error'
+};
+
+// Environment variables whose values never appear in the logs
+const SECRET_ENV_VARS = ['GITHUB_APP_PRIVATE_KEY', 'GITHUB_WEBHOOK_SECRET', 'ADMIN_TOKEN', 'SMTP_URL', 'REDIS_URL'];
+
+// Secrets recognized by their shape: private keys (whole or cut off), GitHub tokens,
+// authorization headers, credentials in URLs and Slack webhook URLs
+const SECRET_PATTERNS = [
+  [/-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g, '[REDACTED PRIVATE KEY]'],
+  [/\b(?:gh[pousr]_[A-Za-z0-9]{20,}|github_pat_[A-Za-z0-9_]{20,})\b/g, '[REDACTED]'],
+  [/\b(Bearer|token)\s+[A-Za-z0-9._~+/-]{16,}=*/gi, '$1 [REDACTED]'],
+  [/(\/\/[^/\s:@]+:)[^/\s@]+@/g, '$1[REDACTED]@'],
+  [/(https:\/\/hooks\.slack\.com\/services\/)[^\s"')]+/g, '$1[REDACTED]']
+];
+
+// Fields added to every line logged while a webhook delivery or job is handled,
+// carried across async calls
+const logContext = new AsyncLocalStorage();
+
+// Lines waiting to be appended to the log file, and the write in progress
+let pendingLines = [];
+let writing = null;
+let fileSize = null;
+
+// Secret values from the environment, computed again when the environment changes
+let secretValues = { key: null, values: [] };
+
+/**
+ * Read the logging configuration from the environment, so values loaded from .env apply
+ * @returns {Object} Logging configuration
+ */
+function getLogSettings() {
+  const level = process.env.LOG_LEVEL || 'info';
+  return {
+    level: level in LOG_LEVELS ? level : 'info',
+    format: process.env.LOG_FORMAT === 'text' ? 'text' : 'json',
+    toFile: process.env.LOG_TO_FILE === 'true',
+    file: process.env.LOG_FILE || 'app.log',
+    maxBytes: parseInt(process.env.LOG_MAX_SIZE || '10485760', 10),
+    maxFiles: parseInt(process.env.LOG_MAX_FILES || '5', 10)
+  };
+}
+
+/**
+ * Collect the secret values configured in the environment. Private keys are split into
+ * their lines, so a fragment of a key is redacted as well.
+ * @returns {Array} Secret strings, longest first
+ */
+function getSecretValues() {
+  const configured = SECRET_ENV_VARS.map(name => process.env[name]).filter(Boolean);
+  const key = configured.join('\0');
+  if (secretValues.key !== key) {
+    const values = new Set();
+    for (const value of configured) {
+      if (value.length >= 8) {
+        values.add(value);
       }
-    }
-  },
-  
-  info: (message) => {
-    if (LOG_LEVELS[LOG_LEVEL] <= LOG_LEVELS.info) {
-      console.log(`INFO: ${message}`);
-      if (LOG_TO_FILE) {
-        try {
-          fs.appendFileSync(LOG_FILE, `INFO: ${message}\n`);
-        } catch (err) {
-          console.error(`Error writing to log file: ${err.message}`);
+      for (const line of value.replace(/\\n/g, '\n').split('\n')) {
+        if (line.trim().length >= 16 && !line.startsWith('-----')) {
+          values.add(line.trim());
         }
       }
     }
-  },
-  
-  warn: (message) => {
-    if (LOG_LEVELS[LOG_LEVEL] <= LOG_LEVELS.warn) {
-      console.warn(`WARN: ${message}`);
-      if (LOG_TO_FILE) {
-        try {
-          fs.appendFileSync(LOG_FILE, `WARN: ${message}\n`);
-        } catch (err) {
-          console.error(`Error writing to log file: ${err.message}`);
-        }
+    secretValues = { key, values: [...values].sort((a, b) => b.length - a.length) };
+  }
+  return secretValues.values;
+}
+
+/**
+ * Replace secrets in a log message
+ * @param {string} text - Text to redact
+ * @returns {string} The text with secrets replaced by [REDACTED]
+ */
+function redact(text) {
+  let redacted = String(text);
+  for (const secret of getSecretValues()) {
+    redacted = redacted.split(secret).join('[REDACTED]');
+  }
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    redacted = redacted.replace(pattern, replacement);
+  }
+  return redacted;
+}
+
+/**
+ * Drop empty values from log fields
+ * @param {Object} fields - Log fields
+ * @returns {Object} The fields that have a value
+ */
+function compactFields(fields = {}) {
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+}
+
+/**
+ * Run a function with fields added to every line it logs, including from async calls it makes
+ * @param {Object} fields - Fields such as delivery_id, repository, pull_request and installation_id
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...compactFields(fields) }, fn);
+}
+
+/**
+ * Add fields to the current log context, e.g. once the pull request is known
+ * @param {Object} fields - Fields to add
+ */
+function addLogContext(fields) {
+  const store = logContext.getStore();
+  if (store) {
+    Object.assign(store, compactFields(fields));
+  }
+}
+
+/**
+ * Get the fields of the current log context
+ * @returns {Object} Context fields
+ */
+function getLogContext() {
+  return { ...logContext.getStore() };
+}
+
+/**
+ * Build a log line
+ * @param {string} level - Log level
+ * @param {string} message - Log message
+ * @param {Object} fields - Fields logged with this message
+ * @param {string} format - json or text
+ * @returns {string} The line, without a newline
+ */
+function formatLogLine(level, message, fields, format) {
+  const timestamp = new Date().toISOString();
+  const context = Object.fromEntries(Object.entries({ ...getLogContext(), ...compactFields(fields) })
+    .map(([key, value]) => [key, typeof value === 'string' ? redact(value) : value]));
+
+  if (format === 'text') {
+    const suffix = Object.entries(context)
+      .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+      .join(' ');
+    return `${timestamp} ${level.toUpperCase()}: ${redact(message)}${suffix ? ` (${suffix})` : ''}`;
+  }
+  return JSON.stringify({ timestamp, level, message: redact(message), ...context });
+}
+
+/**
+ * Move the log file aside once it reaches its size limit, keeping maxFiles old files
+ * as app.log.1 (newest) to app.log.<maxFiles> (oldest)
+ * @param {string} file - Log file path
+ * @param {number} maxFiles - Number of rotated files to keep
+ */
+async function rotateLogFile(file, maxFiles) {
+  if (maxFiles < 1) {
+    await fs.promises.rm(file, { force: true });
+    return;
+  }
+  for (let index = maxFiles - 1; index >= 1; index--) {
+    await fs.promises.rename(`${file}.${index}`, `${file}.${index + 1}`).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+  await fs.promises.rename(file, `${file}.1`);
+}
+
+/**
+ * Append queued lines to the log file until the queue is empty
+ * @param {Object} settings - Logging configuration
+ */
+async function drainLogFile({ file, maxBytes, maxFiles }) {
+  while (pendingLines.length > 0) {
+    const chunk = pendingLines.join('');
+    pendingLines = [];
+    const chunkSize = Buffer.byteLength(chunk);
+    try {
+      if (fileSize === null) {
+        await fs.promises.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+        fileSize = await fs.promises.stat(file).then(stats => stats.size, () => 0);
       }
-    }
-  },
-  
-  error: (message) => {
-    if (LOG_LEVELS[LOG_LEVEL] <= LOG_LEVELS.error) {
-      console.error(`ERROR: ${message}`);
-      if (LOG_TO_FILE) {
-        try {
-          fs.appendFileSync(LOG_FILE, `ERROR: ${message}\n`);
-        } catch (err) {
-          console.error(`Error writing to log file: ${err.message}`);
-        }
+      if (fileSize > 0 && fileSize + chunkSize > maxBytes) {
+        await rotateLogFile(file, maxFiles);
+        fileSize = 0;
       }
+      await fs.promises.appendFile(file, chunk);
+      fileSize += chunkSize;
+    } catch (err) {
+      fileSize = null;
+      console.error(`Error writing to log file: ${err.message}`);
     }
   }
+}
+
+/**
+ * Start the async writer, which restarts itself for lines queued while it was finishing
+ * @param {Object} settings - Logging configuration
+ */
+function startLogWriter(settings) {
+  writing = drainLogFile(settings).then(() => {
+    writing = null;
+    if (pendingLines.length > 0) {
+      startLogWriter(settings);
+    }
+  });
+}
+
+/**
+ * Queue a line for the log file. Lines are written in order by a single async writer,
+ * so logging never blocks the event loop.
+ * @param {string} line - Log line
+ * @param {Object} settings - Logging configuration
+ */
+function writeToFile(line, settings) {
+  pendingLines.push(`${line}\n`);
+  if (!writing) {
+    startLogWriter(settings);
+  }
+}
+
+/**
+ * Wait until every queued line has been written to the log file
+ */
+async function flushLogs() {
+  while (writing) {
+    await writing;
+  }
+}
+
+/**
+ * Log a message at a level
+ * @param {string} level - Log level
+ * @param {string} message - Log message
+ * @param {Object} [fields] - Fields logged with this message
+ */
+function log(level, message, fields) {
+  const settings = getLogSettings();
+  if (LOG_LEVELS[settings.level] > LOG_LEVELS[level]) {
+    return;
+  }
+  const line = formatLogLine(level, message, fields, settings.format);
+  console[CONSOLE_METHODS[level]](line);
+  if (settings.toFile) {
+    writeToFile(line, settings);
+  }
+}
+
+// Create logger with appropriate methods
+const logger = {
+  debug: (message, fields) => log('debug', message, fields),
+  info: (message, fields) => log('info', message, fields),
+  warn: (message, fields) => log('warn', message, fields),
+  error: (message, fields) => log('error', message, fields)
 };
 
-export default logger;
\ No newline at end of file
+export {
+  withLogContext,
+  addLogContext,
+  getLogContext,
+  redact,
+  flushLogs
+};
+export default logger;
@@ -0,0 +1,150 @@
+import { Registry, Counter, Gauge, Histogram, collectDefaultMetrics } from 'prom-client';
+
+// Prefix of every series this app exposes
+const METRIC_PREFIX = 'bypass_checker_';
+
+// Registry served on /metrics
+const registry = new Registry();
+collectDefaultMetrics({ register: registry, prefix: METRIC_PREFIX });
+
+const webhooksReceived = new Counter({
+    name: `${METRIC_PREFIX}webhooks_received_total`,
+    help: 'Webhook deliveries received, by event, action and outcome (queued, duplicate, invalid_signature or error)',
+    labelNames: ['event', 'action', 'outcome'],
+    registers: [registry]
+});
+
+const signatureFailures = new Counter({
+    name: `${METRIC_PREFIX}webhook_signature_failures_total`,
+    help: 'Webhook deliveries rejected because their signature did not match',
+    registers: [registry]
+});
+
+const bypassesDetected = new Counter({
+    name: `${METRIC_PREFIX}bypasses_detected_total`,
+    help: 'Newly detected ruleset bypasses, by repository, ruleset and actor type',
+    labelNames: ['repository', 'ruleset', 'actor_type'],
+    registers: [registry]
+});
+
+const githubApiDuration = new Histogram({
+    name: `${METRIC_PREFIX}github_api_request_duration_seconds`,
+    help: 'Latency of GitHub API requests, by method, route and status',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [registry]
+});
+
+const githubRateLimitRemaining = new Gauge({
+    name: `${METRIC_PREFIX}github_rate_limit_remaining`,
+    help: 'GitHub API requests left in the current rate limit window, by installation',
+    labelNames: ['installation'],
+    registers: [registry]
+});
+
+const commentPostFailures = new Counter({
+    name: `${METRIC_PREFIX}comment_post_failures_total`,
+    help: 'Comments that could not be posted, by operation (create, update or commit)',
+    labelNames: ['operation'],
+    registers: [registry]
+});
+
+const jobQueueDepth = new Gauge({
+    name: `${METRIC_PREFIX}job_queue_depth`,
+    help: 'Jobs in the job queue, by status (pending, running or dead)',
+    labelNames: ['status'],
+    registers: [registry]
+});
+
+/**
+ * Tell a bypass by a GitHub App from one by a user; bypass events only carry the actor's login
+ * @param {string|null} actor - Actor login
+ * @returns {string} - bot, user or unknown
+ */
+function getActorType(actor) {
+    if (!actor) {
+        return 'unknown';
+    }
+    return actor.endsWith('[bot]') ? 'bot' : 'user';
+}
+
+/**
+ * Count newly recorded bypass events, once for each ruleset they bypassed
+ * @param {Array} events - Bypass events from recordBypasses
+ */
+function countBypasses(events) {
+    for (const event of events) {
+        const rulesets = new Set(event.rules.map(rule => rule.ruleset_name || String(rule.ruleset_id || 'unknown')));
+        for (const ruleset of rulesets.size > 0 ? rulesets : ['unknown']) {
+            bypassesDetected.inc({ repository: event.repository, ruleset, actor_type: getActorType(event.actor) });
+        }
+    }
+}
+
+/**
+ * Reduce a request URL to a route label: pagination follows absolute "next" links,
+ * so the host and the query string are dropped to keep the label set small
+ * @param {string} [url] - Request URL, usually the route template
+ * @returns {string} - Path of the request
+ */
+function normalizeRoute(url) {
+    return String(url || 'unknown').replace(/^https?:\/\/[^/]+/, '').replace(/\?.*$/, '');
+}
+
+/**
+ * Time every request an Octokit client makes and track the rate limit it reports
+ * @param {Object} octokit - Octokit client
+ * @param {string|number} installationId - Installation the client is authenticated as
+ */
+function instrumentOctokit(octokit, installationId) {
+    if (!octokit.hook) {
+        return;
+    }
+    octokit.hook.wrap('request', async (request, options) => {
+        const labels = { method: options.method, route: normalizeRoute(options.url) };
+        const endTimer = githubApiDuration.startTimer(labels);
+        try {
+            const response = await request(options);
+            endTimer({ status: String(response.status) });
+            trackRateLimit(response.headers, installationId);
+            return response;
+        } catch (error) {
+            endTimer({ status: String(error.status || 'error') });
+            trackRateLimit(error.response?.headers, installationId);
+            throw error;
+        }
+    });
+}
+
+/**
+ * Record the rate limit left, from the headers of a GitHub API response
+ * @param {Object} [headers] - Response headers
+ * @param {string|number} installationId - Installation the request was made as
+ */
+function trackRateLimit(headers, installationId) {
+    const remaining = Number(headers?.['x-ratelimit-remaining']);
+    if (headers?.['x-ratelimit-remaining'] !== undefined && !Number.isNaN(remaining)) {
+        githubRateLimitRemaining.set({ installation: String(installationId) }, remaining);
+    }
+}
+
+/**
+ * Set the job queue depth from the queue's status counts
+ * @param {Object} stats - Job counts by status, from the job queue's stats()
+ */
+function setJobQueueDepth(stats) {
+    for (const [status, count] of Object.entries(stats)) {
+        jobQueueDepth.set({ status }, count);
+    }
+}
+
+export {
+    registry,
+    webhooksReceived,
+    signatureFailures,
+    commentPostFailures,
+    countBypasses,
+    instrumentOctokit,
+    normalizeRoute,
+    setJobQueueDepth
+};
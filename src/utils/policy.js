@@ -0,0 +1,281 @@
+import logger from './logger.js';
+import { isMemberOfAnyTeam } from './github.js';
+import { getBypassedEvaluations } from './format.js';
+
+// Bypass classifications, from least to most severe
+const CLASSIFICATIONS = ['allowed', 'warn', 'violation'];
+
+// What the checker can do about a bypass
+const POLICY_ACTIONS = ['comment', 'notify', 'issue', 'revert'];
+
+// Conditions a policy rule can match on, each a list where any entry matches
+const RULE_CONDITIONS = ['actors', 'teams', 'rulesets', 'rule_types', 'branches'];
+
+// Without rules every bypass is a violation, and violations get every action, so the
+// checker behaves as it did before policies existed
+const DEFAULT_POLICIES = {
+    default: 'violation',
+    actions: {
+        allowed: [],
+        warn: ['comment', 'notify'],
+        violation: ['comment', 'notify', 'issue', 'revert']
+    },
+    rules: []
+};
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Check that a value is a list of strings or numbers
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if the value is a list
+ */
+function isList(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string' || typeof item === 'number');
+}
+
+/**
+ * Check that a time zone is known to the runtime
+ * @param {string} timeZone - IANA time zone, e.g. Europe/Berlin
+ * @returns {boolean} - True if the time zone can be used
+ */
+function isTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-GB', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Validate one policy rule
+ * @param {Object} rule - Rule from the configuration
+ * @param {number} index - Position of the rule, for error messages
+ * @returns {string|null} - Error message, or null if the rule is valid
+ */
+function validatePolicyRule(rule, index) {
+    const label = `policies.rules[${index}]`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return `${label} must be a mapping`;
+    }
+    if (!CLASSIFICATIONS.includes(rule.classification)) {
+        return `${label}.classification must be one of: ${CLASSIFICATIONS.join(', ')}`;
+    }
+    for (const condition of RULE_CONDITIONS) {
+        if (rule[condition] !== undefined && !isList(rule[condition])) {
+            return `${label}.${condition} must be a list`;
+        }
+    }
+    if (rule.hours !== undefined) {
+        const [from, to, extra] = typeof rule.hours === 'string' ? rule.hours.split('-') : [];
+        if (!TIME_OF_DAY.test(from) || !TIME_OF_DAY.test(to) || extra !== undefined) {
+            return `${label}.hours must be a time range like 09:00-17:00`;
+        }
+    }
+    if (rule.timezone !== undefined && (typeof rule.timezone !== 'string' || !isTimeZone(rule.timezone))) {
+        return `${label}.timezone must be a time zone like Europe/Berlin`;
+    }
+    return null;
+}
+
+/**
+ * Validate the policies section of the repository configuration
+ * @param {Object} raw - policies value from the configuration file
+ * @returns {Object} - The policies with defaults filled in, or an error message
+ */
+function validatePolicies(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { error: 'policies must be a mapping' };
+    }
+    if (raw.default !== undefined && !CLASSIFICATIONS.includes(raw.default)) {
+        return { error: `policies.default must be one of: ${CLASSIFICATIONS.join(', ')}` };
+    }
+    if (raw.actions !== undefined && (!raw.actions || typeof raw.actions !== 'object' ||
+        !Object.entries(raw.actions).every(([classification, actions]) =>
+            CLASSIFICATIONS.includes(classification) && Array.isArray(actions) && actions.every(action => POLICY_ACTIONS.includes(action))))) {
+        return { error: `policies.actions must map ${CLASSIFICATIONS.join(', ')} to lists of: ${POLICY_ACTIONS.join(', ')}` };
+    }
+    if (raw.rules !== undefined && !Array.isArray(raw.rules)) {
+        return { error: 'policies.rules must be a list' };
+    }
+    const rules = raw.rules || [];
+    for (const [index, rule] of rules.entries()) {
+        const error = validatePolicyRule(rule, index);
+        if (error) {
+            return { error };
+        }
+    }
+
+    return {
+        policies: {
+            default: raw.default || DEFAULT_POLICIES.default,
+            actions: { ...DEFAULT_POLICIES.actions, ...raw.actions },
+            rules: rules.map((rule, index) => ({
+                ...rule,
+                name: rule.name ? String(rule.name) : `Rule ${index + 1}`,
+                ...Object.fromEntries(RULE_CONDITIONS
+                    .filter(condition => rule[condition] !== undefined)
+                    .map(condition => [condition, rule[condition].map(String)]))
+            }))
+        }
+    };
+}
+
+/**
+ * Check whether a branch matches any pattern; * matches within a path segment, ** across them
+ * @param {string} branch - Branch name
+ * @param {Array} patterns - Branch patterns, e.g. main or release/*
+ * @returns {boolean} - True if any pattern matches
+ */
+function matchesBranch(branch, patterns) {
+    return patterns.some(pattern => {
+        const source = pattern
+            .replace(/^refs\/heads\//, '')
+            .split('**')
+            .map(part => part.split('*').map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*'))
+            .join('.*');
+        return new RegExp(`^${source}$`).test(branch);
+    });
+}
+
+/**
+ * Check whether a time falls in a time-of-day range; ranges like 22:00-06:00 wrap past midnight
+ * @param {Date} date - Time to check
+ * @param {string} hours - Range like 09:00-17:00, start included and end excluded
+ * @param {string} [timeZone=UTC] - Time zone the range is in
+ * @returns {boolean} - True if the time is in the range
+ */
+function matchesHours(date, hours, timeZone = 'UTC') {
+    const [from, to] = hours.split('-').map(time => {
+        const [hour, minute] = time.split(':').map(Number);
+        return hour * 60 + minute;
+    });
+    const parts = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+        .formatToParts(date);
+    const minutes = Number(parts.find(part => part.type === 'hour').value) * 60 +
+        Number(parts.find(part => part.type === 'minute').value);
+
+    return from <= to ?
+        minutes >= from && minutes < to :
+        minutes >= from || minutes < to;
+}
+
+/**
+ * Check whether a policy rule matches one bypassed rule of a rule suite
+ * @param {Object} rule - Policy rule
+ * @param {Object} bypass - The actor, branch, time and bypassed rule to match
+ * @param {Function} inTeams - Resolves whether the actor is in any of the given teams
+ * @returns {Promise<boolean>} - True if every condition of the rule matches
+ */
+async function matchesPolicyRule(rule, { actor, branch, pushedAt, evaluation }, inTeams) {
+    if (rule.actors && !(actor && rule.actors.some(name => name.toLowerCase() === actor.toLowerCase()))) {
+        return false;
+    }
+    if (rule.rulesets && !(evaluation && [evaluation.rule_source?.name, evaluation.rule_source?.id]
+        .some(value => value !== undefined && value !== null && rule.rulesets.includes(String(value))))) {
+        return false;
+    }
+    if (rule.rule_types && !(evaluation && rule.rule_types.includes(evaluation.rule_type))) {
+        return false;
+    }
+    if (rule.branches && !matchesBranch(branch, rule.branches)) {
+        return false;
+    }
+    if (rule.hours && !matchesHours(pushedAt, rule.hours, rule.timezone)) {
+        return false;
+    }
+    // Checked last, since it is the only condition that calls the API
+    if (rule.teams && !(actor && await inTeams(actor, rule.teams))) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Find the first item an async predicate accepts, checking items one at a time
+ * @param {Array} items - Items to check
+ * @param {Function} predicate - Resolves true for a match
+ * @returns {Promise<*>} - The first match, or undefined
+ */
+async function findAsync(items, predicate) {
+    for (const item of items) {
+        if (await predicate(item)) {
+            return item;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Classify bypassed rule suites with the repository's policies. Each bypassed rule is
+ * classified by the first policy rule that matches it, or the default, and a rule suite
+ * takes the most severe classification of its bypassed rules.
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner, the organization of teams given without one
+ * @param {Array} ruleSuites - Bypassed rule suites, with rule_evaluations where available
+ * @param {string} branch - Branch the rule suites were pushed to
+ * @param {Object} config - Effective repository configuration
+ * @returns {Promise<Array>} - Rule suites with classification and policy (the matching rule's name) added
+ */
+async function classifyRuleSuites(octokit, owner, ruleSuites, branch, config) {
+    const { rules, default: defaultClassification } = config.policies;
+
+    // Team memberships are looked up once per actor and team list
+    const memberships = new Map();
+    const inTeams = (actor, teams) => {
+        const key = `${actor}|${teams.join(',')}`;
+        if (!memberships.has(key)) {
+            memberships.set(key, isMemberOfAnyTeam(octokit, owner, actor, teams));
+        }
+        return memberships.get(key);
+    };
+
+    const classified = [];
+    for (const ruleSuite of ruleSuites) {
+        const evaluations = Array.isArray(ruleSuite.rule_evaluations) ?
+            getBypassedEvaluations(ruleSuite.rule_evaluations) :
+            [];
+        const bypass = {
+            actor: ruleSuite.actor_name || null,
+            branch: branch.replace(/^refs\/heads\//, ''),
+            pushedAt: ruleSuite.pushed_at ? new Date(ruleSuite.pushed_at) : new Date()
+        };
+
+        const matches = [];
+        for (const evaluation of evaluations.length > 0 ? evaluations : [null]) {
+            const rule = await findAsync(rules, candidate => matchesPolicyRule(candidate, { ...bypass, evaluation }, inTeams));
+            matches.push(rule ?
+                { classification: rule.classification, policy: rule.name } :
+                { classification: defaultClassification, policy: null });
+        }
+        const result = matches.reduce((worst, match) =>
+            (CLASSIFICATIONS.indexOf(match.classification) > CLASSIFICATIONS.indexOf(worst.classification) ? match : worst));
+
+        logger.debug(`Rule suite ${ruleSuite.id} by ${bypass.actor || 'unknown'} classified as ${result.classification}${result.policy ? ` by policy "${result.policy}"` : ''}`);
+        classified.push({ ...ruleSuite, ...result });
+    }
+    return classified;
+}
+
+/**
+ * Check whether the policies call for an action on a classified bypass
+ * @param {string} [classification] - Classification from classifyRuleSuites; unclassified bypasses count as violations
+ * @param {string} action - One of POLICY_ACTIONS
+ * @param {Object} config - Effective repository configuration
+ * @returns {boolean} - True if the action should be taken
+ */
+function hasPolicyAction(classification, action, config) {
+    return config.policies.actions[classification || 'violation'].includes(action);
+}
+
+export {
+    CLASSIFICATIONS,
+    POLICY_ACTIONS,
+    DEFAULT_POLICIES,
+    validatePolicies,
+    matchesBranch,
+    matchesHours,
+    classifyRuleSuites,
+    hasPolicyAction
+};
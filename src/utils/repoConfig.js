@@ -0,0 +1,389 @@
+import { parse } from 'yaml';
+import { Buffer } from 'node:buffer';
+import logger from './logger.js';
+import { getRepoConfigCacheConfig } from './config.js';
+import { DEFAULT_POLICIES, validatePolicies } from './policy.js';
+
+// Location of the configuration file in a repository and in the org's .github repository
+const CONFIG_PATH = '.github/bypass-checker.yml';
+const ORG_CONFIG_REPO = '.github';
+
+const TIME_PERIODS = ['hour', 'day', 'week', 'month'];
+const SCOPES = ['repository', 'organization'];
+const NOTIFICATION_TYPES = ['slack', 'teams', 'webhook', 'email'];
+// same opens follow-up issues in the pull request's repository, audit in the deployment's AUDIT_REPOSITORY
+const FOLLOW_UP_REPOSITORIES = ['same', 'audit'];
+
+const DEFAULT_COMMENT_TEMPLATE = `## 🚨 Ruleset Bypass Detected
+
+This pull request was merged with bypassed ruleset(s).
+
+{{bypasses}}
+
+---
+
+Please ensure these bypasses comply with your organization's governance policies. Bypassing ruleset protections may introduce security, quality, or compliance risks.{{mentions}}`;
+
+const DEFAULT_CONFIG = {
+    enabled: true,
+    scope: ['repository', 'organization'],
+    rulesets: { include: [], exclude: [] },
+    rule_types: { include: [], exclude: [] },
+    comment: { template: DEFAULT_COMMENT_TEMPLATE },
+    insights_time_period: 'day',
+    labels: [],
+    reviewers: [],
+    approver_teams: [],
+    notifications: [],
+    follow_up_issue: {
+        enabled: false,
+        repository: 'same',
+        labels: ['bypass-justification'],
+        due_in_days: 7
+    },
+    auto_revert: {
+        enabled: false,
+        branches: [],
+        allowed_teams: [],
+        allowed_actors: []
+    },
+    policies: DEFAULT_POLICIES
+};
+
+// Parsed configuration keyed by owner/repo, and org defaults keyed by owner
+const repoConfigCache = new Map();
+const orgConfigCache = new Map();
+
+/**
+ * Check that a value is an array of strings or numbers
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if the value is a list of strings or numbers
+ */
+function isList(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string' || typeof item === 'number');
+}
+
+/**
+ * Validate a raw configuration object, keeping only the valid keys
+ * @param {Object} raw - Parsed YAML configuration
+ * @returns {Object} - Object with the valid partial config and a list of errors
+ */
+function validateRepoConfig(raw) {
+    const config = {};
+    const errors = [];
+
+    if (raw === null || raw === undefined) {
+        return { config, errors };
+    }
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        return { config, errors: ['configuration must be a mapping'] };
+    }
+
+    if ('enabled' in raw) {
+        if (typeof raw.enabled === 'boolean') {
+            config.enabled = raw.enabled;
+        } else {
+            errors.push('enabled must be true or false');
+        }
+    }
+
+    if ('scope' in raw) {
+        const scope = typeof raw.scope === 'string' ? [raw.scope] : raw.scope;
+        if (isList(scope) && scope.every(item => SCOPES.includes(item))) {
+            config.scope = scope;
+        } else {
+            errors.push(`scope must be a list of: ${SCOPES.join(', ')}`);
+        }
+    }
+
+    for (const key of ['rulesets', 'rule_types']) {
+        if (!(key in raw)) {
+            continue;
+        }
+        const filter = raw[key];
+        if (filter && typeof filter === 'object' && !Array.isArray(filter) &&
+            (filter.include === undefined || isList(filter.include)) &&
+            (filter.exclude === undefined || isList(filter.exclude))) {
+            config[key] = {
+                include: (filter.include || []).map(String),
+                exclude: (filter.exclude || []).map(String)
+            };
+        } else {
+            errors.push(`${key} must have include and/or exclude lists`);
+        }
+    }
+
+    if ('comment' in raw) {
+        if (raw.comment && typeof raw.comment.template === 'string' && raw.comment.template.includes('{{bypasses}}')) {
+            config.comment = { template: raw.comment.template };
+        } else {
+            errors.push('comment.template must be a string containing {{bypasses}}');
+        }
+    }
+
+    if ('insights_time_period' in raw) {
+        if (TIME_PERIODS.includes(raw.insights_time_period)) {
+            config.insights_time_period = raw.insights_time_period;
+        } else {
+            errors.push(`insights_time_period must be one of: ${TIME_PERIODS.join(', ')}`);
+        }
+    }
+
+    for (const key of ['labels', 'reviewers', 'approver_teams']) {
+        if (!(key in raw)) {
+            continue;
+        }
+        if (isList(raw[key])) {
+            config[key] = raw[key].map(String);
+        } else {
+            errors.push(`${key} must be a list`);
+        }
+    }
+
+    if ('notifications' in raw) {
+        const notifications = raw.notifications;
+        if (!Array.isArray(notifications) || !notifications.every(target =>
+            target && typeof target === 'object' && NOTIFICATION_TYPES.includes(target.type))) {
+            errors.push(`notifications must be a list of targets with a type of: ${NOTIFICATION_TYPES.join(', ')}`);
+        } else if (!notifications.every(target => typeof target.sink === 'string')) {
+            // Sink URLs and secrets live in the deployment's sinks file, not in repositories
+            errors.push('notifications must name a sink');
+        } else if (!notifications.every(target => target.rulesets === undefined || isList(target.rulesets))) {
+            errors.push('notifications rulesets must be a list');
+        } else {
+            config.notifications = notifications;
+        }
+    }
+
+    if ('follow_up_issue' in raw) {
+        const followUp = raw.follow_up_issue;
+        if (!followUp || typeof followUp !== 'object' || Array.isArray(followUp)) {
+            errors.push('follow_up_issue must be a mapping');
+        } else if (followUp.enabled !== undefined && typeof followUp.enabled !== 'boolean') {
+            errors.push('follow_up_issue.enabled must be true or false');
+        } else if (followUp.repository !== undefined && !FOLLOW_UP_REPOSITORIES.includes(followUp.repository)) {
+            errors.push(`follow_up_issue.repository must be one of: ${FOLLOW_UP_REPOSITORIES.join(', ')}`);
+        } else if (followUp.labels !== undefined && !isList(followUp.labels)) {
+            errors.push('follow_up_issue.labels must be a list');
+        } else if (followUp.due_in_days !== undefined && !(Number.isInteger(followUp.due_in_days) && followUp.due_in_days > 0)) {
+            errors.push('follow_up_issue.due_in_days must be a positive whole number');
+        } else {
+            // Adding the section turns follow-up issues on unless it says otherwise
+            config.follow_up_issue = {
+                ...DEFAULT_CONFIG.follow_up_issue,
+                enabled: followUp.enabled ?? true,
+                ...(followUp.repository !== undefined && { repository: followUp.repository }),
+                ...(followUp.labels !== undefined && { labels: followUp.labels.map(String) }),
+                ...(followUp.due_in_days !== undefined && { due_in_days: followUp.due_in_days })
+            };
+        }
+    }
+
+    if ('auto_revert' in raw) {
+        const autoRevert = raw.auto_revert;
+        if (!autoRevert || typeof autoRevert !== 'object' || Array.isArray(autoRevert)) {
+            errors.push('auto_revert must be a mapping');
+        } else if (autoRevert.enabled !== undefined && typeof autoRevert.enabled !== 'boolean') {
+            errors.push('auto_revert.enabled must be true or false');
+        } else if (!isList(autoRevert.branches) || autoRevert.branches.length === 0) {
+            errors.push('auto_revert.branches must list the branches to protect');
+        } else if (!['allowed_teams', 'allowed_actors'].every(key => autoRevert[key] === undefined || isList(autoRevert[key]))) {
+            errors.push('auto_revert.allowed_teams and auto_revert.allowed_actors must be lists');
+        } else {
+            // Adding the section turns automatic reverts on unless it says otherwise
+            config.auto_revert = {
+                enabled: autoRevert.enabled ?? true,
+                branches: autoRevert.branches.map(String),
+                allowed_teams: (autoRevert.allowed_teams || []).map(String),
+                allowed_actors: (autoRevert.allowed_actors || []).map(String)
+            };
+        }
+    }
+
+    if ('policies' in raw) {
+        const { policies, error } = validatePolicies(raw.policies);
+        if (error) {
+            errors.push(error);
+        } else {
+            config.policies = policies;
+        }
+    }
+
+    return { config, errors };
+}
+
+/**
+ * Read and validate the configuration file from a repository's default branch
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<Object>} - Valid partial configuration, empty if the file is missing or invalid
+ * @throws {Error} If the file cannot be read for any reason other than not existing
+ */
+async function loadConfigFile(octokit, owner, repo) {
+    let content;
+    try {
+        // Omitting ref reads the file from the default branch
+        const { data } = await octokit.repos.getContent({
+            owner,
+            repo,
+            path: CONFIG_PATH,
+        });
+        content = Buffer.from(data.content, data.encoding || 'base64').toString('utf8');
+    } catch (error) {
+        if (error.status === 404) {
+            logger.debug(`No ${CONFIG_PATH} found in ${owner}/${repo}`);
+            return {};
+        }
+        // Falling back to the defaults could comment on, or revert, a repository that turned those off
+        logger.error(`Could not read ${CONFIG_PATH} from ${owner}/${repo}: ${error.message}`);
+        throw error;
+    }
+
+    let raw;
+    try {
+        raw = parse(content);
+    } catch (error) {
+        logger.warn(`Ignoring ${CONFIG_PATH} in ${owner}/${repo} - invalid YAML: ${error.message}`);
+        return {};
+    }
+
+    const { config, errors } = validateRepoConfig(raw);
+    for (const error of errors) {
+        logger.warn(`Ignoring invalid setting in ${owner}/${repo}/${CONFIG_PATH}: ${error}`);
+    }
+    return config;
+}
+
+/**
+ * Read a cached value, dropping it once it is older than the cache TTL
+ * @param {Map} cache - Cache to read from
+ * @param {string} key - Cache key
+ * @returns {Object|undefined} - The cached value, or undefined if missing or expired
+ */
+function getCached(cache, key) {
+    const entry = cache.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+        return entry.value;
+    }
+    cache.delete(key);
+    return undefined;
+}
+
+/**
+ * Get the effective configuration for a repository: built-in defaults, then the
+ * organization defaults from the org's .github repository, then the repository's own file
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<Object>} - Effective configuration
+ * @throws {Error} If a configuration file cannot be read, so nothing is cached
+ */
+async function getRepoConfig(octokit, owner, repo) {
+    const cacheKey = `${owner}/${repo}`;
+    const cached = getCached(repoConfigCache, cacheKey);
+    if (cached) {
+        logger.debug(`Using cached configuration for ${cacheKey}`);
+        return cached;
+    }
+
+    const { ttlMs } = getRepoConfigCacheConfig();
+    
+    // The .github repository's own file holds the organization defaults, so it has no separate org layer
+    let orgConfig = repo === ORG_CONFIG_REPO ? {} : getCached(orgConfigCache, owner);
+    if (!orgConfig) {
+        orgConfig = await loadConfigFile(octokit, owner, ORG_CONFIG_REPO);
+        orgConfigCache.set(owner, { value: orgConfig, expiresAt: Date.now() + ttlMs });
+    }
+
+    const repoConfig = await loadConfigFile(octokit, owner, repo);
+    const config = { ...DEFAULT_CONFIG, ...orgConfig, ...repoConfig };
+
+    repoConfigCache.set(cacheKey, { value: config, expiresAt: Date.now() + ttlMs });
+    logger.info(`Loaded configuration for ${cacheKey} (enabled: ${config.enabled}, scope: ${config.scope.join(', ')})`);
+    return config;
+}
+
+/**
+ * Clear cached configuration
+ */
+function clearRepoConfigCache() {
+    repoConfigCache.clear();
+    orgConfigCache.clear();
+}
+
+/**
+ * Check whether a value passes an include/exclude filter
+ * @param {Object} filter - Filter with include and exclude lists
+ * @param {Array<string>} candidates - Values that identify the item, e.g. a ruleset's name and ID
+ * @returns {boolean} - True if the item should be reported
+ */
+function matchesFilter(filter, candidates) {
+    const values = candidates.filter(value => value !== undefined && value !== null).map(String);
+    if (filter.include.length > 0 && !values.some(value => filter.include.includes(value))) {
+        return false;
+    }
+    return !values.some(value => filter.exclude.includes(value));
+}
+
+/**
+ * Drop the rule evaluations, and then the rule suites, that the configuration does not report
+ * @param {Array} ruleSuites - Rule suites with rule_evaluations where available
+ * @param {Object} config - Effective repository configuration
+ * @returns {Array} - Rule suites to report
+ */
+function filterRuleSuites(ruleSuites, config) {
+    const { rulesets, rule_types: ruleTypes } = config;
+    const hasFilters = rulesets.include.length + rulesets.exclude.length +
+        ruleTypes.include.length + ruleTypes.exclude.length > 0;
+    if (!hasFilters) {
+        return ruleSuites;
+    }
+
+    return ruleSuites
+        .map(ruleSuite => {
+            // Without rule evaluations there is nothing to filter on, so report the suite as is
+            if (!Array.isArray(ruleSuite.rule_evaluations)) {
+                return ruleSuite;
+            }
+            const ruleEvaluations = ruleSuite.rule_evaluations.filter(evaluation =>
+                matchesFilter(rulesets, [evaluation.rule_source?.name, evaluation.rule_source?.id]) &&
+                matchesFilter(ruleTypes, [evaluation.rule_type]));
+            const bypassed = ruleEvaluations.filter(evaluation => evaluation.result === 'fail');
+            return bypassed.length > 0 ? { ...ruleSuite, rule_evaluations: ruleEvaluations } : null;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Drop the unmet branch rules that the configuration does not report
+ * @param {Array} unmetRules - Unmet rules from getUnmetRules
+ * @param {Object} config - Effective repository configuration
+ * @returns {Array} - Unmet rules to report
+ */
+function filterUnmetRules(unmetRules, config) {
+    return unmetRules.filter(rule =>
+        matchesFilter(config.rulesets, [rule.ruleset_name, rule.ruleset_id]) &&
+        matchesFilter(config.rule_types, [rule.type]));
+}
+
+/**
+ * Render the bypass comment from the configured template
+ * @param {string} template - Comment template with {{placeholders}}
+ * @param {Object} values - Placeholder values
+ * @returns {string} - Rendered comment
+ */
+function renderCommentTemplate(template, values) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+        (key in values ? String(values[key]) : match));
+}
+
+export {
+    getRepoConfig,
+    validateRepoConfig,
+    clearRepoConfigCache,
+    filterRuleSuites,
+    filterUnmetRules,
+    renderCommentTemplate,
+    DEFAULT_CONFIG
+};
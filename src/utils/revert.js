@@ -0,0 +1,130 @@
+import logger from './logger.js';
+import {
+    isMemberOfAnyTeam,
+    getGitCommit,
+    createGitCommit,
+    createBranch,
+    createPullRequest,
+    findPullRequestForBranch
+} from './github.js';
+import { formatRuleSuites } from './format.js';
+import { matchesBranch } from './policy.js';
+
+// Hidden marker identifying revert pull requests opened for a bypass
+const REVERT_PULL_REQUEST_MARKER = '<!-- ruleset-bypass-checker:revert -->';
+
+/**
+ * Find the actors of bypassed rule suites who are not allowed to bypass
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner
+ * @param {Array} ruleSuites - Bypassed rule suites
+ * @param {Object} autoRevert - auto_revert settings from the repository configuration
+ * @returns {Promise<Array>} - Logins outside the allowlist; null stands for an unknown actor
+ */
+async function findUnapprovedActors(octokit, owner, ruleSuites, { allowed_actors: allowedActors, allowed_teams: allowedTeams }) {
+    const allowed = allowedActors.map(actor => actor.toLowerCase());
+    const unapproved = [];
+
+    for (const actor of new Set(ruleSuites.map(ruleSuite => ruleSuite.actor_name || null))) {
+        // A bypass that cannot be tied to an actor cannot be shown to be approved
+        if (actor && (allowed.includes(actor.toLowerCase()) ||
+            (allowedTeams.length > 0 && await isMemberOfAnyTeam(octokit, owner, actor, allowedTeams)))) {
+            continue;
+        }
+        unapproved.push(actor);
+    }
+    return unapproved;
+}
+
+/**
+ * Open a pull request that reverts a merge made with a bypass by an actor outside the
+ * break-glass allowlist. The revert is built with the Git Data API: a commit on top of the
+ * merge commit that restores the tree from before the bypassing push, so GitHub merges it
+ * like `git revert` even when the branch has moved on. The revert is tied to a branch per
+ * pull request, so running it again finds the revert pull request an earlier run opened,
+ * or opens it from the branch an earlier, failed run created.
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} pullRequest - The merged pull request
+ * @param {Array} repoRuleSuites - Bypassed repo-level rule suites
+ * @param {Array} orgRuleSuites - Bypassed org-level rule suites
+ * @param {Object} config - Effective repository configuration
+ * @returns {Promise<Object|null>} - The revert pull request, or null if the bypass is not reverted
+ * @throws {Error} If the revert could not be opened, so the check is retried
+ */
+async function revertUnapprovedBypass(octokit, pullRequest, repoRuleSuites, orgRuleSuites, config) {
+    const [owner, repo] = pullRequest.base.repo.full_name.split('/');
+    const ruleSuites = [...repoRuleSuites, ...orgRuleSuites];
+    const baseRef = pullRequest.base.ref;
+    const mergeCommitSha = pullRequest.merge_commit_sha;
+
+    if (!matchesBranch(baseRef, config.auto_revert.branches)) {
+        logger.debug(`Automatic reverts are not enabled for ${owner}/${repo}@${baseRef}`);
+        return null;
+    }
+
+    try {
+        const actors = await findUnapprovedActors(octokit, owner, ruleSuites, config.auto_revert);
+        if (actors.length === 0) {
+            logger.info(`Bypass on PR #${pullRequest.number} was made by an allowed break-glass actor, not reverting`);
+            return null;
+        }
+        const actorList = actors.map(actor => (actor ? `@${actor}` : 'an unknown actor')).join(', ');
+
+        // One branch per pull request, so redeliveries and retries never open a second revert.
+        // A revert pull request someone already closed is not opened again.
+        const branch = `revert-bypass/pr-${pullRequest.number}`;
+        const existing = await findPullRequestForBranch(octokit, owner, repo, branch);
+        if (existing) {
+            logger.info(`Revert PR #${existing.number} for PR #${pullRequest.number} already exists in ${owner}/${repo} (${existing.state})`);
+            return existing;
+        }
+        logger.info(`Bypass on PR #${pullRequest.number} by ${actorList} is outside the break-glass allowlist, reverting ${mergeCommitSha}`);
+
+        // The rule suite records the branch head before the push, which covers merge,
+        // squash and rebase merges alike; fall back to the merge commit's first parent
+        const mergeCommit = await getGitCommit(octokit, owner, repo, mergeCommitSha);
+        const beforeSha = ruleSuites.find(ruleSuite => ruleSuite.after_sha === mergeCommitSha && ruleSuite.before_sha)?.before_sha ||
+            mergeCommit.parents[0].sha;
+        const beforeCommit = await getGitCommit(octokit, owner, repo, beforeSha);
+
+        const revertCommit = await createGitCommit(
+            octokit,
+            owner,
+            repo,
+            `Revert "${pullRequest.title}"\n\nThis reverts #${pullRequest.number} (${mergeCommitSha}), which was merged into ${baseRef} by bypassing rulesets.`,
+            beforeCommit.tree.sha,
+            [mergeCommitSha]
+        );
+
+        // An earlier run may have created the branch and then failed to open the pull request
+        if (!await createBranch(octokit, owner, repo, branch, revertCommit.sha)) {
+            logger.info(`Revert branch ${branch} already exists in ${owner}/${repo} without a pull request, opening one from it`);
+        }
+
+        const author = pullRequest.user?.login;
+        const revert = await createPullRequest(octokit, owner, repo, {
+            title: `Revert "${pullRequest.title}" (unapproved ruleset bypass)`,
+            head: branch,
+            base: baseRef,
+            body: `${REVERT_PULL_REQUEST_MARKER}
+## ⏪ Revert of an Unapproved Ruleset Bypass
+
+This reverts #${pullRequest.number} ([${mergeCommitSha.substring(0, 7)}](https://github.com/${owner}/${repo}/commit/${mergeCommitSha})), which was merged into \`${baseRef}\` by bypassing rulesets. Bypasses on \`${baseRef}\` must be made by an approved break-glass team, and ${actorList} ${actors.length === 1 ? 'is' : 'are'} not in one.
+
+${author ? `@${author}, your` : 'The'} changes will be removed from \`${baseRef}\` when this pull request is merged. Please open them again once they meet the rulesets.
+
+### Bypassed Rules
+
+${[formatRuleSuites(repoRuleSuites, { owner, repo }), formatRuleSuites(orgRuleSuites, { owner })].filter(Boolean).join('\n\n')}`
+        });
+        logger.info(`Opened revert PR #${revert.number} for PR #${pullRequest.number} in ${owner}/${repo}`);
+        return revert;
+    } catch (error) {
+        logger.error(`Could not revert PR #${pullRequest.number}: ${error.message}`);
+        throw error;
+    }
+}
+
+export {
+    revertUnapprovedBypass
+};
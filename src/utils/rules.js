@@ -0,0 +1,181 @@
+import logger from './logger.js';
+import { getBranchRules, getRulesetNames } from './github.js';
+
+// Check run conclusions and commit status states that satisfy a required status check
+const PASSING_CHECK_CONCLUSIONS = ['success', 'neutral', 'skipped'];
+const PASSING_STATUS_STATES = ['success'];
+
+/**
+ * Count the approvals on a pull request, using each reviewer's latest review
+ * @param {Array} reviews - Pull request reviews in chronological order
+ * @returns {number} - Number of reviewers whose latest review is an approval
+ */
+function countApprovals(reviews) {
+    const latestStates = new Map();
+    for (const review of reviews) {
+        // Comments do not change whether a reviewer approved or requested changes
+        if (!review.user || review.state === 'COMMENTED' || review.state === 'PENDING') {
+            continue;
+        }
+        latestStates.set(review.user.login, review.state);
+    }
+    return [...latestStates.values()].filter(state => state === 'APPROVED').length;
+}
+
+/**
+ * Check a pull_request rule against the current reviews
+ * @param {Object} rule - Branch rule of type pull_request
+ * @param {Function} getReviews - Returns the pull request reviews
+ * @returns {Promise<string|null>} - Reason the rule is not satisfied, or null if it is
+ */
+async function checkPullRequestRule(rule, getReviews) {
+    const required = rule.parameters?.required_approving_review_count || 0;
+    if (required === 0) {
+        return null;
+    }
+
+    const approvals = countApprovals(await getReviews());
+    if (approvals >= required) {
+        return null;
+    }
+    return `Requires ${required} approving review${required === 1 ? '' : 's'} (has ${approvals})`;
+}
+
+/**
+ * Check a required_status_checks rule against the head commit's checks and statuses
+ * @param {Object} rule - Branch rule of type required_status_checks
+ * @param {Function} getChecks - Returns the check runs and commit statuses of the head commit
+ * @returns {Promise<string|null>} - Reason the rule is not satisfied, or null if it is
+ */
+async function checkStatusChecksRule(rule, getChecks) {
+    const requiredChecks = rule.parameters?.required_status_checks || [];
+    if (requiredChecks.length === 0) {
+        return null;
+    }
+
+    const { checkRuns, statuses } = await getChecks();
+    const unmet = requiredChecks
+        .map(check => check.context)
+        .filter(context => {
+            const checkRun = checkRuns.find(run => run.name === context);
+            if (checkRun) {
+                return !PASSING_CHECK_CONCLUSIONS.includes(checkRun.conclusion);
+            }
+            const status = statuses.find(commitStatus => commitStatus.context === context);
+            return !status || !PASSING_STATUS_STATES.includes(status.state);
+        });
+
+    if (unmet.length === 0) {
+        return null;
+    }
+    return `Required status checks not passing: ${unmet.map(context => `\`${context}\``).join(', ')}`;
+}
+
+/**
+ * Check a required_signatures rule against the pull request commits
+ * @param {Function} getCommits - Returns the pull request commits
+ * @returns {Promise<string|null>} - Reason the rule is not satisfied, or null if it is
+ */
+async function checkSignaturesRule(getCommits) {
+    const unsigned = (await getCommits())
+        .filter(commit => !commit.commit?.verification?.verified)
+        .map(commit => commit.sha.substring(0, 7));
+
+    if (unsigned.length === 0) {
+        return null;
+    }
+    return `Unsigned commits: ${unsigned.join(', ')}`;
+}
+
+/**
+ * Memoize an async loader so each API call is made at most once per evaluation
+ * @param {Function} loader - Async function to memoize
+ * @returns {Function} - Memoized function
+ */
+function once(loader) {
+    let promise;
+    return () => {
+        if (!promise) {
+            promise = loader();
+        }
+        return promise;
+    };
+}
+
+/**
+ * List the base branch rules that an open pull request does not satisfy yet
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} pullRequest - Pull request object from webhook payload
+ * @returns {Promise<Array>} - Array of unmet rules with type, ruleset_id, ruleset_name, ruleset_source, ruleset_source_type and reason
+ */
+async function getUnmetRules(octokit, owner, repo, pullRequest) {
+    const rules = await getBranchRules(octokit, owner, repo, pullRequest.base.ref);
+    logger.info(`Found ${rules.length} rules for ${owner}/${repo}@${pullRequest.base.ref}`);
+
+    const getReviews = once(() => octokit.paginate(octokit.pulls.listReviews, {
+        owner,
+        repo,
+        pull_number: pullRequest.number,
+        per_page: 100,
+    }));
+    const getCommits = once(() => octokit.paginate(octokit.pulls.listCommits, {
+        owner,
+        repo,
+        pull_number: pullRequest.number,
+        per_page: 100,
+    }));
+    const getChecks = once(async () => {
+        const [checkRuns, combinedStatus] = await Promise.all([
+            octokit.paginate(octokit.checks.listForRef, {
+                owner,
+                repo,
+                ref: pullRequest.head.sha,
+                per_page: 100,
+            }),
+            octokit.repos.getCombinedStatusForRef({
+                owner,
+                repo,
+                ref: pullRequest.head.sha,
+            })
+        ]);
+        return { checkRuns, statuses: combinedStatus.data.statuses || [] };
+    });
+
+    const unmetRules = [];
+    for (const rule of rules) {
+        let reason = null;
+        if (rule.type === 'pull_request') {
+            reason = await checkPullRequestRule(rule, getReviews);
+        } else if (rule.type === 'required_status_checks') {
+            reason = await checkStatusChecksRule(rule, getChecks);
+        } else if (rule.type === 'required_signatures') {
+            reason = await checkSignaturesRule(getCommits);
+        }
+
+        if (reason) {
+            unmetRules.push({
+                type: rule.type,
+                ruleset_id: rule.ruleset_id,
+                ruleset_source: rule.ruleset_source,
+                ruleset_source_type: rule.ruleset_source_type,
+                reason
+            });
+        }
+    }
+
+    // Branch rules only carry the ruleset ID, and repositories may configure rulesets by name
+    if (unmetRules.length > 0) {
+        const rulesetNames = await getRulesetNames(octokit, owner, repo);
+        for (const rule of unmetRules) {
+            rule.ruleset_name = rulesetNames.get(rule.ruleset_id) || null;
+        }
+    }
+
+    return unmetRules;
+}
+
+export {
+    getUnmetRules
+};
@@ -0,0 +1,128 @@
+import { trace, SpanKind, SpanStatusCode } from '@opentelemetry/api';
+import { NodeTracerProvider, BatchSpanProcessor, SimpleSpanProcessor } from '@opentelemetry/sdk-trace-node';
+import { OTLPTraceExporter } from '@opentelemetry/exporter-trace-otlp-http';
+import { resourceFromAttributes } from '@opentelemetry/resources';
+import logger from './logger.js';
+import { normalizeRoute } from './metrics.js';
+
+// Spans are created through the API's global tracer, which does nothing until
+// startTracing registers a provider
+const tracer = trace.getTracer('github-pr-bypass-checker');
+
+let provider = null;
+
+/**
+ * Register a tracer provider that exports spans. Spans go to the given exporter, e.g. an
+ * InMemorySpanExporter in tests, or over OTLP/HTTP to the collector at the endpoint.
+ * @param {Object} options - Tracing options
+ * @param {string} options.serviceName - service.name resource attribute
+ * @param {string} [options.endpoint] - OTLP traces endpoint, e.g. http://localhost:4318/v1/traces
+ * @param {Object} [options.exporter] - Span exporter to use instead of OTLP; spans are exported as they end
+ * @returns {Object|null} - The tracer provider, or null if tracing is not configured
+ */
+function startTracing({ serviceName, endpoint, exporter }) {
+    if (!exporter && !endpoint) {
+        logger.debug('No OTLP endpoint configured, tracing is disabled');
+        return null;
+    }
+    if (provider) {
+        return provider;
+    }
+
+    const spanProcessor = exporter ?
+        new SimpleSpanProcessor(exporter) :
+        new BatchSpanProcessor(new OTLPTraceExporter({ url: endpoint }));
+    provider = new NodeTracerProvider({
+        resource: resourceFromAttributes({ 'service.name': serviceName }),
+        spanProcessors: [spanProcessor]
+    });
+    provider.register();
+
+    logger.info(`Tracing enabled, exporting spans ${exporter ? 'to the given exporter' : `to ${endpoint}`}`);
+    return provider;
+}
+
+/**
+ * Export the spans that are still buffered and stop tracing
+ */
+async function stopTracing() {
+    if (!provider) {
+        return;
+    }
+    try {
+        await provider.shutdown();
+    } catch (error) {
+        logger.error(`Error exporting the last spans: ${error.message}`);
+    }
+    trace.disable();
+    provider = null;
+}
+
+/**
+ * Run a function in a new span, a child of the active span. The span records the exception
+ * and an error status if the function throws, and ends when the function settles.
+ * @param {string} name - Span name
+ * @param {Object} attributes - Span attributes; empty values are left out
+ * @param {Function} fn - Receives the span, e.g. to add attributes or events
+ * @param {number} [kind=SpanKind.INTERNAL] - Span kind
+ * @returns {Promise<*>} - The function's return value
+ */
+async function withSpan(name, attributes, fn, kind = SpanKind.INTERNAL) {
+    const spanAttributes = Object.fromEntries(Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null));
+
+    return tracer.startActiveSpan(name, { kind, attributes: spanAttributes }, async span => {
+        try {
+            return await fn(span);
+        } catch (error) {
+            markSpanFailed(span, error);
+            throw error;
+        } finally {
+            span.end();
+        }
+    });
+}
+
+/**
+ * Mark a span as failed
+ * @param {Object} span - Span to mark
+ * @param {Error} error - The failure
+ */
+function markSpanFailed(span, error) {
+    span.recordException(error);
+    span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+}
+
+/**
+ * Create a client span for every request an Octokit client makes, so slow or failing
+ * GitHub API calls show up under the span that made them
+ * @param {Object} octokit - Octokit client
+ */
+function traceOctokit(octokit) {
+    if (!octokit.hook) {
+        return;
+    }
+    octokit.hook.wrap('request', (request, options) => withSpan(`GitHub ${options.method} ${normalizeRoute(options.url)}`, {
+        'http.request.method': options.method,
+        'url.template': normalizeRoute(options.url)
+    }, async span => {
+        try {
+            const response = await request(options);
+            span.setAttribute('http.response.status_code', response.status);
+            return response;
+        } catch (error) {
+            if (error.status) {
+                span.setAttribute('http.response.status_code', error.status);
+            }
+            throw error;
+        }
+    }, SpanKind.CLIENT));
+}
+
+export {
+    startTracing,
+    stopTracing,
+    withSpan,
+    markSpanFailed,
+    traceOctokit
+};
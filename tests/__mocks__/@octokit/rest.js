@@ -3,10 +3,27 @@ import { jest } from '@jest/globals';
 // Mock the Octokit library to prevent any real API calls
 export const Octokit = jest.fn().mockImplementation(() => ({
   request: jest.fn().mockImplementation(() => Promise.resolve({ data: [] })),
+  paginate: jest.fn().mockResolvedValue([]),
   pulls: {
-    get: jest.fn().mockResolvedValue({ data: {} })
+    get: jest.fn().mockResolvedValue({ data: {} }),
+    listReviews: jest.fn().mockResolvedValue({ data: [] }),
+    listCommits: jest.fn().mockResolvedValue({ data: [] })
+  },
+  checks: {
+    listForRef: jest.fn().mockResolvedValue({ data: { check_runs: [] } }),
+    create: jest.fn().mockResolvedValue({ data: {} })
+  },
+  repos: {
+    listPullRequestsAssociatedWithCommit: jest.fn().mockResolvedValue({ data: [] }),
+    createCommitComment: jest.fn().mockResolvedValue({}),
+    getCombinedStatusForRef: jest.fn().mockResolvedValue({ data: { statuses: [] } }),
+    getContent: jest.fn().mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }))
   },
   issues: {
-    createComment: jest.fn().mockResolvedValue({})
+    createComment: jest.fn().mockResolvedValue({}),
+    listComments: jest.fn().mockResolvedValue({ data: [] }),
+    updateComment: jest.fn().mockResolvedValue({}),
+    addLabels: jest.fn().mockResolvedValue({}),
+    create: jest.fn().mockResolvedValue({ data: { number: 1 } })
   }
 }));
\ No newline at end of file
@@ -0,0 +1,209 @@
+import { jest, describe, beforeEach, afterEach, test, expect } from '@jest/globals';
+import { Octokit } from '@octokit/rest';
+import { createAppAuth } from '@octokit/auth-app';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import process from 'node:process';
+import { Buffer } from 'node:buffer';
+import { runBackfill } from '../../src/commands/backfill.js';
+import { clearRepoConfigCache } from '../../src/utils/repoConfig.js';
+import logger from '../../src/utils/logger.js';
+
+const mergedAt = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString();
+
+const ruleSuites = [
+  { id: 1, after_sha: 'merge123', ref: 'refs/heads/main', actor_name: 'admin', pushed_at: mergedAt, result: 'bypass' },
+  { id: 2, after_sha: 'push456', ref: 'refs/heads/main', actor_name: 'admin', pushed_at: mergedAt, result: 'bypass' }
+];
+
+const pullRequest = {
+  number: 9,
+  html_url: 'https://github.com/acme/api/pull/9',
+  merged_at: mergedAt,
+  merge_commit_sha: 'merge123',
+  base: { ref: 'main', repo: { full_name: 'acme/api', owner: { type: 'Organization' } } }
+};
+
+// Build an Octokit stand-in for one installed repository with two bypassed pushes,
+// one of which is the merge commit of a pull request
+function createMockOctokit({ comments = [] } = {}) {
+  const octokit = {
+    request: jest.fn().mockImplementation(async (route) => {
+      if (route === 'GET /app') {
+        return { data: { slug: 'bypass-checker' } };
+      }
+      if (route.endsWith('/rule-suites')) {
+        return { data: ruleSuites };
+      }
+      return { data: { rule_evaluations: [] } };
+    }),
+    repos: {
+      getContent: jest.fn().mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 })),
+      listPullRequestsAssociatedWithCommit: jest.fn().mockImplementation(async ({ commit_sha: sha }) => ({
+        data: sha === 'merge123' ? [pullRequest] : []
+      }))
+    },
+    issues: {
+      listComments: jest.fn(),
+      createComment: jest.fn().mockResolvedValue({}),
+      updateComment: jest.fn().mockResolvedValue({})
+    }
+  };
+  octokit.paginate = jest.fn().mockImplementation(async (route) => {
+    if (route === 'GET /installation/repositories') {
+      return [{ full_name: 'acme/api', owner: { login: 'acme' } }];
+    }
+    if (route === octokit.issues.listComments) return comments;
+    return [];
+  });
+  return octokit;
+}
+
+describe('Backfill', () => {
+  let directory;
+  let options;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    clearRepoConfigCache();
+    logger.debug = jest.fn();
+    logger.info = jest.fn();
+    logger.warn = jest.fn();
+    logger.error = jest.fn();
+
+    process.env.GITHUB_APP_ID = 'mock-app-id';
+    process.env.GITHUB_APP_PRIVATE_KEY = 'mock-private-key';
+    createAppAuth.mockReturnValue(jest.fn().mockResolvedValue({ token: 'mock-token' }));
+
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'backfill-'));
+    options = {
+      owner: 'acme',
+      installationId: 1,
+      since: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000),
+      until: new Date(),
+      checkpointPath: path.join(directory, 'checkpoint.json'),
+      reportPath: path.join(directory, 'report.json')
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('runBackfill should comment on merged pull requests that were bypassed', async () => {
+    const mockOctokit = createMockOctokit();
+    Octokit.mockImplementation(() => mockOctokit);
+
+    const report = await runBackfill(options);
+
+    expect(mockOctokit.issues.createComment).toHaveBeenCalledWith(expect.objectContaining({
+      owner: 'acme',
+      repo: 'api',
+      issue_number: 9
+    }));
+    expect(report.summary).toEqual({ commented: 1, 'no-pull-request': 1 });
+    expect(JSON.parse(fs.readFileSync(options.reportPath, 'utf8')).entries).toHaveLength(2);
+    expect(fs.existsSync(options.checkpointPath)).toBe(false);
+  });
+
+  test('runBackfill should record bypasses without following them up', async () => {
+    const mockOctokit = createMockOctokit();
+    const config = 'follow_up_issue: {}\nauto_revert:\n  branches: [main]\n';
+    mockOctokit.repos.getContent.mockResolvedValue({
+      data: { content: Buffer.from(config).toString('base64'), encoding: 'base64' }
+    });
+    mockOctokit.issues.create = jest.fn();
+    mockOctokit.pulls = { list: jest.fn(), create: jest.fn() };
+    Octokit.mockImplementation(() => mockOctokit);
+    const bypassStore = { record: jest.fn().mockImplementation(async (events) => events) };
+
+    const report = await runBackfill({ ...options, bypassStore });
+
+    expect(report.summary).toEqual({ commented: 1, 'no-pull-request': 1 });
+    expect(bypassStore.record).toHaveBeenCalledWith([expect.objectContaining({ rule_suite_id: 1, trigger: 'pull_request' })]);
+    // Old merges are not sent to the follow-up issue or revert steps
+    expect(mockOctokit.issues.create).not.toHaveBeenCalled();
+    expect(mockOctokit.pulls.list).not.toHaveBeenCalled();
+    expect(mockOctokit.pulls.create).not.toHaveBeenCalled();
+  });
+
+  test('runBackfill should only write the report in a dry run', async () => {
+    const mockOctokit = createMockOctokit();
+    Octokit.mockImplementation(() => mockOctokit);
+
+    const report = await runBackfill({ ...options, dryRun: true });
+
+    expect(mockOctokit.issues.createComment).not.toHaveBeenCalled();
+    expect(report.entries[0]).toEqual(expect.objectContaining({
+      repository: 'acme/api',
+      sha: 'merge123',
+      pull_request: 9,
+      status: 'would-comment'
+    }));
+  });
+
+  test('runBackfill should skip pull requests that already have a bypass comment', async () => {
+    const mockOctokit = createMockOctokit({
+      comments: [{ id: 5, body: '<!-- ruleset-bypass-checker:bypass -->\nold comment', user: { login: 'bypass-checker[bot]', type: 'Bot' } }]
+    });
+    Octokit.mockImplementation(() => mockOctokit);
+
+    const report = await runBackfill(options);
+
+    expect(mockOctokit.issues.createComment).not.toHaveBeenCalled();
+    expect(report.summary['already-commented']).toBe(1);
+  });
+
+  test('runBackfill should report a repository as failed when its rule suites cannot be listed', async () => {
+    const mockOctokit = createMockOctokit();
+    mockOctokit.request.mockRejectedValue(new Error('Service Unavailable'));
+    Octokit.mockImplementation(() => mockOctokit);
+
+    const report = await runBackfill(options);
+
+    expect(mockOctokit.issues.createComment).not.toHaveBeenCalled();
+    expect(report.repositories).toBe(0);
+    expect(report.summary).toEqual({ failed: 1 });
+    expect(report.entries).toEqual([{ repository: 'acme/api', status: 'failed', error: 'Service Unavailable' }]);
+  });
+
+  test('runBackfill should retry a repository that failed before it was interrupted', async () => {
+    const mockOctokit = createMockOctokit();
+    Octokit.mockImplementation(() => mockOctokit);
+    fs.writeFileSync(options.checkpointPath, JSON.stringify({
+      options: { owner: 'acme', since: options.since.toISOString(), until: options.until.toISOString(), dryRun: false },
+      completedRepositories: [],
+      entries: [{ repository: 'acme/api', status: 'failed', error: 'Service Unavailable' }]
+    }));
+
+    const report = await runBackfill(options);
+
+    expect(report.summary).toEqual({ commented: 1, 'no-pull-request': 1 });
+  });
+
+  test('runBackfill should resume from a checkpoint and skip completed repositories', async () => {
+    const mockOctokit = createMockOctokit();
+    Octokit.mockImplementation(() => mockOctokit);
+    fs.writeFileSync(options.checkpointPath, JSON.stringify({
+      options: { owner: 'acme', since: options.since.toISOString(), until: options.until.toISOString(), dryRun: false },
+      completedRepositories: ['acme/api'],
+      entries: [{ repository: 'acme/api', sha: 'merge123', status: 'commented' }]
+    }));
+
+    const report = await runBackfill(options);
+
+    expect(mockOctokit.request).not.toHaveBeenCalled();
+    expect(report.summary).toEqual({ commented: 1 });
+  });
+
+  test('runBackfill should refuse a checkpoint from a run with different options', async () => {
+    fs.writeFileSync(options.checkpointPath, JSON.stringify({
+      options: { owner: 'other' },
+      completedRepositories: [],
+      entries: []
+    }));
+
+    await expect(runBackfill(options)).rejects.toThrow('belongs to a backfill with different options');
+  });
+});
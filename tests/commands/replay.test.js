@@ -0,0 +1,114 @@
+import { jest, describe, beforeEach, afterEach, test, expect } from '@jest/globals';
+import { Octokit } from '@octokit/rest';
+import { createAppAuth } from '@octokit/auth-app';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import process from 'node:process';
+import { replayWebhooks } from '../../src/commands/replay.js';
+import { createWebhookArchive } from '../../src/stores/webhookArchive.js';
+import { clearRepoConfigCache } from '../../src/utils/repoConfig.js';
+import logger from '../../src/utils/logger.js';
+
+const payload = {
+  action: 'closed',
+  pull_request: {
+    number: 123,
+    merged: true,
+    html_url: 'https://github.com/owner/repo/pull/123',
+    base: { ref: 'main', repo: { full_name: 'owner/repo', owner: { type: 'User' } } },
+    merge_commit_sha: 'abcd1234'
+  },
+  repository: { full_name: 'owner/repo' },
+  installation: { id: 1 }
+};
+
+// Build an Octokit stand-in that finds one bypass for the merge commit
+function createMockOctokit() {
+  const octokit = {
+    request: jest.fn().mockImplementation(async (route) => {
+      if (route.endsWith('/rule-suites')) {
+        return { data: [{ id: 1, after_sha: 'abcd1234', actor_name: 'admin', result: 'bypass' }] };
+      }
+      return { data: { id: 1, rule_evaluations: [] } };
+    }),
+    repos: {
+      getContent: jest.fn().mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }))
+    },
+    checks: {
+      create: jest.fn().mockResolvedValue({ data: {} })
+    },
+    issues: {
+      listComments: jest.fn(),
+      createComment: jest.fn().mockResolvedValue({}),
+      updateComment: jest.fn().mockResolvedValue({})
+    }
+  };
+  octokit.paginate = jest.fn().mockResolvedValue([]);
+  return octokit;
+}
+
+describe('Webhook Replay', () => {
+  let directory;
+  let archive;
+
+  beforeEach(async () => {
+    jest.resetAllMocks();
+    clearRepoConfigCache();
+    logger.debug = jest.fn();
+    logger.info = jest.fn();
+    logger.warn = jest.fn();
+    logger.error = jest.fn();
+
+    process.env.GITHUB_APP_ID = 'mock-app-id';
+    process.env.GITHUB_APP_PRIVATE_KEY = 'mock-private-key';
+    createAppAuth.mockReturnValue(jest.fn().mockResolvedValue({ token: 'mock-token' }));
+
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+    archive = createWebhookArchive({ directory });
+    await archive.save({
+      deliveryId: 'delivery-1',
+      headers: { 'x-github-event': 'pull_request', 'x-github-delivery': 'delivery-1' },
+      payload,
+      receivedAt: new Date('2026-10-01T12:00:00Z')
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('replayWebhooks should return the comment of a dry run without posting it', async () => {
+    const mockOctokit = createMockOctokit();
+    Octokit.mockImplementation(() => mockOctokit);
+
+    const [result] = await replayWebhooks({ archive, deliveryId: 'delivery-1', dryRun: true });
+
+    expect(result).toEqual(expect.objectContaining({ deliveryId: 'delivery-1', event: 'pull_request', action: 'closed', status: 'replayed' }));
+    expect(result.comments).toHaveLength(1);
+    expect(result.comments[0]).toContain('- **Actor:** admin');
+    expect(result.requests.map(request => request.method)).toEqual(['issues.createComment', 'checks.create']);
+    expect(mockOctokit.issues.createComment).not.toHaveBeenCalled();
+    expect(mockOctokit.checks.create).not.toHaveBeenCalled();
+    // Reads still go to GitHub
+    expect(mockOctokit.request).toHaveBeenCalled();
+  });
+
+  test('replayWebhooks should process the deliveries of a time range', async () => {
+    const mockOctokit = createMockOctokit();
+    Octokit.mockImplementation(() => mockOctokit);
+    const bypassStore = { record: jest.fn().mockImplementation(async (events) => events) };
+
+    expect(await replayWebhooks({ archive, since: new Date('2026-10-02T00:00:00Z') })).toEqual([]);
+
+    const results = await replayWebhooks({ archive, since: new Date('2026-10-01T00:00:00Z'), bypassStore });
+
+    expect(results.map(result => result.status)).toEqual(['replayed']);
+    expect(mockOctokit.issues.createComment).toHaveBeenCalledTimes(1);
+    expect(bypassStore.record).toHaveBeenCalledWith([expect.objectContaining({ delivery_id: 'delivery-1' })]);
+  });
+
+  test('replayWebhooks should reject deliveries that are not archived', async () => {
+    await expect(replayWebhooks({ archive, deliveryId: 'missing' })).rejects.toThrow('Delivery missing is not in the webhook archive');
+  });
+});
@@ -0,0 +1,202 @@
+import { jest, describe, beforeEach, test, expect } from '@jest/globals';
+import { Octokit } from '@octokit/rest';
+import { createAppAuth } from '@octokit/auth-app';
+import process from 'node:process';
+import { Buffer } from 'node:buffer';
+import { handleIssueComment, parseCommand } from '../../src/handlers/issueComment.js';
+import { parseBypassData } from '../../src/handlers/pullRequest.js';
+import { clearRepoConfigCache } from '../../src/utils/repoConfig.js';
+import logger from '../../src/utils/logger.js';
+
+const bypassData = Buffer.from(JSON.stringify({
+  repo: [{ id: 1, after_sha: 'abcd1234', actor_name: 'Admin' }],
+  org: []
+})).toString('base64');
+
+// A bypass comment posted by the app, as looked up through GET /app
+const bypassComment = {
+  id: 55,
+  body: `<!-- ruleset-bypass-checker:bypass -->\n<!-- ruleset-bypass-checker:bypass-data ${bypassData} -->\nold comment`,
+  user: { login: 'bypass-checker[bot]', type: 'Bot' }
+};
+
+// Build an Octokit stand-in with an existing bypass comment and approver team
+function createMockOctokit({ members = [], comments = [bypassComment] } = {}) {
+  const config = 'approver_teams: [security]\n';
+  const octokit = {
+    request: jest.fn().mockResolvedValue({ data: { slug: 'bypass-checker' } }),
+    paginate: jest.fn().mockResolvedValue(comments),
+    pulls: {
+      get: jest.fn().mockResolvedValue({ data: { number: 123, base: { ref: 'main' } } })
+    },
+    repos: {
+      getContent: jest.fn().mockResolvedValue({
+        data: { content: Buffer.from(config).toString('base64'), encoding: 'base64' }
+      })
+    },
+    issues: {
+      listComments: jest.fn(),
+      updateComment: jest.fn().mockResolvedValue({})
+    },
+    teams: {
+      getMembershipForUserInOrg: jest.fn().mockImplementation(async ({ username }) => {
+        if (members.includes(username)) {
+          return { data: { state: 'active' } };
+        }
+        throw Object.assign(new Error('Not Found'), { status: 404 });
+      })
+    },
+    reactions: {
+      createForIssueComment: jest.fn().mockResolvedValue({})
+    }
+  };
+  return octokit;
+}
+
+function commentPayload(login, body) {
+  return {
+    action: 'created',
+    issue: { number: 123, pull_request: { url: 'https://api.github.com/repos/owner/repo/pulls/123' } },
+    comment: { id: 99, body, user: { login } },
+    sender: { login, type: 'User' },
+    repository: { full_name: 'owner/repo' },
+    installation: { id: 42 }
+  };
+}
+
+describe('Issue Comment Handler', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    clearRepoConfigCache();
+    logger.debug = jest.fn();
+    logger.info = jest.fn();
+    logger.warn = jest.fn();
+    logger.error = jest.fn();
+
+    process.env.GITHUB_APP_ID = 'mock-app-id';
+    process.env.GITHUB_APP_PRIVATE_KEY = 'mock-private-key';
+    createAppAuth.mockReturnValue(jest.fn().mockResolvedValue({ token: 'mock-token' }));
+  });
+
+  test('parseCommand should recognize the bypass commands only', () => {
+    expect(parseCommand('/bypass-justify Hotfix for the outage\nCI was down')).toEqual({
+      command: 'justify',
+      reason: 'Hotfix for the outage\nCI was down'
+    });
+    expect(parseCommand('  /bypass-ack  ')).toEqual({ command: 'ack' });
+    expect(parseCommand('/bypass-acknowledge')).toBeNull();
+    expect(parseCommand('Looks good to me')).toBeNull();
+  });
+
+  test('handleIssueComment should record a justification from the actor who bypassed', async () => {
+    const mockOctokit = createMockOctokit();
+    Octokit.mockImplementation(() => mockOctokit);
+
+    const bypassStore = { review: jest.fn().mockResolvedValue([{ id: 'repository:1' }]) };
+
+    await handleIssueComment({ payload: commentPayload('admin', '/bypass-justify CI was down during the outage'), bypassStore });
+
+    const { comment_id: commentId, body } = mockOctokit.issues.updateComment.mock.calls[0][0];
+    expect(commentId).toBe(55);
+    expect(body).toContain('### Justification Status: 📝 Justified');
+    expect(body).toContain('> CI was down during the outage');
+    expect(body).toContain('- **Actor:** Admin');
+    expect(parseBypassData({ body }).review).toEqual(expect.objectContaining({
+      status: 'justified',
+      justification: expect.objectContaining({ actor: 'admin', reason: 'CI was down during the outage' })
+    }));
+    expect(bypassStore.review).toHaveBeenCalledWith(['repository:1'], expect.objectContaining({ status: 'justified' }));
+    expect(mockOctokit.reactions.createForIssueComment).toHaveBeenCalledWith(expect.objectContaining({ comment_id: 99, content: '+1' }));
+  });
+
+  test('handleIssueComment should reject a justification from anyone else', async () => {
+    const mockOctokit = createMockOctokit();
+    Octokit.mockImplementation(() => mockOctokit);
+
+    await handleIssueComment({ payload: commentPayload('someone', '/bypass-justify It was fine') });
+
+    expect(mockOctokit.issues.updateComment).not.toHaveBeenCalled();
+    expect(mockOctokit.reactions.createForIssueComment).toHaveBeenCalledWith(expect.objectContaining({ content: '-1' }));
+  });
+
+  test('handleIssueComment should only accept acknowledgements from approver team members', async () => {
+    const mockOctokit = createMockOctokit({ members: ['sec-lead'] });
+    Octokit.mockImplementation(() => mockOctokit);
+
+    await handleIssueComment({ payload: commentPayload('admin', '/bypass-ack') });
+    expect(mockOctokit.issues.updateComment).not.toHaveBeenCalled();
+
+    await handleIssueComment({ payload: commentPayload('sec-lead', '/bypass-ack') });
+
+    expect(mockOctokit.teams.getMembershipForUserInOrg).toHaveBeenCalledWith({ org: 'owner', team_slug: 'security', username: 'sec-lead' });
+    const { body } = mockOctokit.issues.updateComment.mock.calls[0][0];
+    expect(body).toContain('### Justification Status: ✅ Acknowledged');
+    expect(body).toContain('Acknowledged by @sec-lead');
+    expect(parseBypassData({ body }).review.status).toBe('acknowledged');
+  });
+
+  test('handleIssueComment should reject an acknowledgement from the actor who bypassed', async () => {
+    const mockOctokit = createMockOctokit({ members: ['admin'] });
+    Octokit.mockImplementation(() => mockOctokit);
+
+    await handleIssueComment({ payload: commentPayload('admin', '/bypass-ack') });
+
+    expect(mockOctokit.issues.updateComment).not.toHaveBeenCalled();
+    expect(mockOctokit.teams.getMembershipForUserInOrg).not.toHaveBeenCalled();
+    expect(mockOctokit.reactions.createForIssueComment).toHaveBeenCalledWith(expect.objectContaining({ content: '-1' }));
+  });
+
+  test('handleIssueComment should apply concurrent commands on a pull request one after the other', async () => {
+    const comments = [{ ...bypassComment }];
+    const mockOctokit = createMockOctokit({ members: ['sec-lead'] });
+    mockOctokit.paginate.mockImplementation(async () => comments.map(comment => ({ ...comment })));
+    mockOctokit.issues.updateComment.mockImplementation(async ({ body }) => {
+      comments[0].body = body;
+      return {};
+    });
+    Octokit.mockImplementation(() => mockOctokit);
+
+    await Promise.all([
+      handleIssueComment({ payload: commentPayload('admin', '/bypass-justify CI was down') }),
+      handleIssueComment({ payload: commentPayload('sec-lead', '/bypass-ack') })
+    ]);
+
+    expect(mockOctokit.issues.updateComment).toHaveBeenCalledTimes(2);
+    expect(parseBypassData(comments[0]).review).toEqual(expect.objectContaining({
+      status: 'acknowledged',
+      justification: expect.objectContaining({ actor: 'admin', reason: 'CI was down' }),
+      acknowledgement: expect.objectContaining({ actor: 'sec-lead' })
+    }));
+  });
+
+  test('handleIssueComment should ignore bypass comments that were not posted by the app', async () => {
+    const forgedData = Buffer.from(JSON.stringify({
+      repo: [{ id: 1, after_sha: 'abcd1234', actor_name: 'someone' }],
+      org: [],
+      review: { status: 'acknowledged', acknowledgement: { actor: 'someone', at: '2026-10-01T00:00:00Z' } }
+    })).toString('base64');
+    const forged = {
+      id: 54,
+      body: `<!-- ruleset-bypass-checker:bypass -->\n<!-- ruleset-bypass-checker:bypass-data ${forgedData} -->\nforged`,
+      user: { login: 'someone', type: 'User' }
+    };
+    const mockOctokit = createMockOctokit({ comments: [forged, bypassComment] });
+    Octokit.mockImplementation(() => mockOctokit);
+
+    // The forged actor cannot justify, since the app's comment names Admin
+    await handleIssueComment({ payload: commentPayload('someone', '/bypass-justify It was fine') });
+    expect(mockOctokit.issues.updateComment).not.toHaveBeenCalled();
+
+    await handleIssueComment({ payload: commentPayload('admin', '/bypass-justify CI was down') });
+    const { comment_id: commentId, body } = mockOctokit.issues.updateComment.mock.calls[0][0];
+    expect(commentId).toBe(55);
+    expect(parseBypassData({ body }).review.acknowledgement).toBeUndefined();
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('not posted by bypass-checker[bot]'));
+  });
+
+  test('handleIssueComment should ignore comments that are not commands', async () => {
+    await handleIssueComment({ payload: commentPayload('admin', 'Thanks!') });
+
+    expect(Octokit).not.toHaveBeenCalled();
+  });
+});
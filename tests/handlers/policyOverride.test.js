@@ -0,0 +1,118 @@
+import { jest, describe, beforeEach, afterEach, test, expect } from '@jest/globals';
+import { Octokit } from '@octokit/rest';
+import { createAppAuth } from '@octokit/auth-app';
+import process from 'node:process';
+import { handlePolicyOverride } from '../../src/handlers/policyOverride.js';
+import logger from '../../src/utils/logger.js';
+
+// Build an Octokit stand-in that records the calls made by the handler
+function createMockOctokit(associatedPullRequests = []) {
+  return {
+    request: jest.fn().mockResolvedValue({ data: [] }),
+    paginate: jest.fn().mockResolvedValue([]),
+    repos: {
+      getContent: jest.fn().mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 })),
+      listPullRequestsAssociatedWithCommit: jest.fn().mockResolvedValue({ data: associatedPullRequests }),
+      createCommitComment: jest.fn().mockResolvedValue({})
+    },
+    issues: {
+      listForRepo: jest.fn(),
+      createComment: jest.fn().mockResolvedValue({}),
+      create: jest.fn().mockResolvedValue({ data: { number: 7 } })
+    }
+  };
+}
+
+const payload = {
+  action: 'policy_override',
+  ref: 'refs/heads/main',
+  after: 'abc123def456',
+  sender: { login: 'octocat' },
+  repository: { full_name: 'owner/repo' },
+  installation: { id: 42 }
+};
+
+describe('Policy Override Handler', () => {
+  let mockOctokit;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    logger.debug = jest.fn();
+    logger.info = jest.fn();
+    logger.warn = jest.fn();
+    logger.error = jest.fn();
+
+    process.env.GITHUB_APP_ID = 'mock-app-id';
+    process.env.GITHUB_APP_PRIVATE_KEY = 'mock-private-key';
+    createAppAuth.mockReturnValue(jest.fn().mockResolvedValue({ token: 'mock-token' }));
+  });
+
+  afterEach(() => {
+    delete process.env.AUDIT_REPOSITORY;
+  });
+
+  test('handlePolicyOverride should handle missing payloads', async () => {
+    await handlePolicyOverride({});
+
+    expect(logger.error).toHaveBeenCalledWith('No payload in webhook context');
+  });
+
+  test('handlePolicyOverride should comment on the merged pull request for the commit', async () => {
+    mockOctokit = createMockOctokit([{ number: 12, merged_at: '2026-01-01T00:00:00Z', merge_commit_sha: 'abc123def456' }]);
+    Octokit.mockImplementation(() => mockOctokit);
+
+    await handlePolicyOverride({ payload });
+
+    expect(mockOctokit.issues.createComment).toHaveBeenCalledWith(expect.objectContaining({
+      owner: 'owner',
+      repo: 'repo',
+      issue_number: 12
+    }));
+    expect(mockOctokit.issues.create).not.toHaveBeenCalled();
+  });
+
+  test('handlePolicyOverride should open a tracking issue for direct pushes when an audit repository is configured', async () => {
+    process.env.AUDIT_REPOSITORY = 'owner/audit';
+    mockOctokit = createMockOctokit();
+    Octokit.mockImplementation(() => mockOctokit);
+
+    await handlePolicyOverride({ payload });
+
+    expect(mockOctokit.issues.create).toHaveBeenCalledWith(expect.objectContaining({
+      owner: 'owner',
+      repo: 'audit',
+      title: 'Policy override on owner/repo@main by octocat',
+      labels: ['ruleset-policy-override', 'ruleset-bypass']
+    }));
+    expect(mockOctokit.issues.createComment).not.toHaveBeenCalled();
+  });
+
+  test('handlePolicyOverride should not open a second tracking issue on a redelivery', async () => {
+    process.env.AUDIT_REPOSITORY = 'owner/audit';
+    mockOctokit = createMockOctokit();
+    Octokit.mockImplementation(() => mockOctokit);
+
+    await handlePolicyOverride({ payload });
+    const { body } = mockOctokit.issues.create.mock.calls[0][0];
+    expect(body).toContain('<!-- ruleset-bypass-checker:policy-override-issue owner/repo@abc123def456 -->');
+
+    mockOctokit.paginate.mockImplementation(async (route, params) => (route === mockOctokit.issues.listForRepo && params.labels === 'ruleset-policy-override' ?
+      [{ number: 7, body }] :
+      []));
+    await handlePolicyOverride({ payload });
+
+    expect(mockOctokit.issues.create).toHaveBeenCalledTimes(1);
+    expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('Tracking issue owner/audit#7 is already open'));
+  });
+
+  test('handlePolicyOverride should comment on the commit when no audit repository is configured', async () => {
+    mockOctokit = createMockOctokit();
+    Octokit.mockImplementation(() => mockOctokit);
+
+    await handlePolicyOverride({ payload });
+
+    expect(mockOctokit.repos.createCommitComment).toHaveBeenCalledWith(expect.objectContaining({
+      commit_sha: 'abc123def456'
+    }));
+  });
+});
@@ -1,6 +1,11 @@
 import { jest, describe, beforeEach, test, expect } from '@jest/globals';
-import { handlePullRequest, validateRuleset } from '../../src/handlers/pullRequest.js';
+import { Octokit } from '@octokit/rest';
+import { createAppAuth } from '@octokit/auth-app';
+import process from 'node:process';
+import { Buffer } from 'node:buffer';
+import { handlePullRequest, handleBypassRecheck, validateRuleset } from '../../src/handlers/pullRequest.js';
 import logger from '../../src/utils/logger.js';
+import { clearRepoConfigCache } from '../../src/utils/repoConfig.js';
 import { setupGitHubMocks } from '../__mocks__/githubMocks.js';
 
 // Helper function to find a specific message in logger calls
@@ -17,6 +22,72 @@ function getLastCall(mockFn) {
   return calls.length > 0 ? calls[calls.length - 1] : null;
 }
 
+// Comments the app posted, as looked up through GET /app
+const appUser = { login: 'bypass-checker[bot]', type: 'Bot' };
+
+// Build an Octokit stand-in whose paginate results are keyed by endpoint
+function createMockOctokit({ rules = [], rulesets = [], reviews = [], comments = [], issues = [] } = {}) {
+  const octokit = {
+    request: jest.fn().mockImplementation(async (route) => ({ data: route === 'GET /app' ? { slug: 'bypass-checker' } : [] })),
+    pulls: {
+      listReviews: jest.fn(),
+      listCommits: jest.fn()
+    },
+    checks: {
+      listForRef: jest.fn(),
+      create: jest.fn().mockResolvedValue({ data: {} })
+    },
+    repos: {
+      getContent: jest.fn().mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 })),
+      getCombinedStatusForRef: jest.fn().mockResolvedValue({ data: { statuses: [] } })
+    },
+    issues: {
+      listComments: jest.fn(),
+      listForRepo: jest.fn(),
+      createComment: jest.fn().mockResolvedValue({}),
+      updateComment: jest.fn().mockResolvedValue({})
+    }
+  };
+  octokit.paginate = jest.fn().mockImplementation(async (route) => {
+    if (route === octokit.pulls.listReviews) return reviews;
+    if (route === octokit.issues.listComments) return comments;
+    if (route === octokit.issues.listForRepo) return issues;
+    if (typeof route === 'string' && route.includes('/rules/branches/')) return rules;
+    if (typeof route === 'string' && route.endsWith('/rulesets')) return rulesets;
+    return [];
+  });
+  return octokit;
+}
+
+const mergedPullRequest = {
+  number: 123,
+  merged: true,
+  html_url: 'https://github.com/owner/repo/pull/123',
+  base: {
+    repo: {
+      full_name: 'owner/repo',
+      owner: { type: 'User' }
+    },
+    ref: 'main'
+  },
+  merge_commit_sha: 'abcd1234'
+};
+
+const openPullRequest = {
+  number: 123,
+  state: 'open',
+  draft: false,
+  base: {
+    repo: {
+      full_name: 'owner/repo'
+    },
+    ref: 'main'
+  },
+  head: {
+    sha: 'head1234'
+  }
+};
+
 // Helper function to check if a mock function was called with a specific message
 function expectMockCalledWith(mockFn, stringToFind) {
   const matchingCall = findLoggerCall(mockFn, stringToFind);
@@ -51,21 +122,26 @@ describe('Pull Request Handler', () => {
     }
   });
 
-  test('validateRuleset should return true by default', () => {
-    const result = validateRuleset({
-      number: 123,
-    });
+  test('validateRuleset should return true when every rule is satisfied', async () => {
+    process.env.GITHUB_APP_ID = 'mock-app-id';
+    process.env.GITHUB_APP_PRIVATE_KEY = 'mock-private-key';
+    createAppAuth.mockReturnValue(jest.fn().mockResolvedValue({ token: 'mock-token' }));
+    const mockOctokit = createMockOctokit();
+    Octokit.mockImplementation(() => mockOctokit);
+
+    const result = await validateRuleset(openPullRequest, 1);
 
     expect(result).toBe(true);
     expect(expectMockCalledWith(logger.info, 'Reviewing ruleset for PR #123')).toBe(true);
+    expect(mockOctokit.issues.createComment).not.toHaveBeenCalled();
   });
 
-  test('validateRuleset should handle errors and return true', () => {
+  test('validateRuleset should handle errors and return true', async () => {
     logger.info.mockImplementation(() => {
       throw new Error('Test error');
     });
 
-    const result = validateRuleset({
+    const result = await validateRuleset({
       number: 123
     });
 
@@ -73,6 +149,53 @@ describe('Pull Request Handler', () => {
     expect(expectMockCalledWith(logger.error, 'Test error')).toBe(true);
   });
 
+  test('validateRuleset should warn when merging would require a bypass', async () => {
+    process.env.GITHUB_APP_ID = 'mock-app-id';
+    process.env.GITHUB_APP_PRIVATE_KEY = 'mock-private-key';
+    createAppAuth.mockReturnValue(jest.fn().mockResolvedValue({ token: 'mock-token' }));
+    const mockOctokit = createMockOctokit({
+      rules: [
+        { type: 'pull_request', ruleset_id: 7, ruleset_source_type: 'Repository', ruleset_source: 'owner/repo', parameters: { required_approving_review_count: 2 } },
+        { type: 'pull_request', ruleset_id: 8, ruleset_source_type: 'Organization', ruleset_source: 'owner', parameters: { required_approving_review_count: 2 } }
+      ],
+      rulesets: [{ id: 7, name: 'Protect main' }, { id: 8, name: 'Org reviews' }],
+      reviews: [
+        { user: { login: 'reviewer-a' }, state: 'APPROVED' },
+        { user: { login: 'reviewer-b' }, state: 'APPROVED' },
+        { user: { login: 'reviewer-b' }, state: 'CHANGES_REQUESTED' }
+      ]
+    });
+    Octokit.mockImplementation(() => mockOctokit);
+
+    const result = await validateRuleset(openPullRequest, 1);
+
+    expect(result).toBe(false);
+    const body = mockOctokit.issues.createComment.mock.calls[0][0].body;
+    expect(body).toContain('Merging Now Would Require a Ruleset Bypass');
+    expect(body).toContain('Requires 2 approving reviews (has 1)');
+    expect(body).toContain('[Protect main](https://github.com/owner/repo/rules/7) from owner/repo');
+    expect(body).toContain('[Org reviews](https://github.com/organizations/owner/settings/rules/8) from owner');
+  });
+
+  test('validateRuleset should update an existing warning instead of posting a new one', async () => {
+    process.env.GITHUB_APP_ID = 'mock-app-id';
+    process.env.GITHUB_APP_PRIVATE_KEY = 'mock-private-key';
+    createAppAuth.mockReturnValue(jest.fn().mockResolvedValue({ token: 'mock-token' }));
+    const mockOctokit = createMockOctokit({
+      comments: [{ id: 99, body: '<!-- ruleset-bypass-checker:pre-merge-warning -->\nold warning', user: appUser }]
+    });
+    Octokit.mockImplementation(() => mockOctokit);
+
+    const result = await validateRuleset(openPullRequest, 1);
+
+    expect(result).toBe(true);
+    expect(mockOctokit.issues.createComment).not.toHaveBeenCalled();
+    expect(mockOctokit.issues.updateComment).toHaveBeenCalledWith(expect.objectContaining({
+      comment_id: 99,
+      body: expect.stringContaining('Ruleset Requirements Met')
+    }));
+  });
+
   test('handlePullRequest should skip non-merged PRs', async () => {
     const context = {
       payload: {
@@ -97,6 +220,11 @@ describe('Pull Request Handler', () => {
   });
 
   test('handlePullRequest should process merged PRs', async () => {
+    process.env.GITHUB_APP_ID = 'mock-app-id';
+    process.env.GITHUB_APP_PRIVATE_KEY = 'mock-private-key';
+    createAppAuth.mockReturnValue(jest.fn().mockResolvedValue({ token: 'mock-token' }));
+    Octokit.mockImplementation(() => createMockOctokit());
+
     const context = {
       payload: {
         action: 'closed',
@@ -110,6 +238,9 @@ describe('Pull Request Handler', () => {
             ref: 'main'
           },
           merge_commit_sha: 'abcd1234'
+        },
+        installation: {
+          id: 1
         }
       }
     };
@@ -155,4 +286,357 @@ describe('Pull Request Handler', () => {
     const closedMessageCall = findLoggerCall(logger.info, 'closed without merging');
     expect(closedMessageCall).toBeTruthy();
   });
-});
\ No newline at end of file
+
+  test('handlePullRequest should publish a successful check run when nothing was bypassed', async () => {
+    process.env.GITHUB_APP_ID = 'mock-app-id';
+    process.env.GITHUB_APP_PRIVATE_KEY = 'mock-private-key';
+    createAppAuth.mockReturnValue(jest.fn().mockResolvedValue({ token: 'mock-token' }));
+    const mockOctokit = createMockOctokit();
+    Octokit.mockImplementation(() => mockOctokit);
+
+    await handlePullRequest({ payload: { action: 'closed', pull_request: mergedPullRequest, installation: { id: 1 } } });
+
+    expect(mockOctokit.issues.createComment).not.toHaveBeenCalled();
+    expect(mockOctokit.checks.create).toHaveBeenCalledWith(expect.objectContaining({
+      name: 'ruleset-bypass',
+      head_sha: 'abcd1234',
+      conclusion: 'success'
+    }));
+  });
+
+  test('handlePullRequest should fail instead of publishing a check run when the rule suites cannot be read', async () => {
+    process.env.GITHUB_APP_ID = 'mock-app-id';
+    process.env.GITHUB_APP_PRIVATE_KEY = 'mock-private-key';
+    createAppAuth.mockReturnValue(jest.fn().mockResolvedValue({ token: 'mock-token' }));
+    const mockOctokit = createMockOctokit();
+    mockOctokit.request.mockRejectedValue(Object.assign(new Error('Service Unavailable'), { status: 503 }));
+    Octokit.mockImplementation(() => mockOctokit);
+
+    await expect(handlePullRequest({ payload: { action: 'closed', pull_request: mergedPullRequest, installation: { id: 1 } } }))
+      .rejects.toThrow('Service Unavailable');
+
+    expect(mockOctokit.checks.create).not.toHaveBeenCalled();
+  });
+
+  test('handlePullRequest should publish an action_required check run when a bypass was found', async () => {
+    process.env.GITHUB_APP_ID = 'mock-app-id';
+    process.env.GITHUB_APP_PRIVATE_KEY = 'mock-private-key';
+    createAppAuth.mockReturnValue(jest.fn().mockResolvedValue({ token: 'mock-token' }));
+    const mockOctokit = createMockOctokit();
+    mockOctokit.request.mockImplementation(async (route) => {
+      if (route.endsWith('/rule-suites')) {
+        return { data: [{ id: 1, after_sha: 'abcd1234', actor_name: 'admin', result: 'bypass' }] };
+      }
+      return { data: { id: 1, rule_evaluations: [] } };
+    });
+    Octokit.mockImplementation(() => mockOctokit);
+
+    await handlePullRequest({ payload: { action: 'closed', pull_request: mergedPullRequest, installation: { id: 1 } } });
+
+    expect(mockOctokit.issues.createComment).toHaveBeenCalled();
+    expect(mockOctokit.checks.create).toHaveBeenCalledWith(expect.objectContaining({
+      name: 'ruleset-bypass',
+      head_sha: 'abcd1234',
+      conclusion: 'action_required',
+      output: expect.objectContaining({
+        title: '1 ruleset bypass detected',
+        summary: expect.stringContaining('- **Actor:** admin')
+      })
+    }));
+  });
+
+  test('handlePullRequest should update the existing bypass comment with the merged set of bypasses', async () => {
+    process.env.GITHUB_APP_ID = 'mock-app-id';
+    process.env.GITHUB_APP_PRIVATE_KEY = 'mock-private-key';
+    createAppAuth.mockReturnValue(jest.fn().mockResolvedValue({ token: 'mock-token' }));
+    const previousData = Buffer.from(JSON.stringify({
+      repo: [{ id: 1, after_sha: 'abcd1234', actor_name: 'first-admin' }],
+      org: []
+    })).toString('base64');
+    const mockOctokit = createMockOctokit({
+      comments: [{
+        id: 55,
+        body: `<!-- ruleset-bypass-checker:bypass -->\n<!-- ruleset-bypass-checker:bypass-data ${previousData} -->\nold comment`,
+        user: appUser
+      }]
+    });
+    mockOctokit.request.mockImplementation(async (route) => {
+      if (route === 'GET /app') {
+        return { data: { slug: 'bypass-checker' } };
+      }
+      if (route.endsWith('/rule-suites')) {
+        return { data: [{ id: 2, after_sha: 'abcd1234', actor_name: 'second-admin', result: 'bypass' }] };
+      }
+      return { data: { id: 2, rule_evaluations: [] } };
+    });
+    Octokit.mockImplementation(() => mockOctokit);
+
+    await handlePullRequest({ payload: { action: 'closed', pull_request: mergedPullRequest, installation: { id: 1 } } });
+
+    expect(mockOctokit.issues.createComment).not.toHaveBeenCalled();
+    const { comment_id: commentId, body } = mockOctokit.issues.updateComment.mock.calls[0][0];
+    expect(commentId).toBe(55);
+    expect(body.startsWith('<!-- ruleset-bypass-checker:bypass -->')).toBe(true);
+    expect(body).toContain('- **Actor:** first-admin');
+    expect(body).toContain('- **Actor:** second-admin');
+  });
+
+  test('handlePullRequest should not take over a bypass comment posted by someone else', async () => {
+    process.env.GITHUB_APP_ID = 'mock-app-id';
+    process.env.GITHUB_APP_PRIVATE_KEY = 'mock-private-key';
+    createAppAuth.mockReturnValue(jest.fn().mockResolvedValue({ token: 'mock-token' }));
+    const forgedData = Buffer.from(JSON.stringify({
+      repo: [],
+      org: [],
+      review: { status: 'acknowledged', acknowledgement: { actor: 'someone', at: '2026-10-01T00:00:00Z' } }
+    })).toString('base64');
+    const mockOctokit = createMockOctokit({
+      comments: [{
+        id: 54,
+        body: `<!-- ruleset-bypass-checker:bypass -->\n<!-- ruleset-bypass-checker:bypass-data ${forgedData} -->\nforged`,
+        user: { login: 'someone', type: 'User' }
+      }]
+    });
+    mockOctokit.request.mockImplementation(async (route) => {
+      if (route === 'GET /app') {
+        return { data: { slug: 'bypass-checker' } };
+      }
+      if (route.endsWith('/rule-suites')) {
+        return { data: [{ id: 2, after_sha: 'abcd1234', actor_name: 'admin', result: 'bypass' }] };
+      }
+      return { data: { id: 2, rule_evaluations: [] } };
+    });
+    Octokit.mockImplementation(() => mockOctokit);
+
+    await handlePullRequest({ payload: { action: 'closed', pull_request: mergedPullRequest, installation: { id: 1 } } });
+
+    expect(mockOctokit.issues.updateComment).not.toHaveBeenCalled();
+    const { body } = mockOctokit.issues.createComment.mock.calls[0][0];
+    expect(body).toContain('### Justification Status: ⏳ Pending');
+  });
+
+  test('handlePullRequest should schedule a re-check instead of reporting a clean merge straight away', async () => {
+    process.env.GITHUB_APP_ID = 'mock-app-id';
+    process.env.GITHUB_APP_PRIVATE_KEY = 'mock-private-key';
+    process.env.RECHECK_DELAYS = '30,120';
+    createAppAuth.mockReturnValue(jest.fn().mockResolvedValue({ token: 'mock-token' }));
+    const mockOctokit = createMockOctokit();
+    Octokit.mockImplementation(() => mockOctokit);
+    const scheduleRecheck = jest.fn().mockResolvedValue();
+
+    await handlePullRequest({
+      payload: { action: 'closed', pull_request: mergedPullRequest, installation: { id: 1 } },
+      scheduleRecheck
+    });
+
+    expect(scheduleRecheck).toHaveBeenCalledWith({ pullRequest: mergedPullRequest, installationId: 1, attempt: 1 }, 30000);
+    expect(mockOctokit.checks.create).not.toHaveBeenCalled();
+
+    scheduleRecheck.mockClear();
+    await handleBypassRecheck({ pullRequest: mergedPullRequest, installationId: 1, attempt: 1 }, { scheduleRecheck });
+
+    expect(scheduleRecheck).toHaveBeenCalledWith({ pullRequest: mergedPullRequest, installationId: 1, attempt: 2 }, 90000);
+
+    scheduleRecheck.mockClear();
+    await handleBypassRecheck({ pullRequest: mergedPullRequest, installationId: 1, attempt: 2 }, { scheduleRecheck });
+
+    expect(scheduleRecheck).not.toHaveBeenCalled();
+    expect(expectMockCalledWith(logger.info, 'completed cleanly after 3 check(s)')).toBe(true);
+    expect(mockOctokit.checks.create).toHaveBeenCalledWith(expect.objectContaining({ conclusion: 'success' }));
+    delete process.env.RECHECK_DELAYS;
+  });
+
+  test('handleBypassRecheck should fail so the queue retries it when the rule suites cannot be read', async () => {
+    process.env.GITHUB_APP_ID = 'mock-app-id';
+    process.env.GITHUB_APP_PRIVATE_KEY = 'mock-private-key';
+    process.env.RECHECK_DELAYS = '30,120';
+    createAppAuth.mockReturnValue(jest.fn().mockResolvedValue({ token: 'mock-token' }));
+    const mockOctokit = createMockOctokit();
+    mockOctokit.request.mockRejectedValue(Object.assign(new Error('Service Unavailable'), { status: 503 }));
+    Octokit.mockImplementation(() => mockOctokit);
+    const scheduleRecheck = jest.fn().mockResolvedValue();
+
+    await expect(handleBypassRecheck({ pullRequest: mergedPullRequest, installationId: 1, attempt: 2 }, { scheduleRecheck }))
+      .rejects.toThrow('Service Unavailable');
+
+    expect(scheduleRecheck).not.toHaveBeenCalled();
+    expect(findLoggerCall(logger.info, 'completed cleanly')).toBeFalsy();
+    expect(mockOctokit.checks.create).not.toHaveBeenCalled();
+    delete process.env.RECHECK_DELAYS;
+  });
+
+  test('handleBypassRecheck should report a bypass recorded after the merge webhook', async () => {
+    process.env.GITHUB_APP_ID = 'mock-app-id';
+    process.env.GITHUB_APP_PRIVATE_KEY = 'mock-private-key';
+    createAppAuth.mockReturnValue(jest.fn().mockResolvedValue({ token: 'mock-token' }));
+    const mockOctokit = createMockOctokit();
+    mockOctokit.request.mockImplementation(async (route) => {
+      if (route.endsWith('/rule-suites')) {
+        return { data: [{ id: 1, after_sha: 'abcd1234', actor_name: 'admin', result: 'bypass' }] };
+      }
+      return { data: { id: 1, rule_evaluations: [] } };
+    });
+    Octokit.mockImplementation(() => mockOctokit);
+    const scheduleRecheck = jest.fn().mockResolvedValue();
+
+    await handleBypassRecheck({ pullRequest: mergedPullRequest, installationId: 1, attempt: 1 }, { scheduleRecheck });
+
+    expect(scheduleRecheck).not.toHaveBeenCalled();
+    expect(mockOctokit.issues.createComment).toHaveBeenCalled();
+    expect(mockOctokit.checks.create).toHaveBeenCalledWith(expect.objectContaining({ conclusion: 'action_required' }));
+  });
+
+  test('handlePullRequest should record detected bypasses with the delivery ID', async () => {
+    process.env.GITHUB_APP_ID = 'mock-app-id';
+    process.env.GITHUB_APP_PRIVATE_KEY = 'mock-private-key';
+    createAppAuth.mockReturnValue(jest.fn().mockResolvedValue({ token: 'mock-token' }));
+    const mockOctokit = createMockOctokit();
+    mockOctokit.request.mockImplementation(async (route) => {
+      if (route.endsWith('/rule-suites')) {
+        return { data: [{ id: 1, after_sha: 'abcd1234', actor_name: 'admin', result: 'bypass' }] };
+      }
+      return { data: { id: 1, rule_evaluations: [] } };
+    });
+    Octokit.mockImplementation(() => mockOctokit);
+    const bypassStore = { record: jest.fn().mockImplementation(async (events) => events) };
+
+    await handlePullRequest({
+      payload: { action: 'closed', pull_request: mergedPullRequest, installation: { id: 1 } },
+      deliveryId: 'delivery-1',
+      bypassStore
+    });
+
+    expect(bypassStore.record).toHaveBeenCalledWith([expect.objectContaining({
+      id: 'repository:1',
+      repository: 'owner/repo',
+      actor: 'admin',
+      pull_request: expect.objectContaining({ number: 123 }),
+      delivery_id: 'delivery-1'
+    })]);
+  });
+
+  test('handlePullRequest should open one follow-up issue assigned to the bypassing actor', async () => {
+    process.env.GITHUB_APP_ID = 'mock-app-id';
+    process.env.GITHUB_APP_PRIVATE_KEY = 'mock-private-key';
+    createAppAuth.mockReturnValue(jest.fn().mockResolvedValue({ token: 'mock-token' }));
+    clearRepoConfigCache();
+    const mockOctokit = createMockOctokit();
+    const config = 'follow_up_issue:\n  labels: [needs-justification]\n  due_in_days: 3\n';
+    mockOctokit.repos.getContent = jest.fn().mockResolvedValue({
+      data: { content: Buffer.from(config).toString('base64'), encoding: 'base64' }
+    });
+    mockOctokit.issues.create = jest.fn().mockResolvedValue({ data: { number: 7 } });
+    mockOctokit.request.mockImplementation(async (route) => {
+      if (route.endsWith('/rule-suites')) {
+        return { data: [{ id: 1, after_sha: 'abcd1234', actor_name: 'admin', result: 'bypass' }] };
+      }
+      return { data: { id: 1, rule_evaluations: [] } };
+    });
+    Octokit.mockImplementation(() => mockOctokit);
+    const bypassStore = { record: jest.fn().mockImplementation(async (events) => events) };
+    const payload = { action: 'closed', pull_request: mergedPullRequest, installation: { id: 1 } };
+
+    await handlePullRequest({ payload, bypassStore });
+
+    expect(mockOctokit.issues.create).toHaveBeenCalledWith(expect.objectContaining({
+      owner: 'owner',
+      repo: 'repo',
+      title: 'Justify ruleset bypass on owner/repo#123',
+      labels: ['ruleset-bypass-follow-up', 'needs-justification'],
+      assignees: ['admin']
+    }));
+    const { body } = mockOctokit.issues.create.mock.calls[0][0];
+    expect(body).toContain('[owner/repo#123](https://github.com/owner/repo/pull/123)');
+    expect(body).toContain('[abcd123](https://github.com/owner/repo/commit/abcd1234)');
+    expect(body).toContain(`**Justification due:** ${new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString().substring(0, 10)}`);
+
+    expect(body).toContain('<!-- ruleset-bypass-checker:follow-up owner/repo#123 -->');
+
+    // A redelivery finds the open issue, so no second issue is opened
+    bypassStore.record.mockResolvedValue([]);
+    mockOctokit.paginate.mockImplementation(async (route) => (route === mockOctokit.issues.listForRepo ? [
+      { number: 5, pull_request: {}, body: '<!-- ruleset-bypass-checker:follow-up owner/repo#123 -->' },
+      { number: 7, body }
+    ] : []));
+    await handlePullRequest({ payload, bypassStore });
+    expect(mockOctokit.issues.create).toHaveBeenCalledTimes(1);
+    expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.issues.listForRepo, expect.objectContaining({
+      state: 'open',
+      labels: 'ruleset-bypass-follow-up'
+    }));
+    expect(findLoggerCall(logger.info, 'Follow-up issue owner/repo#7 is already open for PR #123')).toBeDefined();
+    clearRepoConfigCache();
+  });
+
+  test('handlePullRequest should open the follow-up issue on a retry after it failed', async () => {
+    process.env.GITHUB_APP_ID = 'mock-app-id';
+    process.env.GITHUB_APP_PRIVATE_KEY = 'mock-private-key';
+    createAppAuth.mockReturnValue(jest.fn().mockResolvedValue({ token: 'mock-token' }));
+    clearRepoConfigCache();
+    const mockOctokit = createMockOctokit();
+    mockOctokit.repos.getContent = jest.fn().mockResolvedValue({
+      data: { content: Buffer.from('follow_up_issue: {}\n').toString('base64'), encoding: 'base64' }
+    });
+    mockOctokit.issues.create = jest.fn()
+      .mockRejectedValueOnce(Object.assign(new Error('Server Error'), { status: 502 }))
+      .mockResolvedValueOnce({ data: { number: 7 } });
+    mockOctokit.request.mockImplementation(async (route) => {
+      if (route.endsWith('/rule-suites')) {
+        return { data: [{ id: 1, after_sha: 'abcd1234', actor_name: 'admin', result: 'bypass' }] };
+      }
+      return { data: { id: 1, rule_evaluations: [] } };
+    });
+    Octokit.mockImplementation(() => mockOctokit);
+    const bypassStore = { record: jest.fn().mockImplementation(async (events) => events) };
+    const payload = { action: 'closed', pull_request: mergedPullRequest, installation: { id: 1 } };
+
+    await expect(handlePullRequest({ payload, bypassStore })).rejects.toThrow('Server Error');
+
+    // The bypass was stored by the failed attempt, but the retry still opens the issue
+    bypassStore.record.mockResolvedValue([]);
+    await handlePullRequest({ payload, bypassStore });
+    expect(mockOctokit.issues.create).toHaveBeenCalledTimes(2);
+    clearRepoConfigCache();
+  });
+
+  test('handlePullRequest should stay silent on bypasses the policies allow', async () => {
+    process.env.GITHUB_APP_ID = 'mock-app-id';
+    process.env.GITHUB_APP_PRIVATE_KEY = 'mock-private-key';
+    createAppAuth.mockReturnValue(jest.fn().mockResolvedValue({ token: 'mock-token' }));
+    clearRepoConfigCache();
+    const mockOctokit = createMockOctokit();
+    const config = 'policies:\n  rules:\n    - name: Release automation\n      actors: [release-bot]\n      classification: allowed\n';
+    mockOctokit.repos.getContent = jest.fn().mockResolvedValue({
+      data: { content: Buffer.from(config).toString('base64'), encoding: 'base64' }
+    });
+    mockOctokit.request.mockImplementation(async (route) => {
+      if (route.endsWith('/rule-suites')) {
+        return { data: [{ id: 1, after_sha: 'abcd1234', actor_name: 'release-bot', result: 'bypass' }] };
+      }
+      return { data: { id: 1, rule_evaluations: [] } };
+    });
+    Octokit.mockImplementation(() => mockOctokit);
+    const bypassStore = { record: jest.fn().mockImplementation(async (events) => events) };
+
+    await handlePullRequest({ payload: { action: 'closed', pull_request: mergedPullRequest, installation: { id: 1 } }, bypassStore });
+
+    // The bypass is still recorded, but not commented on
+    expect(bypassStore.record).toHaveBeenCalledWith([expect.objectContaining({
+      classification: 'allowed',
+      policy: 'Release automation'
+    })]);
+    expect(mockOctokit.issues.createComment).not.toHaveBeenCalled();
+    expect(mockOctokit.checks.create).toHaveBeenCalledWith(expect.objectContaining({
+      conclusion: 'success',
+      output: expect.objectContaining({ title: 'No reportable ruleset bypasses detected' })
+    }));
+    clearRepoConfigCache();
+  });
+
+  test('handlePullRequest should rethrow failures so the webhook can be retried', async () => {
+    delete process.env.GITHUB_APP_ID;
+
+    await expect(handlePullRequest({ payload: { action: 'closed', pull_request: mergedPullRequest } }))
+      .rejects.toThrow('GitHub App ID is not set in environment variables');
+  });
+});
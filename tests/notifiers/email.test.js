@@ -0,0 +1,164 @@
+import { jest, describe, beforeEach, afterEach, test, expect } from '@jest/globals';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import process from 'node:process';
+import { createEmailNotifier, formatDigest, getDigestWindow, resetEmailState } from '../../src/notifiers/email.js';
+import logger from '../../src/utils/logger.js';
+
+const event = {
+    id: 'repository:1',
+    rule_suite_id: 1,
+    source: 'repository',
+    repository: 'acme/api',
+    actor: 'admin',
+    ref: 'refs/heads/main',
+    before_sha: '1234567abcdef',
+    after_sha: 'abcdef1234567',
+    pushed_at: '2026-10-02T10:00:00Z',
+    result: 'bypass',
+    rules: [{ ruleset_id: 42, ruleset_name: 'Main <prod>', rule_type: 'pull_request', enforcement: 'active' }],
+    pull_request: { number: 9, title: 'Ship it', url: 'https://github.com/acme/api/pull/9' }
+};
+
+/**
+ * Start a minimal SMTP server that records the messages it receives
+ * @param {Array} messages - Receives { from, to, data } for each message
+ * @returns {Promise<net.Server>} - Listening server
+ */
+async function startSmtpServer(messages) {
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let message = null;
+        let inData = false;
+
+        socket.write('220 localhost ESMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        messages.push(message);
+                        socket.write('250 OK queued\r\n');
+                    } else {
+                        message.data += `${line.startsWith('..') ? line.slice(1) : line}\n`;
+                    }
+                    continue;
+                }
+
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'EHLO' || command === 'HELO') {
+                    socket.write('250 localhost\r\n');
+                } else if (command === 'MAIL') {
+                    message = { from: line.match(/<(.*)>/)[1], to: [], data: '' };
+                    socket.write('250 OK\r\n');
+                } else if (command === 'RCPT') {
+                    message.to.push(line.match(/<(.*)>/)[1]);
+                    socket.write('250 OK\r\n');
+                } else if (command === 'DATA') {
+                    inData = true;
+                    socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+                } else if (command === 'QUIT') {
+                    socket.end('221 Bye\r\n');
+                } else {
+                    socket.write('250 OK\r\n');
+                }
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return server;
+}
+
+describe('Email digest notifier', () => {
+    let server;
+    let messages;
+    let tempDir;
+
+    beforeEach(async () => {
+        logger.info = jest.fn();
+        logger.warn = jest.fn();
+        logger.error = jest.fn();
+
+        messages = [];
+        server = await startSmtpServer(messages);
+        tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'digests-'));
+        process.env.SMTP_URL = `smtp://127.0.0.1:${server.address().port}`;
+        process.env.EMAIL_FROM = 'bypass-checker@acme.example';
+        process.env.DIGEST_FILE = path.join(tempDir, 'digests.json');
+        resetEmailState();
+    });
+
+    afterEach(async () => {
+        resetEmailState();
+        await new Promise(resolve => server.close(resolve));
+        await fs.promises.rm(tempDir, { recursive: true, force: true });
+        delete process.env.SMTP_URL;
+        delete process.env.EMAIL_FROM;
+        delete process.env.DIGEST_FILE;
+    });
+
+    test('getDigestWindow should align windows to UTC hours and days', () => {
+        const date = new Date('2026-10-02T10:17:45Z');
+
+        expect(getDigestWindow(date, 'hourly')).toEqual({ start: '2026-10-02T10:00:00.000Z', end: '2026-10-02T11:00:00.000Z' });
+        expect(getDigestWindow(date, 'daily')).toEqual({ start: '2026-10-02T00:00:00.000Z', end: '2026-10-03T00:00:00.000Z' });
+    });
+
+    test('formatDigest should list the comment fields in plain text and escaped HTML', () => {
+        const digest = formatDigest('acme', [event], getDigestWindow(new Date('2026-10-02T10:00:00Z'), 'daily'));
+
+        expect(digest.subject).toBe('[acme] 1 ruleset bypass (2026-10-02 00:00 UTC to 2026-10-03 00:00 UTC)');
+        expect(digest.text).toContain('acme/api #9 (https://github.com/acme/api/pull/9)');
+        expect(digest.text).toContain('- Commit: abcdef1 (from 1234567)\n- Actor: admin\n- Status: bypass\n- Time: 2026-10-02T10:00:00Z');
+        expect(digest.text).toContain('  - Main <prod> (enforcement: active)\n    - Required pull request reviews');
+        expect(digest.html).toContain('<strong>Main &lt;prod&gt;</strong>');
+        expect(digest.html).toContain('<a href="https://github.com/acme/api/pull/9">#9</a>');
+        expect(digest.html).not.toContain('<prod>');
+    });
+
+    test('should batch bypasses per owner and send the digest once its window has ended', async () => {
+        const notifier = createEmailNotifier({ name: 'security', to: ['security@acme.example'], schedule: 'hourly' });
+        await notifier.send(event);
+        await notifier.send({ ...event, id: 'repository:2', repository: 'acme/web' });
+        await notifier.send({ ...event, id: 'repository:3', repository: 'other/api' });
+        // Redelivered events are only listed once
+        await notifier.send(event);
+
+        expect(await notifier.flush(new Date())).toBe(0);
+        expect(messages).toHaveLength(0);
+
+        expect(await notifier.flush(new Date(Date.now() + 60 * 60 * 1000))).toBe(2);
+        expect(messages).toHaveLength(2);
+        const acme = messages.find(message => message.data.includes('[acme]'));
+        expect(acme.from).toBe('bypass-checker@acme.example');
+        expect(acme.to).toEqual(['security@acme.example']);
+        expect(acme.data).toContain('2 ruleset bypasses');
+        expect(acme.data).toContain('text/plain');
+        expect(acme.data).toContain('text/html');
+
+        expect(JSON.parse(await fs.promises.readFile(process.env.DIGEST_FILE, 'utf8'))).toEqual([]);
+    });
+
+    test('should keep pending digests across restarts and retry failed sends', async () => {
+        await createEmailNotifier({ name: 'security', to: ['security@acme.example'] }).send(event);
+        resetEmailState();
+
+        const later = new Date(Date.now() + 24 * 60 * 60 * 1000);
+        process.env.SMTP_URL = 'smtp://127.0.0.1:1';
+        const notifier = createEmailNotifier({ name: 'security', to: ['security@acme.example'] });
+        expect(await notifier.flush(later)).toBe(0);
+        expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('will retry'));
+
+        resetEmailState();
+        process.env.SMTP_URL = `smtp://127.0.0.1:${server.address().port}`;
+        expect(await notifier.flush(later)).toBe(1);
+        expect(messages).toHaveLength(1);
+    });
+});
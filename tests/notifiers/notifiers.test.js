@@ -0,0 +1,105 @@
+import { jest, describe, beforeEach, afterEach, test, expect } from '@jest/globals';
+import crypto from 'crypto';
+import http from 'http';
+import { formatSlackMessage } from '../../src/notifiers/slack.js';
+import { formatTeamsMessage } from '../../src/notifiers/teams.js';
+import { createWebhookNotifier } from '../../src/notifiers/webhook.js';
+import { postJson } from '../../src/notifiers/http.js';
+import { routeBypass } from '../../src/notifiers/index.js';
+import logger from '../../src/utils/logger.js';
+
+const event = {
+    id: 'repository:1',
+    rule_suite_id: 1,
+    source: 'repository',
+    repository: 'acme/api',
+    actor: 'admin',
+    ref: 'refs/heads/main',
+    after_sha: 'abcdef1234567',
+    pushed_at: '2026-10-02T10:00:00Z',
+    rules: [{ ruleset_id: 42, ruleset_name: 'Main', rule_type: 'pull_request', enforcement: 'active' }],
+    pull_request: { number: 9, title: 'Ship it', url: 'https://github.com/acme/api/pull/9' }
+};
+
+describe('Notifiers', () => {
+    let server;
+    let requests;
+    let responses;
+    let url;
+
+    beforeEach(async () => {
+        logger.info = jest.fn();
+        logger.warn = jest.fn();
+        logger.error = jest.fn();
+
+        // Local endpoint that records requests and answers with the queued status codes
+        requests = [];
+        responses = [];
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                requests.push({ headers: req.headers, body });
+                res.statusCode = responses.shift() || 200;
+                res.end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}/hook`;
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('formatSlackMessage should describe the bypass with links to the commit and pull request', () => {
+        const message = formatSlackMessage(event);
+
+        expect(message.text).toBe(':rotating_light: Ruleset bypass on acme/api@main by admin');
+        expect(JSON.stringify(message.blocks)).toContain('<https://github.com/acme/api/commit/abcdef1234567|abcdef1>');
+        expect(JSON.stringify(message.blocks)).toContain('<https://github.com/acme/api/pull/9|#9 Ship it>');
+        expect(message.blocks[2].text.text).toBe('*Bypassed rules:*\n• Main: Required pull request reviews');
+    });
+
+    test('formatTeamsMessage should build a message card with facts and links', () => {
+        const card = formatTeamsMessage(event);
+
+        expect(card['@type']).toBe('MessageCard');
+        expect(card.sections[0].facts).toContainEqual({ name: 'Actor', value: 'admin' });
+        expect(card.potentialAction.map(action => action.name)).toEqual(['View pull request', 'View commit']);
+    });
+
+    test('webhook notifier should sign the JSON body with the shared secret', async () => {
+        await createWebhookNotifier({ name: 'siem', url, secret: 'shh' }).send(event);
+
+        const [{ headers, body }] = requests;
+        const expected = `sha256=${crypto.createHmac('sha256', 'shh').update(body).digest('hex')}`;
+        expect(headers['x-bypass-checker-signature-256']).toBe(expected);
+        expect(JSON.parse(body)).toEqual(expect.objectContaining({ event: 'ruleset_bypass', bypass: event }));
+    });
+
+    test('postJson should retry server errors and give up on client errors', async () => {
+        responses = [503, 200];
+        await postJson(url, '{}', { baseDelayMs: 1 });
+        expect(requests).toHaveLength(2);
+
+        responses = [400];
+        await expect(postJson(url, '{}', { baseDelayMs: 1 })).rejects.toThrow('400');
+        expect(requests).toHaveLength(3);
+    });
+
+    test('routeBypass should route by sink filters and repository configuration', () => {
+        const sinks = [
+            { name: 'security', type: 'slack', repositories: ['acme/*'], rulesets: [] },
+            { name: 'release', type: 'teams', repositories: ['*'], rulesets: ['Release'] },
+            { name: 'team-api', type: 'slack', repositories: [], rulesets: [] },
+            { name: 'siem', type: 'webhook', repositories: [], rulesets: [] }
+        ];
+        const routes = [
+            { type: 'slack', sink: 'team-api', rulesets: [42] },
+            { type: 'webhook', sink: 'siem', rulesets: ['Other'] }
+        ];
+
+        expect(routeBypass(event, sinks, routes).map(sink => sink.name)).toEqual(['security', 'team-api']);
+    });
+});
@@ -0,0 +1,134 @@
+import { createJobQueue } from '../../src/queue/jobQueue.js';
+import { jest, describe, beforeEach, afterEach, test, expect } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Poll until a condition holds, failing the test if it never does
+async function waitFor(condition, timeoutMs = 2000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeoutMs) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+describe('Job Queue', () => {
+    let directory;
+    let queue;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+    });
+
+    afterEach(() => {
+        queue?.stop();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('enqueue should run the handler and remove the job when it succeeds', async () => {
+        const handler = jest.fn().mockResolvedValue();
+        queue = createJobQueue({ directory, handler });
+        await queue.start();
+        
+        await queue.enqueue({ event: 'pull_request' });
+        await waitFor(() => queue.list().length === 0);
+        
+        expect(handler).toHaveBeenCalledWith({ event: 'pull_request' });
+        expect(fs.readdirSync(directory)).toEqual([]);
+    });
+
+    test('a job whose file cannot be removed after it succeeds should not be retried', async () => {
+        const handler = jest.fn().mockResolvedValue();
+        const rm = jest.spyOn(fs.promises, 'rm').mockRejectedValueOnce(new Error('EBUSY'));
+        queue = createJobQueue({ directory, handler, baseDelayMs: 1 });
+        await queue.start();
+        
+        await queue.enqueue({ event: 'pull_request' });
+        await waitFor(() => queue.list().length === 0);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        rm.mockRestore();
+        
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(queue.stats()).toEqual({ pending: 0, running: 0, dead: 0 });
+    });
+
+    test('failed jobs should be retried and then dead-lettered after maxAttempts', async () => {
+        const handler = jest.fn().mockRejectedValue(new Error('API unavailable'));
+        queue = createJobQueue({ directory, handler, maxAttempts: 3, baseDelayMs: 1 });
+        await queue.start();
+        
+        const job = await queue.enqueue({ event: 'pull_request' });
+        await waitFor(() => queue.get(job.id)?.status === 'dead');
+        
+        expect(handler).toHaveBeenCalledTimes(3);
+        expect(queue.get(job.id)).toEqual(expect.objectContaining({
+            attempts: 3,
+            lastError: 'API unavailable'
+        }));
+        expect(queue.stats()).toEqual({ pending: 0, running: 0, dead: 1 });
+    });
+
+    test('retry should re-queue a dead-lettered job', async () => {
+        const handler = jest.fn()
+            .mockRejectedValueOnce(new Error('API unavailable'))
+            .mockResolvedValue();
+        queue = createJobQueue({ directory, handler, maxAttempts: 1 });
+        await queue.start();
+        
+        const job = await queue.enqueue({ event: 'pull_request' });
+        await waitFor(() => queue.get(job.id)?.status === 'dead');
+        await queue.retry(job.id);
+        await waitFor(() => queue.get(job.id) === null);
+        
+        expect(handler).toHaveBeenCalledTimes(2);
+    });
+
+    test('start should resume jobs persisted by a previous process', async () => {
+        const stalled = createJobQueue({ directory, handler: () => new Promise(() => {}) });
+        await stalled.start();
+        await stalled.enqueue({ event: 'pull_request' });
+        stalled.stop();
+        
+        const handler = jest.fn().mockResolvedValue();
+        queue = createJobQueue({ directory, handler });
+        await queue.start();
+        await waitFor(() => queue.list().length === 0);
+        
+        expect(handler).toHaveBeenCalledWith({ event: 'pull_request' });
+    });
+
+    test('enqueue should hold a delayed job until it is due', async () => {
+        const handler = jest.fn().mockResolvedValue();
+        queue = createJobQueue({ directory, handler });
+        await queue.start();
+        
+        const job = await queue.enqueue({ type: 'bypass-recheck' }, { delayMs: 50 });
+        
+        expect(queue.get(job.id).status).toBe('pending');
+        expect(handler).not.toHaveBeenCalled();
+        await waitFor(() => queue.list().length === 0);
+        expect(handler).toHaveBeenCalledWith({ type: 'bypass-recheck' });
+    });
+
+    test('concurrency should limit how many jobs run at once', async () => {
+        let active = 0;
+        let maxActive = 0;
+        const handler = jest.fn().mockImplementation(async () => {
+            active++;
+            maxActive = Math.max(maxActive, active);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            active--;
+        });
+        queue = createJobQueue({ directory, handler, concurrency: 2 });
+        await queue.start();
+        
+        await Promise.all([1, 2, 3, 4, 5].map(number => queue.enqueue({ number })));
+        await waitFor(() => queue.list().length === 0);
+        
+        expect(handler).toHaveBeenCalledTimes(5);
+        expect(maxActive).toBe(2);
+    });
+});
@@ -0,0 +1,124 @@
+import { jest, describe, beforeEach, test, expect } from '@jest/globals';
+import { collectBypassRecords, formatBypassReport, generateBypassReport, getReportWindowError } from '../../src/reports/bypassReport.js';
+import logger from '../../src/utils/logger.js';
+
+const pushedAt = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+
+const record = {
+  timestamp: pushedAt,
+  repository: 'acme/api',
+  pull_request: 9,
+  pull_request_url: 'https://github.com/acme/api/pull/9',
+  actor: 'admin',
+  sha: 'merge123',
+  ref: 'refs/heads/main',
+  rule_suite_id: 1,
+  ruleset_id: 42,
+  ruleset_name: 'Main, protected',
+  rule_type: 'pull_request',
+  rule: 'Required pull request reviews',
+  enforcement: 'active'
+};
+
+describe('Bypass Report', () => {
+  beforeEach(() => {
+    logger.info = jest.fn();
+    logger.error = jest.fn();
+  });
+
+  test('collectBypassRecords should list each bypassed rule with its pull request', async () => {
+    const octokit = {
+      paginate: jest.fn().mockResolvedValue([{ full_name: 'acme/api', owner: { login: 'acme' } }]),
+      request: jest.fn().mockImplementation(async (route) => {
+        if (route.endsWith('/rule-suites')) {
+          return { data: [{ id: 1, after_sha: 'merge123', ref: 'refs/heads/main', actor_name: 'admin', pushed_at: pushedAt }] };
+        }
+        return {
+          data: {
+            rule_evaluations: [
+              { rule_type: 'pull_request', result: 'fail', enforcement: 'active', rule_source: { id: 42, name: 'Main, protected' } },
+              { rule_type: 'deletion', result: 'pass', enforcement: 'active', rule_source: { id: 42, name: 'Main, protected' } }
+            ]
+          }
+        };
+      }),
+      repos: {
+        listPullRequestsAssociatedWithCommit: jest.fn().mockResolvedValue({
+          data: [{ number: 9, html_url: 'https://github.com/acme/api/pull/9', merged_at: pushedAt, merge_commit_sha: 'merge123' }]
+        })
+      }
+    };
+
+    const records = await collectBypassRecords(octokit, 'acme', new Date(Date.now() - 7 * 24 * 60 * 60 * 1000), new Date());
+
+    expect(records).toEqual([record]);
+  });
+
+  test('collectBypassRecords should fail when rule suites cannot be listed', async () => {
+    const octokit = {
+      paginate: jest.fn().mockResolvedValue([{ full_name: 'acme/api', owner: { login: 'acme' } }]),
+      request: jest.fn().mockRejectedValue(new Error('Service Unavailable'))
+    };
+
+    await expect(collectBypassRecords(octokit, 'acme', new Date(Date.now() - 7 * 24 * 60 * 60 * 1000), new Date()))
+      .rejects.toThrow('Service Unavailable');
+  });
+
+  test('collectBypassRecords should refuse installations with more repositories than maxRepositories', async () => {
+    const octokit = {
+      paginate: jest.fn().mockResolvedValue([
+        { full_name: 'acme/api', owner: { login: 'acme' } },
+        { full_name: 'acme/web', owner: { login: 'acme' } }
+      ]),
+      request: jest.fn()
+    };
+
+    await expect(collectBypassRecords(octokit, 'acme', new Date(Date.now() - 7 * 24 * 60 * 60 * 1000), new Date(), { maxRepositories: 1 }))
+      .rejects.toMatchObject({ code: 'REPORT_TOO_LARGE' });
+    expect(octokit.request).not.toHaveBeenCalled();
+  });
+
+  test('getReportWindowError should reject windows starting before the rule suite history', () => {
+    expect(getReportWindowError(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000))).toBeNull();
+    expect(getReportWindowError(new Date(Date.now() - 60 * 24 * 60 * 60 * 1000)))
+      .toMatch(/^Rule suites are only available for the last month/);
+  });
+
+  test('generateBypassReport should fail for windows older than the rule suite history', async () => {
+    await expect(generateBypassReport({ owner: 'acme', installationId: 1, since: new Date('2020-01-01') }))
+      .rejects.toThrow('Rule suites are only available for the last month');
+  });
+
+  test('formatBypassReport should write CSV with quoted fields and neutralized formulas', () => {
+    const csv = formatBypassReport([{ ...record, actor: '=HYPERLINK("x")' }], 'csv');
+    const [header, row] = csv.trim().split('\r\n');
+
+    expect(header).toBe('timestamp,repository,pull_request,pull_request_url,actor,sha,ref,rule_suite_id,ruleset_id,ruleset_name,rule_type,rule,enforcement');
+    expect(row).toContain('"\'=HYPERLINK(""x"")"');
+    expect(row).toContain('"Main, protected"');
+  });
+
+  test('formatBypassReport should write one JSON object per line as NDJSON', () => {
+    const lines = formatBypassReport([record, record], 'ndjson').trim().split('\n');
+
+    expect(lines).toHaveLength(2);
+    expect(JSON.parse(lines[0])).toEqual(record);
+  });
+
+  test('formatBypassReport should write a SARIF log with a result per bypassed rule', () => {
+    const sarif = JSON.parse(formatBypassReport([record], 'sarif'));
+
+    expect(sarif.version).toBe('2.1.0');
+    expect(sarif.runs[0].tool.driver.rules).toEqual([expect.objectContaining({ id: 'pull_request' })]);
+    expect(sarif.runs[0].results[0]).toEqual(expect.objectContaining({
+      ruleId: 'pull_request',
+      message: {
+        text: 'Required pull request reviews in Main, protected was bypassed by admin on acme/api@merge123 (pull request #9)'
+      }
+    }));
+  });
+
+  test('formatBypassReport should reject unknown formats', () => {
+    expect(() => formatBypassReport([], 'xml')).toThrow('Unknown report format: xml');
+  });
+});
@@ -0,0 +1,145 @@
+import { createBypassEventStore, recordBypasses, recordReview, toBypassEvents } from '../../src/stores/bypassEvents.js';
+import { jest, describe, beforeEach, afterEach, test, expect } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import logger from '../../src/utils/logger.js';
+
+const pullRequest = {
+    number: 9,
+    title: 'Ship it',
+    html_url: 'https://github.com/acme/api/pull/9',
+    user: { login: 'dev' },
+    merged_by: { login: 'admin' },
+    merged_at: '2026-10-02T10:00:00Z',
+    base: { ref: 'main' }
+};
+
+function ruleSuite(id, actor, pushedAt, ruleType = 'pull_request') {
+    return {
+        id,
+        actor_name: actor,
+        ref: 'refs/heads/main',
+        after_sha: `sha${id}`,
+        pushed_at: pushedAt,
+        result: 'bypass',
+        rule_evaluations: [
+            { rule_type: ruleType, result: 'fail', enforcement: 'active', rule_source: { id: 42, name: 'Main' } }
+        ]
+    };
+}
+
+describe('Bypass Event Store', () => {
+    let filePath;
+
+    beforeEach(() => {
+        filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bypasses-')), 'bypasses.ndjson');
+    });
+
+    afterEach(() => {
+        fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+    });
+
+    test('toBypassEvents should normalize rule suites with pull request metadata and delivery ID', () => {
+        const [event] = toBypassEvents([ruleSuite(1, 'admin', '2026-10-02T10:00:00Z')], {
+            repository: 'acme/api',
+            source: 'repository',
+            trigger: 'pull_request',
+            pullRequest,
+            deliveryId: 'delivery-1'
+        });
+
+        expect(event).toEqual(expect.objectContaining({
+            id: 'repository:1',
+            repository: 'acme/api',
+            actor: 'admin',
+            after_sha: 'sha1',
+            rules: [{ ruleset_id: 42, ruleset_name: 'Main', rule_type: 'pull_request', enforcement: 'active' }],
+            pull_request: expect.objectContaining({ number: 9, author: 'dev', merged_by: 'admin', base_ref: 'main' }),
+            trigger: 'pull_request',
+            delivery_id: 'delivery-1'
+        }));
+    });
+
+    test('record should store each rule suite once and persist it across restarts', async () => {
+        const context = { repository: 'acme/api', source: 'repository', trigger: 'pull_request' };
+        const store = createBypassEventStore({ filePath });
+
+        expect(await store.record(toBypassEvents([ruleSuite(1, 'admin', '2026-10-02T10:00:00Z')], context))).toHaveLength(1);
+        expect(await store.record(toBypassEvents([ruleSuite(1, 'admin', '2026-10-02T10:00:00Z')], context))).toEqual([]);
+        await store.close();
+
+        const reopened = createBypassEventStore({ filePath });
+        expect(reopened.size()).toBe(1);
+        expect(fs.readFileSync(filePath, 'utf8').trim().split('\n')).toHaveLength(1);
+    });
+
+    test('recordBypasses should only return events a store saw for the first time', async () => {
+        logger.debug = jest.fn();
+        logger.info = jest.fn();
+        logger.error = jest.fn();
+        const context = { repository: 'acme/api', source: 'repository', trigger: 'pull_request' };
+        const ruleSuites = [ruleSuite(1, 'admin', '2026-10-02T10:00:00Z')];
+        const store = createBypassEventStore({ filePath });
+
+        expect(await recordBypasses(store, ruleSuites, context)).toHaveLength(1);
+        expect(await recordBypasses(store, ruleSuites, context)).toEqual([]);
+        // Without a store nothing is known to be new, so nothing is followed up twice
+        expect(await recordBypasses(undefined, ruleSuites, context)).toEqual([]);
+        // A failing store must not drop notifications, so every event counts as new
+        expect(await recordBypasses({ record: jest.fn().mockRejectedValue(new Error('disk full')) }, ruleSuites, context))
+            .toEqual([expect.objectContaining({ id: 'repository:1' })]);
+        await store.close();
+    });
+
+    test('recordReview should attach the review to the stored events and persist it across restarts', async () => {
+        logger.debug = jest.fn();
+        logger.info = jest.fn();
+        logger.error = jest.fn();
+        const store = createBypassEventStore({ filePath });
+        await store.record(toBypassEvents([ruleSuite(1, 'admin', '2026-10-02T10:00:00Z')], {
+            repository: 'acme/api',
+            source: 'repository',
+            trigger: 'pull_request'
+        }));
+        const review = { status: 'justified', justification: { actor: 'admin', reason: 'CI was down' } };
+
+        // Rule suites the store never saw are skipped
+        const reviewed = await recordReview(store, { repo: [{ id: 1 }, { id: 2 }], org: [], review }, 'acme/api');
+        expect(reviewed).toEqual([expect.objectContaining({ id: 'repository:1', review })]);
+        expect(await recordReview(undefined, { repo: [{ id: 1 }], org: [], review }, 'acme/api')).toEqual([]);
+        expect(await recordReview({ review: jest.fn().mockRejectedValue(new Error('disk full')) }, { repo: [{ id: 1 }], org: [], review }, 'acme/api'))
+            .toEqual([]);
+        await store.close();
+
+        const reopened = createBypassEventStore({ filePath });
+        expect(reopened.size()).toBe(1);
+        expect(reopened.query().bypasses[0].review).toEqual(review);
+    });
+
+    test('query and stats should filter by repository, actor, ref and time window', async () => {
+        const store = createBypassEventStore({ filePath });
+        await store.record(toBypassEvents([
+            ruleSuite(1, 'admin', '2026-09-20T10:00:00Z'),
+            ruleSuite(2, 'admin', '2026-10-02T10:00:00Z', 'required_status_checks'),
+            ruleSuite(3, 'octocat', '2026-10-03T10:00:00Z')
+        ], { repository: 'acme/api', source: 'repository', trigger: 'pull_request' }));
+        await store.record(toBypassEvents([ruleSuite(4, 'admin', '2026-10-04T10:00:00Z')], {
+            repository: 'acme/web', source: 'organization', trigger: 'pull_request'
+        }));
+
+        const result = store.query({ repo: 'api', actor: 'ADMIN', ref: 'main', since: new Date('2026-10-01') });
+        expect(result.total).toBe(1);
+        expect(result.bypasses[0].rule_suite_id).toBe(2);
+
+        expect(store.query({ limit: 2 }).bypasses.map(event => event.rule_suite_id)).toEqual([4, 3]);
+        expect(store.stats('actor', { since: new Date('2026-10-01') })).toEqual({
+            total: 3,
+            groups: [{ actor: 'admin', count: 2 }, { actor: 'octocat', count: 1 }]
+        });
+        expect(store.stats('rule_type', { repo: 'acme/api' }).groups).toEqual([
+            { rule_type: 'pull_request', count: 2 },
+            { rule_type: 'required_status_checks', count: 1 }
+        ]);
+    });
+});
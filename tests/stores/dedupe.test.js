@@ -0,0 +1,100 @@
+import { createMemoryDedupeStore } from '../../src/stores/dedupe/memory.js';
+import { createFileDedupeStore } from '../../src/stores/dedupe/file.js';
+import { createRedisDedupeStore } from '../../src/stores/dedupe/redis.js';
+import { jest, describe, beforeEach, afterEach, test, expect } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+describe('Dedupe Stores', () => {
+    describe('memory store', () => {
+        test('checkAndMark should only accept a delivery ID once', async () => {
+            const store = createMemoryDedupeStore({ ttlSeconds: 60 });
+            
+            expect(await store.checkAndMark('delivery-1')).toBe(true);
+            expect(await store.checkAndMark('delivery-1')).toBe(false);
+            expect(await store.checkAndMark('delivery-2')).toBe(true);
+            expect(await store.size()).toBe(2);
+        });
+
+        test('checkAndMark should accept a delivery ID again once it expires', async () => {
+            const store = createMemoryDedupeStore({ ttlSeconds: 60 });
+            const now = Date.now();
+            const dateSpy = jest.spyOn(Date, 'now').mockReturnValue(now);
+            
+            await store.checkAndMark('delivery-1');
+            dateSpy.mockReturnValue(now + 61 * 1000);
+            
+            expect(await store.checkAndMark('delivery-1')).toBe(true);
+            dateSpy.mockRestore();
+        });
+
+        test('checkAndMark should evict the oldest entries beyond maxEntries', async () => {
+            const store = createMemoryDedupeStore({ ttlSeconds: 60, maxEntries: 2 });
+            
+            await store.checkAndMark('delivery-1');
+            await store.checkAndMark('delivery-2');
+            await store.checkAndMark('delivery-3');
+            
+            expect(await store.size()).toBe(2);
+            expect(await store.checkAndMark('delivery-1')).toBe(true);
+        });
+    });
+
+    describe('file store', () => {
+        let tempDir;
+
+        beforeEach(() => {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dedupe-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+
+        test('checkAndMark should remember delivery IDs across restarts', async () => {
+            const filePath = path.join(tempDir, 'nested', 'deliveries.json');
+            const store = createFileDedupeStore({ ttlSeconds: 60, filePath });
+            
+            expect(await store.checkAndMark('delivery-1')).toBe(true);
+            await store.close();
+            
+            const restarted = createFileDedupeStore({ ttlSeconds: 60, filePath });
+            expect(await restarted.checkAndMark('delivery-1')).toBe(false);
+            expect(await restarted.checkAndMark('delivery-2')).toBe(true);
+            await restarted.close();
+        });
+
+        test('remove should forget a delivery ID', async () => {
+            const filePath = path.join(tempDir, 'deliveries.json');
+            const store = createFileDedupeStore({ ttlSeconds: 60, filePath });
+            
+            await store.checkAndMark('delivery-1');
+            await store.remove('delivery-1');
+            
+            expect(await store.checkAndMark('delivery-1')).toBe(true);
+            await store.close();
+        });
+    });
+
+    describe('redis store', () => {
+        test('checkAndMark should use an atomic SET NX with the TTL', async () => {
+            const client = {
+                set: jest.fn()
+                    .mockResolvedValueOnce('OK')
+                    .mockResolvedValueOnce(null),
+                del: jest.fn(),
+                quit: jest.fn()
+            };
+            const store = await createRedisDedupeStore({ ttlSeconds: 120, client });
+            
+            expect(await store.checkAndMark('delivery-1')).toBe(true);
+            expect(await store.checkAndMark('delivery-1')).toBe(false);
+            expect(client.set).toHaveBeenCalledWith(
+                'bypass-checker:delivery:delivery-1',
+                expect.any(String),
+                { NX: true, EX: 120 }
+            );
+        });
+    });
+});
@@ -0,0 +1,83 @@
+import { createWebhookArchive } from '../../src/stores/webhookArchive.js';
+import { jest, describe, beforeEach, afterEach, test, expect } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import logger from '../../src/utils/logger.js';
+
+function delivery(deliveryId, receivedAt) {
+    return {
+        deliveryId,
+        headers: {
+            'x-github-event': 'pull_request',
+            'x-github-delivery': deliveryId,
+            'x-hub-signature-256': 'sha256=abc',
+            'content-type': 'application/json',
+            'authorization': 'Bearer secret',
+            'cookie': 'session=1'
+        },
+        payload: { action: 'closed', repository: { full_name: 'acme/api' } },
+        receivedAt: new Date(receivedAt)
+    };
+}
+
+describe('Webhook Archive', () => {
+    let directory;
+    let archive;
+
+    beforeEach(() => {
+        logger.debug = jest.fn();
+        logger.warn = jest.fn();
+        directory = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-')), 'archive');
+        archive = createWebhookArchive({ directory });
+    });
+
+    afterEach(() => {
+        fs.rmSync(path.dirname(directory), { recursive: true, force: true });
+    });
+
+    test('save should keep the payload and only the GitHub headers', async () => {
+        await archive.save(delivery('delivery-1', '2026-10-01T12:00:00Z'));
+
+        expect(await archive.get('delivery-1')).toEqual({
+            deliveryId: 'delivery-1',
+            event: 'pull_request',
+            action: 'closed',
+            receivedAt: '2026-10-01T12:00:00.000Z',
+            signature: 'sha256=abc',
+            headers: {
+                'x-github-event': 'pull_request',
+                'x-github-delivery': 'delivery-1',
+                'x-hub-signature-256': 'sha256=abc',
+                'content-type': 'application/json'
+            },
+            payload: { action: 'closed', repository: { full_name: 'acme/api' } }
+        });
+        expect(fs.readdirSync(directory)).toEqual(['delivery-1.json']);
+    });
+
+    test('delivery IDs that are not GUIDs should be rejected', async () => {
+        await expect(archive.save(delivery('../escape', '2026-10-01T12:00:00Z'))).rejects.toThrow('Cannot archive a delivery with ID "../escape"');
+
+        expect(await archive.get('../escape')).toBeNull();
+        expect(await archive.get('missing')).toBeNull();
+    });
+
+    test('list should return the deliveries of a time window, oldest first', async () => {
+        expect(await archive.list()).toEqual([]);
+
+        await archive.save(delivery('delivery-3', '2026-10-03T12:00:00Z'));
+        await archive.save(delivery('delivery-1', '2026-10-01T12:00:00Z'));
+        await archive.save(delivery('delivery-2', '2026-10-02T12:00:00Z'));
+        fs.writeFileSync(path.join(directory, 'broken.json'), '{');
+
+        const ids = deliveries => deliveries.map(entry => entry.deliveryId);
+        expect(ids(await archive.list())).toEqual(['delivery-1', 'delivery-2', 'delivery-3']);
+        expect(ids(await archive.list({ since: new Date('2026-10-02T00:00:00Z') }))).toEqual(['delivery-2', 'delivery-3']);
+        expect(ids(await archive.list({
+            since: new Date('2026-10-01T12:00:00Z'),
+            until: new Date('2026-10-02T12:00:00Z')
+        }))).toEqual(['delivery-1', 'delivery-2']);
+        expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('broken.json'));
+    });
+});
@@ -0,0 +1,53 @@
+import { formatRuleSuites } from '../../src/utils/format.js';
+import { describe, test, expect } from '@jest/globals';
+
+describe('Format Utility Functions', () => {
+    test('formatRuleSuites should return an empty string without rule suites', () => {
+        expect(formatRuleSuites([])).toBe('');
+        expect(formatRuleSuites(null)).toBe('');
+    });
+
+    test('formatRuleSuites should list the bypassed rules of each ruleset', () => {
+        const result = formatRuleSuites([{
+            after_sha: 'abc1234def',
+            before_sha: '0000000aaa',
+            actor_name: 'octocat',
+            result: 'bypass',
+            rule_evaluations: [
+                { rule_source: { type: 'ruleset', id: 10, name: 'Main protection' }, enforcement: 'active', result: 'fail', rule_type: 'pull_request' },
+                { rule_source: { type: 'ruleset', id: 10, name: 'Main protection' }, enforcement: 'active', result: 'fail', rule_type: 'required_signatures' },
+                { rule_source: { type: 'ruleset', id: 11, name: 'CI' }, enforcement: 'active', result: 'pass', rule_type: 'required_status_checks' }
+            ]
+        }], { owner: 'testOwner', repo: 'testRepo' });
+        
+        expect(result).toContain('- **Actor:** octocat');
+        expect(result).toContain('[Main protection](https://github.com/testOwner/testRepo/rules/10) _(enforcement: active)_');
+        expect(result).toContain('    - Required pull request reviews');
+        expect(result).toContain('    - Signed commits');
+        expect(result).not.toContain('CI');
+    });
+
+    test('formatRuleSuites should link organization rulesets to the organization settings', () => {
+        const result = formatRuleSuites([{
+            after_sha: 'abc1234def',
+            rule_evaluations: [
+                { rule_source: { type: 'ruleset', id: 20, name: 'Org baseline' }, enforcement: 'evaluate', result: 'fail', rule_type: 'required_status_checks' }
+            ]
+        }], { owner: 'testOrg' });
+        
+        expect(result).toContain('[Org baseline](https://github.com/organizations/testOrg/settings/rules/20) _(enforcement: evaluate)_');
+        expect(result).toContain('    - Required status checks');
+    });
+
+    test('formatRuleSuites should not list rules that were not bypassed', () => {
+        const result = formatRuleSuites([{
+            after_sha: 'abc1234def',
+            rule_evaluations: [
+                { rule_source: { type: 'ruleset', id: 11, name: 'CI' }, enforcement: 'active', result: 'pass', rule_type: 'required_status_checks' }
+            ]
+        }], { owner: 'testOwner', repo: 'testRepo' });
+        
+        expect(result).not.toContain('Bypassed Rules');
+        expect(result).not.toContain('CI');
+    });
+});
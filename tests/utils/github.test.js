@@ -1,5 +1,7 @@
-import { fetchPullRequestDetails, postComment } from '../../src/utils/github.js';
+import { fetchPullRequestDetails, postComment, createOctokitClient, checkRepoBypassedRuleSuites, checkOrgBypassedRuleSuites, addRuleSuiteDetails } from '../../src/utils/github.js';
+import { createAppAuth } from '@octokit/auth-app';
 import { jest, describe, beforeEach, test, expect } from '@jest/globals';
+import process from 'node:process';
 
 describe('GitHub Utility Functions', () => {
     beforeEach(() => {
@@ -39,4 +41,152 @@ describe('GitHub Utility Functions', () => {
             body: 'Test comment'
         });
     });
-});
\ No newline at end of file
+
+    test('createOctokitClient should use the installation ID it is given', async () => {
+        process.env.GITHUB_APP_ID = 'mock-app-id';
+        process.env.GITHUB_APP_PRIVATE_KEY = 'mock-private-key';
+        const mockAuth = jest.fn().mockResolvedValue({
+            token: 'installation-token',
+            expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+        });
+        createAppAuth.mockReturnValue(mockAuth);
+        
+        await createOctokitClient(1001);
+        
+        expect(mockAuth).toHaveBeenCalledWith({ type: 'installation', installationId: 1001 });
+    });
+
+    test('createOctokitClient should reuse a cached token for the same installation', async () => {
+        process.env.GITHUB_APP_ID = 'mock-app-id';
+        process.env.GITHUB_APP_PRIVATE_KEY = 'mock-private-key';
+        const mockAuth = jest.fn().mockResolvedValue({
+            token: 'installation-token',
+            expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+        });
+        createAppAuth.mockReturnValue(mockAuth);
+        
+        await createOctokitClient(2001);
+        await createOctokitClient(2001);
+        await createOctokitClient(2002);
+        
+        expect(mockAuth).toHaveBeenCalledTimes(2);
+    });
+
+    test('createOctokitClient should refresh a token that is about to expire', async () => {
+        process.env.GITHUB_APP_ID = 'mock-app-id';
+        process.env.GITHUB_APP_PRIVATE_KEY = 'mock-private-key';
+        const mockAuth = jest.fn().mockResolvedValue({
+            token: 'installation-token',
+            expiresAt: new Date(Date.now() + 60 * 1000).toISOString()
+        });
+        createAppAuth.mockReturnValue(mockAuth);
+        
+        await createOctokitClient(3001);
+        await createOctokitClient(3001);
+        
+        expect(mockAuth).toHaveBeenCalledTimes(2);
+    });
+
+    test('checkOrgBypassedRuleSuites should query the organization endpoint and match the merge commit', async () => {
+        const mockOctokit = {
+            request: jest.fn().mockResolvedValue({
+                data: [
+                    { id: 1, after_sha: 'abc123', result: 'bypass' },
+                    { id: 2, after_sha: 'def456', result: 'bypass' }
+                ]
+            })
+        };
+        
+        const result = await checkOrgBypassedRuleSuites(mockOctokit, 'testOrg', 'testRepo', 'refs/heads/main', 'abc123');
+        
+        expect(mockOctokit.request).toHaveBeenCalledWith(
+            'GET /orgs/testOrg/rulesets/rule-suites',
+            expect.objectContaining({
+                ref: 'refs/heads/main',
+                repository_name: 'testRepo',
+                rule_suite_result: 'bypass'
+            })
+        );
+        expect(result).toEqual([{ id: 1, after_sha: 'abc123', result: 'bypass' }]);
+    });
+
+    test('checkOrgBypassedRuleSuites should throw when the rule suites cannot be fetched', async () => {
+        const mockOctokit = {
+            request: jest.fn().mockRejectedValue(Object.assign(new Error('API rate limit exceeded'), { status: 403 }))
+        };
+        
+        await expect(checkOrgBypassedRuleSuites(mockOctokit, 'testOrg', 'testRepo', 'refs/heads/main', 'abc123'))
+            .rejects.toThrow('API rate limit exceeded');
+    });
+
+    test('checkRepoBypassedRuleSuites should page through rule suites and stop at the page with the merge commit', async () => {
+        const fullPage = Array.from({ length: 100 }, (_, index) => ({ id: index, after_sha: `other${index}` }));
+        const mockOctokit = {
+            request: jest.fn()
+                .mockResolvedValueOnce({ data: fullPage })
+                .mockResolvedValueOnce({ data: [...fullPage.slice(1), { id: 200, after_sha: 'abc123' }] })
+                .mockResolvedValueOnce({ data: [] })
+        };
+        
+        const result = await checkRepoBypassedRuleSuites(mockOctokit, 'testOwner', 'testRepo', 'refs/heads/main', 'abc123', {
+            since: new Date(Date.now() - 10 * 60 * 1000).toISOString(),
+            actor: 'octocat'
+        });
+        
+        expect(result).toEqual([{ id: 200, after_sha: 'abc123' }]);
+        expect(mockOctokit.request).toHaveBeenCalledTimes(2);
+        expect(mockOctokit.request).toHaveBeenLastCalledWith(
+            'GET /repos/testOwner/testRepo/rulesets/rule-suites',
+            expect.objectContaining({
+                page: 2,
+                per_page: 100,
+                time_period: 'hour',
+                actor_name: 'octocat'
+            })
+        );
+    });
+
+    test('checkRepoBypassedRuleSuites should stop at the last page when the merge commit is not found', async () => {
+        const mockOctokit = {
+            request: jest.fn().mockResolvedValue({ data: [{ id: 1, after_sha: 'other' }] })
+        };
+        
+        const result = await checkRepoBypassedRuleSuites(mockOctokit, 'testOwner', 'testRepo', 'refs/heads/main', 'abc123', {
+            since: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString()
+        });
+        
+        expect(result).toEqual([]);
+        expect(mockOctokit.request).toHaveBeenCalledTimes(1);
+        expect(mockOctokit.request.mock.calls[0][1]).toEqual(expect.objectContaining({ time_period: 'week' }));
+        expect(mockOctokit.request.mock.calls[0][1]).not.toHaveProperty('actor_name');
+    });
+
+    test('addRuleSuiteDetails should attach rule evaluations from the detail endpoint', async () => {
+        const ruleEvaluations = [{ rule_type: 'pull_request', result: 'fail' }];
+        const mockOctokit = {
+            request: jest.fn().mockResolvedValue({ data: { id: 5, rule_evaluations: ruleEvaluations } })
+        };
+        
+        const result = await addRuleSuiteDetails(mockOctokit, 'testOwner', 'testRepo', [{ id: 5, after_sha: 'abc123' }]);
+        
+        expect(mockOctokit.request).toHaveBeenCalledWith(
+            'GET /repos/testOwner/testRepo/rulesets/rule-suites/5',
+            expect.any(Object)
+        );
+        expect(result).toEqual([{ id: 5, after_sha: 'abc123', rule_evaluations: ruleEvaluations }]);
+    });
+
+    test('addRuleSuiteDetails should keep the rule suite when details cannot be fetched', async () => {
+        const mockOctokit = {
+            request: jest.fn().mockRejectedValue(new Error('Not Found'))
+        };
+        
+        const result = await addRuleSuiteDetails(mockOctokit, 'testOrg', null, [{ id: 6, after_sha: 'abc123' }]);
+        
+        expect(mockOctokit.request).toHaveBeenCalledWith(
+            'GET /orgs/testOrg/rulesets/rule-suites/6',
+            expect.any(Object)
+        );
+        expect(result).toEqual([{ id: 6, after_sha: 'abc123' }]);
+    });
+});
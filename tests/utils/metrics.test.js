@@ -0,0 +1,94 @@
+import { jest, describe, beforeEach, test, expect } from '@jest/globals';
+import {
+    registry,
+    webhooksReceived,
+    commentPostFailures,
+    countBypasses,
+    instrumentOctokit,
+    setJobQueueDepth
+} from '../../src/utils/metrics.js';
+import { postComment } from '../../src/utils/github.js';
+import logger from '../../src/utils/logger.js';
+
+// Build an Octokit stand-in with the request hook that instrumentOctokit wraps
+function createHookedOctokit(respond) {
+    let wrapped = null;
+    return {
+        hook: { wrap: jest.fn().mockImplementation((name, fn) => { wrapped = fn; }) },
+        request: options => wrapped(respond, options)
+    };
+}
+
+describe('Metrics', () => {
+    beforeEach(() => {
+        registry.resetMetrics();
+        logger.info = jest.fn();
+        logger.error = jest.fn();
+    });
+
+    test('registry should expose counters in the Prometheus text format', async () => {
+        webhooksReceived.inc({ event: 'pull_request', action: 'closed', outcome: 'queued' });
+        setJobQueueDepth({ pending: 3, running: 1, dead: 0 });
+
+        const text = await registry.metrics();
+
+        expect(registry.contentType).toMatch(/^text\/plain/);
+        expect(text).toContain('# TYPE bypass_checker_webhooks_received_total counter');
+        expect(text).toContain('bypass_checker_webhooks_received_total{event="pull_request",action="closed",outcome="queued"} 1');
+        expect(text).toContain('bypass_checker_job_queue_depth{status="pending"} 3');
+        expect(text).toContain('bypass_checker_process_cpu_seconds_total');
+    });
+
+    test('countBypasses should count each bypassed ruleset by repository and actor type', async () => {
+        countBypasses([
+            { repository: 'owner/repo', actor: 'release-bot[bot]', rules: [{ ruleset_name: 'main' }, { ruleset_name: 'main' }] },
+            { repository: 'owner/repo', actor: 'admin', rules: [{ ruleset_name: 'main' }, { ruleset_id: 7, ruleset_name: null }] },
+            { repository: 'owner/repo', actor: null, rules: [] }
+        ]);
+
+        const { values } = await registry.getSingleMetric('bypass_checker_bypasses_detected_total').get();
+        expect(values.map(({ labels, value }) => [labels.ruleset, labels.actor_type, value])).toEqual([
+            ['main', 'bot', 1],
+            ['main', 'user', 1],
+            ['7', 'user', 1],
+            ['unknown', 'unknown', 1]
+        ]);
+    });
+
+    test('instrumentOctokit should time requests and track the rate limit left', async () => {
+        const octokit = createHookedOctokit(async () => ({ status: 200, headers: { 'x-ratelimit-remaining': '4321' }, data: {} }));
+        instrumentOctokit(octokit, 42);
+
+        await octokit.request({ method: 'GET', url: '/repos/{owner}/{repo}/rulesets/rule-suites' });
+
+        const text = await registry.metrics();
+        expect(text).toContain('bypass_checker_github_api_request_duration_seconds_count{method="GET",route="/repos/{owner}/{repo}/rulesets/rule-suites",status="200"} 1');
+        expect(text).toContain('bypass_checker_github_rate_limit_remaining{installation="42"} 4321');
+
+        const failing = createHookedOctokit(async () => {
+            throw Object.assign(new Error('Not Found'), { status: 404 });
+        });
+        instrumentOctokit(failing, 42);
+        await expect(failing.request({ method: 'GET', url: '/repos/{owner}/{repo}' })).rejects.toThrow('Not Found');
+        expect(await registry.metrics()).toContain('bypass_checker_github_api_request_duration_seconds_count{method="GET",route="/repos/{owner}/{repo}",status="404"} 1');
+    });
+
+    test('instrumentOctokit should label paginated requests by path without host or query', async () => {
+        const octokit = createHookedOctokit(async () => ({ status: 200, headers: {}, data: [] }));
+        instrumentOctokit(octokit, 42);
+
+        await octokit.request({ method: 'GET', url: 'https://api.github.com/repositories/1296269/issues/5/comments?per_page=100&page=2' });
+
+        expect(await registry.metrics()).toContain('bypass_checker_github_api_request_duration_seconds_count{method="GET",route="/repositories/1296269/issues/5/comments",status="200"} 1');
+    });
+
+    test('postComment should count failed comments', async () => {
+        const octokit = { issues: { createComment: jest.fn().mockRejectedValue(new Error('Server Error')) } };
+
+        await expect(postComment(octokit, 'owner', 'repo', 123, 'body')).rejects.toThrow('Server Error');
+
+        expect((await commentPostFailures.get()).values).toEqual([
+            expect.objectContaining({ labels: { operation: 'create' }, value: 1 })
+        ]);
+    });
+});
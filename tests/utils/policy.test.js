@@ -0,0 +1,137 @@
+import { jest, describe, test, expect } from '@jest/globals';
+import {
+    validatePolicies,
+    matchesBranch,
+    matchesHours,
+    classifyRuleSuites,
+    hasPolicyAction,
+    DEFAULT_POLICIES
+} from '../../src/utils/policy.js';
+import { DEFAULT_CONFIG } from '../../src/utils/repoConfig.js';
+
+// Build an Octokit stand-in whose team memberships are keyed by team slug
+function createMockOctokit(teams = {}) {
+    return {
+        teams: {
+            getMembershipForUserInOrg: jest.fn().mockImplementation(async ({ team_slug: team, username }) => {
+                if ((teams[team] || []).includes(username)) {
+                    return { data: { state: 'active' } };
+                }
+                throw Object.assign(new Error('Not Found'), { status: 404 });
+            })
+        }
+    };
+}
+
+// Build a bypassed rule suite with one bypassed rule per ruleset and rule type pair
+function ruleSuite(id, actor, rules, pushedAt = '2024-03-04T12:00:00Z') {
+    return {
+        id,
+        actor_name: actor,
+        pushed_at: pushedAt,
+        rule_evaluations: rules.map(([ruleset, ruleType]) => ({
+            rule_source: { type: 'ruleset', id: 10, name: ruleset },
+            rule_type: ruleType,
+            enforcement: 'active',
+            result: 'fail'
+        }))
+    };
+}
+
+describe('Bypass Policies', () => {
+    test('matchesBranch should match exact names and wildcards', () => {
+        expect(matchesBranch('main', ['main'])).toBe(true);
+        expect(matchesBranch('release/1.2', ['release/*'])).toBe(true);
+        expect(matchesBranch('release/1.2/hotfix', ['release/*'])).toBe(false);
+        expect(matchesBranch('release/1.2/hotfix', ['release/**'])).toBe(true);
+        expect(matchesBranch('main', ['refs/heads/main'])).toBe(true);
+        expect(matchesBranch('mainline', ['main'])).toBe(false);
+    });
+
+    test('matchesHours should handle ranges past midnight and time zones', () => {
+        const date = new Date('2024-03-04T23:30:00Z');
+
+        expect(matchesHours(date, '22:00-06:00')).toBe(true);
+        expect(matchesHours(date, '09:00-17:00')).toBe(false);
+        // 23:30 UTC is 08:30 the next morning in Tokyo
+        expect(matchesHours(date, '08:00-09:00', 'Asia/Tokyo')).toBe(true);
+        expect(matchesHours(new Date('2024-03-04T17:00:00Z'), '09:00-17:00')).toBe(false);
+    });
+
+    test('validatePolicies should fill in defaults and name rules', () => {
+        const { policies } = validatePolicies({
+            actions: { warn: ['comment'] },
+            rules: [{ actors: ['release-bot'], classification: 'allowed' }]
+        });
+
+        expect(policies.default).toBe('violation');
+        expect(policies.actions).toEqual({ ...DEFAULT_POLICIES.actions, warn: ['comment'] });
+        expect(policies.rules).toEqual([{ name: 'Rule 1', actors: ['release-bot'], classification: 'allowed' }]);
+    });
+
+    test('validatePolicies should reject invalid policies', () => {
+        expect(validatePolicies([]).error).toBe('policies must be a mapping');
+        expect(validatePolicies({ default: 'ignore' }).error).toMatch(/^policies.default must be one of/);
+        expect(validatePolicies({ actions: { warn: ['email'] } }).error).toMatch(/^policies.actions must map/);
+        expect(validatePolicies({ rules: [{ actors: ['a'] }] }).error).toMatch(/^policies.rules\[0\].classification/);
+        expect(validatePolicies({ rules: [{ classification: 'warn', teams: 'ops' }] }).error).toBe('policies.rules[0].teams must be a list');
+        expect(validatePolicies({ rules: [{ classification: 'warn', hours: '9-17' }] }).error).toBe('policies.rules[0].hours must be a time range like 09:00-17:00');
+        expect(validatePolicies({ rules: [{ classification: 'warn', timezone: 'Mars/Olympus' }] }).error).toBe('policies.rules[0].timezone must be a time zone like Europe/Berlin');
+    });
+
+    test('classifyRuleSuites should take the most severe classification of the bypassed rules', async () => {
+        const config = {
+            ...DEFAULT_CONFIG,
+            policies: validatePolicies({
+                default: 'warn',
+                rules: [
+                    { name: 'Reviews on release branches', rule_types: ['pull_request'], branches: ['release/*'], classification: 'violation' },
+                    { name: 'Status checks', rule_types: ['required_status_checks'], classification: 'allowed' }
+                ]
+            }).policies
+        };
+        const ruleSuites = [
+            ruleSuite(1, 'dev', [['Checks', 'required_status_checks']]),
+            ruleSuite(2, 'dev', [['Checks', 'required_status_checks'], ['Reviews', 'pull_request']])
+        ];
+
+        const onMain = await classifyRuleSuites(createMockOctokit(), 'owner', ruleSuites, 'refs/heads/main', config);
+        expect(onMain.map(({ classification, policy }) => ({ classification, policy }))).toEqual([
+            { classification: 'allowed', policy: 'Status checks' },
+            { classification: 'warn', policy: null }
+        ]);
+
+        const onRelease = await classifyRuleSuites(createMockOctokit(), 'owner', ruleSuites, 'release/2.0', config);
+        expect(onRelease[1]).toEqual(expect.objectContaining({ classification: 'violation', policy: 'Reviews on release branches' }));
+    });
+
+    test('classifyRuleSuites should match teams and hours, looking each membership up once', async () => {
+        const config = {
+            ...DEFAULT_CONFIG,
+            policies: validatePolicies({
+                rules: [{ name: 'On-call at night', teams: ['on-call'], hours: '20:00-08:00', timezone: 'Europe/Berlin', classification: 'warn' }]
+            }).policies
+        };
+        const mockOctokit = createMockOctokit({ 'on-call': ['pager'] });
+        const ruleSuites = [
+            ruleSuite(1, 'pager', [['Reviews', 'pull_request'], ['Checks', 'required_status_checks']], '2024-03-04T22:00:00Z'),
+            ruleSuite(2, 'pager', [['Reviews', 'pull_request']], '2024-03-04T12:00:00Z'),
+            ruleSuite(3, 'someone', [['Reviews', 'pull_request']], '2024-03-04T22:00:00Z')
+        ];
+
+        const classified = await classifyRuleSuites(mockOctokit, 'owner', ruleSuites, 'main', config);
+
+        expect(classified.map(suite => suite.classification)).toEqual(['warn', 'violation', 'violation']);
+        expect(mockOctokit.teams.getMembershipForUserInOrg).toHaveBeenCalledTimes(2);
+    });
+
+    test('hasPolicyAction should look up the actions of a classification', () => {
+        const config = { ...DEFAULT_CONFIG, policies: validatePolicies({ actions: { warn: ['notify'] } }).policies };
+
+        expect(hasPolicyAction('warn', 'notify', config)).toBe(true);
+        expect(hasPolicyAction('warn', 'comment', config)).toBe(false);
+        expect(hasPolicyAction('allowed', 'notify', config)).toBe(false);
+        // Unclassified bypasses are treated as violations
+        expect(hasPolicyAction(undefined, 'revert', config)).toBe(true);
+    });
+});
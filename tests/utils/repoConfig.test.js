@@ -0,0 +1,154 @@
+import {
+    getRepoConfig,
+    validateRepoConfig,
+    clearRepoConfigCache,
+    filterRuleSuites,
+    filterUnmetRules,
+    renderCommentTemplate,
+    DEFAULT_CONFIG
+} from '../../src/utils/repoConfig.js';
+import { Buffer } from 'node:buffer';
+import { jest, describe, beforeEach, test, expect } from '@jest/globals';
+
+// Build an Octokit stand-in that serves config files keyed by repository name
+function createMockOctokit(files) {
+    return {
+        repos: {
+            getContent: jest.fn().mockImplementation(async ({ repo }) => {
+                if (!(repo in files)) {
+                    throw Object.assign(new Error('Not Found'), { status: 404 });
+                }
+                return { data: { content: Buffer.from(files[repo]).toString('base64'), encoding: 'base64' } };
+            })
+        }
+    };
+}
+
+describe('Repository Configuration Functions', () => {
+    beforeEach(() => {
+        clearRepoConfigCache();
+    });
+
+    test('getRepoConfig should return the defaults when no config files exist', async () => {
+        const mockOctokit = createMockOctokit({});
+        
+        const config = await getRepoConfig(mockOctokit, 'testOwner', 'testRepo');
+        
+        expect(config).toEqual(DEFAULT_CONFIG);
+    });
+
+    test('getRepoConfig should layer the repository config over the organization defaults', async () => {
+        const mockOctokit = createMockOctokit({
+            '.github': 'labels: [bypass]\ninsights_time_period: week\n',
+            testRepo: 'scope: repository\nlabels: [audit, bypass]\n'
+        });
+        
+        const config = await getRepoConfig(mockOctokit, 'testOwner', 'testRepo');
+        
+        expect(config.scope).toEqual(['repository']);
+        expect(config.labels).toEqual(['audit', 'bypass']);
+        expect(config.insights_time_period).toBe('week');
+        expect(config.enabled).toBe(true);
+    });
+
+    test('getRepoConfig should cache the configuration per repository', async () => {
+        const mockOctokit = createMockOctokit({ testRepo: 'enabled: false\n' });
+        
+        await getRepoConfig(mockOctokit, 'testOwner', 'testRepo');
+        const config = await getRepoConfig(mockOctokit, 'testOwner', 'testRepo');
+        
+        expect(config.enabled).toBe(false);
+        expect(mockOctokit.repos.getContent).toHaveBeenCalledTimes(2);
+    });
+
+    test('getRepoConfig should still apply the organization defaults after loading the .github repository', async () => {
+        const mockOctokit = createMockOctokit({ '.github': 'labels: [bypass]\n' });
+        
+        await getRepoConfig(mockOctokit, 'testOwner', '.github');
+        const config = await getRepoConfig(mockOctokit, 'testOwner', 'testRepo');
+        
+        expect(config.labels).toEqual(['bypass']);
+    });
+
+    test('getRepoConfig should throw and cache nothing when a config file cannot be read', async () => {
+        const mockOctokit = createMockOctokit({ testRepo: 'enabled: false\n' });
+        mockOctokit.repos.getContent.mockRejectedValueOnce(Object.assign(new Error('Server Error'), { status: 502 }));
+        
+        await expect(getRepoConfig(mockOctokit, 'testOwner', 'testRepo')).rejects.toThrow('Server Error');
+        const config = await getRepoConfig(mockOctokit, 'testOwner', 'testRepo');
+        
+        expect(config.enabled).toBe(false);
+        expect(mockOctokit.repos.getContent).toHaveBeenCalledTimes(3);
+    });
+
+    test('validateRepoConfig should drop invalid settings and report them', () => {
+        const { config, errors } = validateRepoConfig({
+            enabled: 'yes',
+            insights_time_period: 'year',
+            reviewers: ['octocat']
+        });
+        
+        expect(config).toEqual({ reviewers: ['octocat'] });
+        expect(errors).toHaveLength(2);
+    });
+
+    test('validateRepoConfig should require notifications to name a deployment sink', () => {
+        const routes = [{ type: 'slack', sink: 'security', rulesets: ['Main'] }];
+        
+        expect(validateRepoConfig({ notifications: routes }).config).toEqual({ notifications: routes });
+        expect(validateRepoConfig({ notifications: [{ type: 'slack', url: 'https://hooks.slack.com/x' }] }).errors)
+            .toEqual(['notifications must name a sink']);
+        expect(validateRepoConfig({ notifications: [{ type: 'email', to: ['security@example.com'] }] }).errors)
+            .toEqual(['notifications must name a sink']);
+    });
+
+    test('validateRepoConfig should enable follow-up issues with defaults for missing settings', () => {
+        expect(validateRepoConfig({ follow_up_issue: { repository: 'audit' } }).config).toEqual({
+            follow_up_issue: { enabled: true, repository: 'audit', labels: ['bypass-justification'], due_in_days: 7 }
+        });
+        expect(validateRepoConfig({ follow_up_issue: { due_in_days: 0 } }).errors)
+            .toEqual(['follow_up_issue.due_in_days must be a positive whole number']);
+    });
+
+    test('validateRepoConfig should require automatic reverts to name the protected branches', () => {
+        expect(validateRepoConfig({ auto_revert: { branches: ['main'], allowed_teams: ['break-glass'] } }).config).toEqual({
+            auto_revert: { enabled: true, branches: ['main'], allowed_teams: ['break-glass'], allowed_actors: [] }
+        });
+        expect(validateRepoConfig({ auto_revert: { allowed_teams: ['break-glass'] } }).errors)
+            .toEqual(['auto_revert.branches must list the branches to protect']);
+    });
+
+    test('filterRuleSuites should only keep the configured rule types', () => {
+        const config = {
+            ...DEFAULT_CONFIG,
+            rule_types: { include: ['required_signatures'], exclude: [] }
+        };
+        const ruleSuites = [
+            { id: 1, rule_evaluations: [{ rule_type: 'pull_request', result: 'fail' }] },
+            { id: 2, rule_evaluations: [{ rule_type: 'required_signatures', result: 'fail' }] }
+        ];
+        
+        expect(filterRuleSuites(ruleSuites, config).map(ruleSuite => ruleSuite.id)).toEqual([2]);
+    });
+
+    test('filterUnmetRules should match rulesets by name or ID', () => {
+        const config = {
+            ...DEFAULT_CONFIG,
+            rulesets: { include: ['Main, protected', '7'], exclude: [] }
+        };
+        const unmetRules = [
+            { type: 'pull_request', ruleset_id: 42, ruleset_name: 'Main, protected' },
+            { type: 'required_signatures', ruleset_id: 7, ruleset_name: 'Signing' },
+            { type: 'required_status_checks', ruleset_id: 9, ruleset_name: 'CI' }
+        ];
+        
+        expect(filterUnmetRules(unmetRules, config).map(rule => rule.ruleset_id)).toEqual([42, 7]);
+    });
+
+    test('renderCommentTemplate should replace known placeholders', () => {
+        expect(renderCommentTemplate('PR #{{pr_number}}: {{bypasses}} {{unknown}}', {
+            pr_number: 5,
+            bypasses: 'details'
+        })).toBe('PR #5: details {{unknown}}');
+    });
+});
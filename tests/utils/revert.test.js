@@ -0,0 +1,114 @@
+import { jest, describe, beforeEach, test, expect } from '@jest/globals';
+import { revertUnapprovedBypass } from '../../src/utils/revert.js';
+import { DEFAULT_CONFIG } from '../../src/utils/repoConfig.js';
+import logger from '../../src/utils/logger.js';
+
+const pullRequest = {
+    number: 123,
+    title: 'Ship it',
+    user: { login: 'author' },
+    base: { repo: { full_name: 'owner/repo' }, ref: 'main' },
+    merge_commit_sha: 'merge1234567'
+};
+
+const config = {
+    ...DEFAULT_CONFIG,
+    auto_revert: { enabled: true, branches: ['main', 'release/*'], allowed_teams: ['break-glass'], allowed_actors: ['release-bot[bot]'] }
+};
+
+// Build an Octokit stand-in for the Git Data API calls of a revert
+function createMockOctokit({ members = [], pullRequests = [] } = {}) {
+    return {
+        git: {
+            getCommit: jest.fn().mockImplementation(async ({ commit_sha: sha }) => ({
+                data: { sha, tree: { sha: `tree-of-${sha}` }, parents: [{ sha: 'parent1' }, { sha: 'parent2' }] }
+            })),
+            createCommit: jest.fn().mockResolvedValue({ data: { sha: 'revert1234' } }),
+            createRef: jest.fn().mockResolvedValue({ data: {} })
+        },
+        pulls: {
+            list: jest.fn().mockResolvedValue({ data: pullRequests }),
+            create: jest.fn().mockResolvedValue({ data: { number: 124 } })
+        },
+        teams: {
+            getMembershipForUserInOrg: jest.fn().mockImplementation(async ({ username }) => {
+                if (members.includes(username)) {
+                    return { data: { state: 'active' } };
+                }
+                throw Object.assign(new Error('Not Found'), { status: 404 });
+            })
+        }
+    };
+}
+
+describe('Automatic Reverts', () => {
+    beforeEach(() => {
+        jest.resetAllMocks();
+        logger.debug = jest.fn();
+        logger.info = jest.fn();
+        logger.error = jest.fn();
+    });
+
+    test('revertUnapprovedBypass should open a revert PR for an actor outside the allowlist', async () => {
+        const mockOctokit = createMockOctokit();
+        const ruleSuites = [{ id: 1, actor_name: 'admin', before_sha: 'before123', after_sha: 'merge1234567' }];
+
+        const revert = await revertUnapprovedBypass(mockOctokit, pullRequest, ruleSuites, [], config);
+
+        expect(revert).toEqual({ number: 124 });
+        // Restores the tree from before the bypassing push on top of the merge commit
+        expect(mockOctokit.git.createCommit).toHaveBeenCalledWith(expect.objectContaining({
+            tree: 'tree-of-before123',
+            parents: ['merge1234567']
+        }));
+        expect(mockOctokit.git.createRef).toHaveBeenCalledWith(expect.objectContaining({
+            ref: 'refs/heads/revert-bypass/pr-123',
+            sha: 'revert1234'
+        }));
+        const { head, base, body } = mockOctokit.pulls.create.mock.calls[0][0];
+        expect({ head, base }).toEqual({ head: 'revert-bypass/pr-123', base: 'main' });
+        expect(body).toContain('This reverts #123');
+        expect(body).toContain('@author, your changes');
+        expect(body).toContain('@admin is not in one');
+    });
+
+    test('revertUnapprovedBypass should leave bypasses by break-glass actors and teams alone', async () => {
+        const mockOctokit = createMockOctokit({ members: ['on-call'] });
+        const ruleSuites = [
+            { id: 1, actor_name: 'release-bot[bot]', after_sha: 'merge1234567' },
+            { id: 2, actor_name: 'on-call', after_sha: 'merge1234567' }
+        ];
+
+        expect(await revertUnapprovedBypass(mockOctokit, pullRequest, ruleSuites, [], config)).toBeNull();
+        expect(mockOctokit.teams.getMembershipForUserInOrg).toHaveBeenCalledWith({ org: 'owner', team_slug: 'break-glass', username: 'on-call' });
+        expect(mockOctokit.git.createCommit).not.toHaveBeenCalled();
+    });
+
+    test('revertUnapprovedBypass should skip unprotected branches and reverts that were already opened', async () => {
+        const mockOctokit = createMockOctokit({ pullRequests: [{ number: 120, state: 'closed' }, { number: 124, state: 'open' }] });
+        const ruleSuites = [{ id: 1, actor_name: 'admin', after_sha: 'merge1234567' }];
+
+        expect(await revertUnapprovedBypass(mockOctokit, { ...pullRequest, base: { ...pullRequest.base, ref: 'develop' } }, ruleSuites, [], config)).toBeNull();
+        expect(mockOctokit.pulls.list).not.toHaveBeenCalled();
+
+        expect(await revertUnapprovedBypass(mockOctokit, pullRequest, ruleSuites, [], config)).toEqual({ number: 124, state: 'open' });
+        expect(mockOctokit.pulls.list).toHaveBeenCalledWith(expect.objectContaining({ head: 'owner:revert-bypass/pr-123', state: 'all' }));
+        expect(mockOctokit.git.createCommit).not.toHaveBeenCalled();
+        expect(mockOctokit.pulls.create).not.toHaveBeenCalled();
+    });
+
+    test('revertUnapprovedBypass should open the revert PR from a branch left by a failed attempt', async () => {
+        const mockOctokit = createMockOctokit();
+        mockOctokit.pulls.create.mockRejectedValueOnce(Object.assign(new Error('Server Error'), { status: 502 }));
+        const ruleSuites = [{ id: 1, actor_name: 'admin', after_sha: 'merge1234567' }];
+
+        await expect(revertUnapprovedBypass(mockOctokit, pullRequest, ruleSuites, [], config)).rejects.toThrow('Server Error');
+
+        // The retry finds the branch the failed attempt created, and opens the pull request from it
+        mockOctokit.git.createRef.mockRejectedValue(Object.assign(new Error('Reference already exists'), { status: 422 }));
+        expect(await revertUnapprovedBypass(mockOctokit, pullRequest, ruleSuites, [], config)).toEqual({ number: 124 });
+        // Without a before_sha the merge commit's first parent is restored
+        expect(mockOctokit.git.createCommit).toHaveBeenCalledWith(expect.objectContaining({ tree: 'tree-of-parent1' }));
+        expect(mockOctokit.pulls.create).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,95 @@
+import { getUnmetRules } from '../../src/utils/rules.js';
+import { jest, describe, test, expect } from '@jest/globals';
+
+// Build an Octokit stand-in whose paginate results are keyed by endpoint
+function createMockOctokit({ rules = [], rulesets = [], commits = [], checkRuns = [], statuses = [] }) {
+    const octokit = {
+        pulls: { listReviews: jest.fn(), listCommits: jest.fn() },
+        checks: { listForRef: jest.fn() },
+        repos: {
+            getCombinedStatusForRef: jest.fn().mockResolvedValue({ data: { statuses } })
+        }
+    };
+    octokit.paginate = jest.fn().mockImplementation(async (route) => {
+        if (route === octokit.pulls.listCommits) return commits;
+        if (route === octokit.checks.listForRef) return checkRuns;
+        if (typeof route === 'string' && route.endsWith('/rulesets')) return rulesets;
+        if (typeof route === 'string') return rules;
+        return [];
+    });
+    return octokit;
+}
+
+const pullRequest = {
+    number: 5,
+    base: { ref: 'main' },
+    head: { sha: 'head1234' }
+};
+
+describe('Rule Evaluation Functions', () => {
+    test('getUnmetRules should report required status checks that are missing or failing', async () => {
+        const mockOctokit = createMockOctokit({
+            rules: [{
+                type: 'required_status_checks',
+                ruleset_id: 1,
+                parameters: {
+                    required_status_checks: [{ context: 'build' }, { context: 'lint' }, { context: 'deploy' }]
+                }
+            }],
+            checkRuns: [
+                { name: 'build', conclusion: 'success' },
+                { name: 'lint', conclusion: 'failure' }
+            ]
+        });
+        
+        const result = await getUnmetRules(mockOctokit, 'testOwner', 'testRepo', pullRequest);
+        
+        expect(result).toEqual([expect.objectContaining({
+            type: 'required_status_checks',
+            reason: 'Required status checks not passing: `lint`, `deploy`'
+        })]);
+    });
+
+    test('getUnmetRules should report unsigned commits', async () => {
+        const mockOctokit = createMockOctokit({
+            rules: [{ type: 'required_signatures', ruleset_id: 2 }],
+            commits: [
+                { sha: 'aaaaaaa111', commit: { verification: { verified: true } } },
+                { sha: 'bbbbbbb222', commit: { verification: { verified: false } } }
+            ]
+        });
+        
+        const result = await getUnmetRules(mockOctokit, 'testOwner', 'testRepo', pullRequest);
+        
+        expect(result).toEqual([expect.objectContaining({
+            type: 'required_signatures',
+            reason: 'Unsigned commits: bbbbbbb'
+        })]);
+    });
+
+    test('getUnmetRules should name the ruleset of each unmet rule', async () => {
+        const mockOctokit = createMockOctokit({
+            rules: [{ type: 'required_signatures', ruleset_id: 2 }],
+            rulesets: [{ id: 2, name: 'Signed commits' }],
+            commits: [{ sha: 'bbbbbbb222', commit: { verification: { verified: false } } }]
+        });
+        
+        const result = await getUnmetRules(mockOctokit, 'testOwner', 'testRepo', pullRequest);
+        
+        expect(result).toEqual([expect.objectContaining({ ruleset_id: 2, ruleset_name: 'Signed commits' })]);
+    });
+
+    test('getUnmetRules should return nothing when commit statuses satisfy the checks', async () => {
+        const mockOctokit = createMockOctokit({
+            rules: [{
+                type: 'required_status_checks',
+                parameters: { required_status_checks: [{ context: 'ci/legacy' }] }
+            }],
+            statuses: [{ context: 'ci/legacy', state: 'success' }]
+        });
+        
+        const result = await getUnmetRules(mockOctokit, 'testOwner', 'testRepo', pullRequest);
+        
+        expect(result).toEqual([]);
+    });
+});
@@ -0,0 +1,96 @@
+import { jest, describe, beforeAll, afterAll, beforeEach, test, expect } from '@jest/globals';
+import { Octokit } from '@octokit/rest';
+import { createAppAuth } from '@octokit/auth-app';
+import process from 'node:process';
+import { SpanKind, SpanStatusCode } from '@opentelemetry/api';
+import { InMemorySpanExporter } from '@opentelemetry/sdk-trace-node';
+import { startTracing, stopTracing, withSpan, traceOctokit } from '../../src/utils/tracing.js';
+import { createOctokitClient, checkRepoBypassedRuleSuites, postComment } from '../../src/utils/github.js';
+import logger from '../../src/utils/logger.js';
+
+const exporter = new InMemorySpanExporter();
+
+// Find a finished span by name
+function findSpan(name) {
+    return exporter.getFinishedSpans().find(span => span.name === name);
+}
+
+describe('Tracing', () => {
+    beforeAll(() => {
+        startTracing({ serviceName: 'test', exporter });
+    });
+
+    afterAll(async () => {
+        await stopTracing();
+    });
+
+    beforeEach(() => {
+        jest.resetAllMocks();
+        exporter.reset();
+        logger.debug = jest.fn();
+        logger.info = jest.fn();
+        logger.warn = jest.fn();
+        logger.error = jest.fn();
+
+        process.env.GITHUB_APP_ID = 'mock-app-id';
+        process.env.GITHUB_APP_PRIVATE_KEY = 'mock-private-key';
+        createAppAuth.mockReturnValue(jest.fn().mockResolvedValue({ token: 'mock-token' }));
+    });
+
+    test('spans should nest under the webhook span and show the fallback path and failures', async () => {
+        const mockOctokit = {
+            request: jest.fn()
+                .mockRejectedValueOnce(Object.assign(new Error('Not Found'), { status: 404 }))
+                .mockResolvedValueOnce({ data: [{ id: 1, after_sha: 'abcd1234' }] }),
+            issues: { createComment: jest.fn().mockRejectedValue(new Error('Server Error')) }
+        };
+        Octokit.mockImplementation(() => mockOctokit);
+
+        await withSpan('processWebhook', { 'github.event': 'pull_request' }, async () => {
+            const octokit = await createOctokitClient(42);
+            await checkRepoBypassedRuleSuites(octokit, 'owner', 'repo', 'refs/heads/main', 'abcd1234');
+            await postComment(octokit, 'owner', 'repo', 123, 'body').catch(() => {});
+        });
+
+        const root = findSpan('processWebhook');
+        const client = findSpan('createOctokitClient');
+        const ruleSuites = findSpan('checkRepoBypassedRuleSuites');
+        const comment = findSpan('postComment');
+
+        for (const span of [client, ruleSuites, comment]) {
+            expect(span.parentSpanContext.spanId).toBe(root.spanContext().spanId);
+        }
+        expect(client.attributes['github.installation_id']).toBe('42');
+        expect(ruleSuites.events.map(event => event.name)).toEqual(['rule_suites.fallback']);
+        expect(ruleSuites.attributes['bypass_checker.rule_suites']).toBe(1);
+        expect(comment.status).toEqual({ code: SpanStatusCode.ERROR, message: 'Server Error' });
+        expect(comment.events[0].name).toBe('exception');
+    });
+
+    test('traceOctokit should create a client span for each GitHub API request', async () => {
+        let wrapped = null;
+        const octokit = { hook: { wrap: (name, fn) => { wrapped = fn; } } };
+        traceOctokit(octokit);
+
+        await wrapped(async () => ({ status: 200 }), { method: 'POST', url: '/repos/{owner}/{repo}/issues/{issue_number}/comments' });
+
+        const span = findSpan('GitHub POST /repos/{owner}/{repo}/issues/{issue_number}/comments');
+        expect(span.kind).toBe(SpanKind.CLIENT);
+        expect(span.attributes).toEqual({
+            'http.request.method': 'POST',
+            'url.template': '/repos/{owner}/{repo}/issues/{issue_number}/comments',
+            'http.response.status_code': 200
+        });
+    });
+
+    test('traceOctokit should name spans for paginated requests by their path only', async () => {
+        let wrapped = null;
+        const octokit = { hook: { wrap: (name, fn) => { wrapped = fn; } } };
+        traceOctokit(octokit);
+
+        await wrapped(async () => ({ status: 200 }), { method: 'GET', url: 'https://api.github.com/repositories/1/issues?page=2&per_page=100' });
+
+        const span = findSpan('GitHub GET /repositories/1/issues');
+        expect(span.attributes['url.template']).toBe('/repositories/1/issues');
+    });
+});